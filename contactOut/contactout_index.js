@@ -23,10 +23,13 @@ const { ensureSignalHireLogin } = require('../utils/signalhire_login');
 // Default options.  Retries controls how many attempts are made to
 // open the sidebar before giving up.  The log function can be
 // overridden to customise logging behaviour (e.g. to integrate with
-// your own logger).
+// your own logger).  onEvent receives structured progress events
+// (`retry`, `login:problem`, `profiles:extracted`) for the live event
+// stream.
 const DEFAULTS = {
   retries: 3,
   log: (...a) => console.log('[ContactOut]', ...a),
+  onEvent: () => {},
 };
 
 /**
@@ -46,9 +49,10 @@ const DEFAULTS = {
  * @param {Function} [opts.log] Logger function
  * @param {string} [opts.coCookiePath] Absolute path to ContactOut cookie JSON file
  * @param {string} [opts.shCookiePath] Absolute path to SignalHire cookie JSON file (optional for cross‑auth)
+ * @param {Function} [opts.onEvent] Called as onEvent(type, data) with progress events
  */
 async function runContactOut(page, opts = {}) {
-  const { retries, log, coCookiePath, shCookiePath } = { ...DEFAULTS, ...opts };
+  const { retries, log, coCookiePath, shCookiePath, onEvent } = { ...DEFAULTS, ...opts };
   let lastError;
   for (let attempt = 1; attempt <= retries; attempt++) {
     log(`Attempt ${attempt}/${retries}`);
@@ -69,6 +73,7 @@ async function runContactOut(page, opts = {}) {
       const loggedIn = await checkContactOutLoggedIn(page);
       if (!loggedIn) {
         log('ContactOut extension not logged in; attempting relogin …');
+        onEvent('login:problem', { provider: 'contactout', message: 'Extension not logged in; attempting relogin.' });
         const context = page.context();
         // Perform ContactOut login if a cookie path was supplied
         if (coCookiePath) {
@@ -116,11 +121,13 @@ async function runContactOut(page, opts = {}) {
       const profiles = await collectFromAllContexts(page);
       if (!profiles || profiles.length === 0) throw new Error('No profiles found');
       log(`Got ${profiles.length} profile(s).`);
+      onEvent('profiles:extracted', { source: 'contactout', count: profiles.length });
       return { profiles };
     } catch (err) {
       lastError = err;
       log(`Attempt failed: ${err?.message || err}`);
       if (attempt < retries) {
+        onEvent('retry', { source: 'contactout', attempt, max: retries, error: err?.message || String(err) });
         log('Reloading page and retrying…');
         await safeReload(page);
       }
@@ -4,11 +4,106 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   const jobListEl = document.getElementById('jobList');
+  const queueListEl = document.getElementById('queueList');
   const backBtn = document.getElementById('backBtn');
 
+  // Load the job queue and render it in run order.  Each queued job can
+  // be moved up or down or taken out of the queue.
+  async function loadQueue() {
+    try {
+      const res = await fetch('/api/queue');
+      const data = await res.json();
+      if (!res.ok) {
+        queueListEl.textContent = data.error || 'Failed to load queue.';
+        return;
+      }
+      const queue = data.queue || [];
+      if (queue.length === 0) {
+        queueListEl.textContent = 'No jobs waiting.';
+        return;
+      }
+      queueListEl.innerHTML = '';
+      const header = document.createElement('div');
+      header.className = 'job-row job-header';
+      ['#', 'List Name', 'Page', 'Actions'].forEach((txt) => {
+        const span = document.createElement('span');
+        span.className = 'job-col';
+        span.textContent = txt;
+        header.appendChild(span);
+      });
+      queueListEl.appendChild(header);
+      queue.forEach((job, idx) => {
+        const row = document.createElement('div');
+        row.className = 'job-row';
+        const posCol = document.createElement('span');
+        posCol.className = 'job-col';
+        posCol.textContent = idx + 1;
+        const nameCol = document.createElement('span');
+        nameCol.className = 'job-col';
+        nameCol.textContent = job.listName;
+        const pageCol = document.createElement('span');
+        pageCol.className = 'job-col';
+        pageCol.textContent = job.pageIndex;
+        const actionsCol = document.createElement('span');
+        actionsCol.className = 'job-col job-actions';
+
+        const upBtn = document.createElement('button');
+        upBtn.textContent = 'Up';
+        upBtn.disabled = idx === 0;
+        upBtn.addEventListener('click', () => moveQueued(job.id, idx - 1));
+
+        const downBtn = document.createElement('button');
+        downBtn.textContent = 'Down';
+        downBtn.disabled = idx === queue.length - 1;
+        downBtn.addEventListener('click', () => moveQueued(job.id, idx + 1));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', async () => {
+          try {
+            const resDel = await fetch(`/api/queue/${encodeURIComponent(job.id)}`, { method: 'DELETE' });
+            const dat = await resDel.json();
+            if (!resDel.ok) alert(dat.error || 'Failed to remove job from queue.');
+            loadJobs();
+          } catch (err) {
+            alert('Error: ' + (err.message || err));
+          }
+        });
+
+        actionsCol.appendChild(upBtn);
+        actionsCol.appendChild(downBtn);
+        actionsCol.appendChild(removeBtn);
+        row.appendChild(posCol);
+        row.appendChild(nameCol);
+        row.appendChild(pageCol);
+        row.appendChild(actionsCol);
+        queueListEl.appendChild(row);
+      });
+    } catch (err) {
+      queueListEl.textContent = 'Error loading queue.';
+    }
+  }
+
+  // Move a queued job to a new position and refresh both lists.
+  async function moveQueued(jobId, position) {
+    try {
+      const res = await fetch(`/api/queue/${encodeURIComponent(jobId)}/move`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ position }),
+      });
+      const dat = await res.json();
+      if (!res.ok) alert(dat.error || 'Failed to move job.');
+      loadJobs();
+    } catch (err) {
+      alert('Error: ' + (err.message || err));
+    }
+  }
+
   // Load jobs from the server
   async function loadJobs() {
     jobListEl.textContent = 'Loading jobs…';
+    loadQueue();
     try {
       const res = await fetch('/api/jobs');
       const data = await res.json();
@@ -51,6 +146,13 @@ document.addEventListener('DOMContentLoaded', () => {
         const nameCol = document.createElement('span');
         nameCol.className = 'job-col';
         nameCol.textContent = job.listName;
+        if (job.accountId) {
+          // Account switches after expired cookies (see runScrape failover)
+          const switches = (job.accountSwitches || [])
+            .map((s) => `\npage ${s.page}: ${s.from} → ${s.to}`)
+            .join('');
+          nameCol.title = `Account: ${job.accountId}${switches}`;
+        }
         // Page column
         const pageCol = document.createElement('span');
         pageCol.className = 'job-col';
@@ -58,7 +160,18 @@ document.addEventListener('DOMContentLoaded', () => {
         // Status column
         const statusCol = document.createElement('span');
         statusCol.className = 'job-col';
-        statusCol.textContent = job.state;
+        statusCol.textContent = job.stateReason ? `${job.state} (${job.stateReason})` : job.state;
+        // Recurring jobs show when they run next
+        if (job.schedule) {
+          const next = job.schedule.nextRunAt ? new Date(job.schedule.nextRunAt).toLocaleString() : 'never';
+          statusCol.textContent += ` · repeats, next ${next}`;
+        }
+        // Hovering the status shows how the job got here
+        if (Array.isArray(job.history) && job.history.length) {
+          statusCol.title = job.history
+            .map((h) => `${new Date(h.at).toLocaleString()}: ${h.from || 'new'} → ${h.to}${h.reason ? ` (${h.reason})` : ''}`)
+            .join('\n');
+        }
 
         // Actions column
         const actionsCol = document.createElement('span');
@@ -67,9 +180,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const runBtn = document.createElement('button');
 
-        runBtn.textContent = 'Run';
+        // Paused and interrupted jobs continue from their last saved page
+        runBtn.textContent = job.state === 'paused' || job.state === 'interrupted' ? 'Resume' : 'Run';
 
-        runBtn.disabled = job.state === 'running';
+        runBtn.disabled = job.state === 'running' || job.state === 'queued';
 
         runBtn.addEventListener('click', async () => {
           try {
@@ -91,7 +205,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         stopBtn.textContent = 'Stop';
 
-        stopBtn.disabled = job.state !== 'running';
+        stopBtn.disabled = job.state !== 'running' && job.state !== 'queued';
 
         stopBtn.addEventListener('click', async () => {
           try {
@@ -111,6 +225,28 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
 
+        const cancelBtn = document.createElement('button');
+
+        cancelBtn.textContent = 'Cancel';
+
+        cancelBtn.disabled = ['completed', 'cancelled'].includes(job.state);
+
+        cancelBtn.addEventListener('click', async () => {
+          if (!confirm(`Cancel job "${job.listName}"?`)) return;
+          try {
+            const resCancel = await fetch(`/api/jobs/${encodeURIComponent(job.id)}/cancel`, { method: 'POST' });
+
+            const dat = await resCancel.json();
+
+            alert(dat.message || dat.error || 'Cancelled job.');
+
+            loadJobs();
+
+          } catch (err) {
+            alert('Error: ' + (err.message || err));
+          }
+        });
+
         // NEW: Delete button (disabled while running)
 
         const deleteBtn = document.createElement('button');
@@ -139,9 +275,42 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 
+        // Schedule button sets or clears a recurring schedule
+        const scheduleBtn = document.createElement('button');
+        scheduleBtn.textContent = 'Schedule';
+        scheduleBtn.addEventListener('click', async () => {
+          const current = job.schedule
+            ? (job.schedule.type === 'cron' ? job.schedule.expression : `${job.schedule.everyMinutes}m`)
+            : '';
+          const value = prompt('Repeat this search (e.g. 7d, 12h or a cron expression). Leave empty to stop repeating.', current);
+          if (value === null) return;
+          try {
+            const resSch = await fetch(`/api/jobs/${encodeURIComponent(job.id)}/schedule`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ schedule: value.trim() || null }),
+            });
+            const dat = await resSch.json();
+            alert(dat.message || dat.error || '');
+            loadJobs();
+          } catch (err) {
+            alert('Error: ' + (err.message || err));
+          }
+        });
+
+        // Details button opens the per‑page ledger of the job
+        const detailsBtn = document.createElement('button');
+        detailsBtn.textContent = 'Details';
+        detailsBtn.addEventListener('click', () => {
+          window.location.href = `job.html?id=${encodeURIComponent(job.id)}`;
+        });
+
         actionsCol.appendChild(runBtn);
         actionsCol.appendChild(stopBtn);
+        actionsCol.appendChild(cancelBtn);
         actionsCol.appendChild(deleteBtn);
+        actionsCol.appendChild(scheduleBtn);
+        actionsCol.appendChild(detailsBtn);
 
         // Append columns to row
         row.appendChild(nameCol);
@@ -157,6 +326,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
   loadJobs();
 
+  // Reload the lists when the server reports a state change or page
+  // progress over the live event stream.  Bursts of events are
+  // coalesced into a single reload.
+  let reloadTimer = null;
+  const events = new EventSource('/api/events');
+  events.onmessage = (msg) => {
+    let e;
+    try {
+      e = JSON.parse(msg.data);
+    } catch {
+      return;
+    }
+    if (e.type !== 'job:state' && e.type !== 'job:progress') return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(loadJobs, 300);
+  };
+
   backBtn.addEventListener('click', () => {
     window.location.href = '/';
   });
@@ -5,9 +5,20 @@
 // validation is performed before sending data to the server.
 document.addEventListener('DOMContentLoaded', () => {
   const cookieInput = document.getElementById('cookie');
+  const accountNameInput = document.getElementById('accountName');
+  const accountProxyInput = document.getElementById('accountProxy');
+  const accountSelect = document.getElementById('accountSelect');
+  const launchProfileSelect = document.getElementById('launchProfileSelect');
   const saveBtn = document.getElementById('saveBtn');
   const deleteCookieBtn = document.getElementById('deleteCookieBtn');
+  const loginBtn = document.getElementById('loginBtn');
+  const testLoginsBtn = document.getElementById('testLoginsBtn');
   const statusEl = document.getElementById('status');
+  const providerSelect = document.getElementById('providerSelect');
+  const providerCookieInput = document.getElementById('providerCookie');
+  const saveProviderBtn = document.getElementById('saveProviderBtn');
+  const deleteProviderBtn = document.getElementById('deleteProviderBtn');
+  const providerStatusEl = document.getElementById('providerStatus');
   const listNameInput = document.getElementById('listName');
   const urlInput = document.getElementById('url');
   const runBtn = document.getElementById('runBtn');
@@ -15,10 +26,17 @@ document.addEventListener('DOMContentLoaded', () => {
   const downloadBtn = document.getElementById('downloadBtn');
   const jobsBtn = document.getElementById('jobsBtn');
   const outEl = document.getElementById('out');
+  // Optional limit inputs; empty fields are not sent
+  const limitInputs = ['startPage', 'maxPages', 'maxRows', 'stopAfterMinutes']
+    .map((id) => document.getElementById(id));
+  // Optional schedule for recurring runs
+  const scheduleInput = document.getElementById('schedule');
 
   // Track scraping state
   let isRunning = false;
   let isPaused = false;
+  // Job the main page follows (as reported by /api/status)
+  let currentJobId = null;
 
   // Helper to refresh status from server
 async function refreshStatus() {
@@ -27,8 +45,11 @@ async function refreshStatus() {
     const data = await res.json();
     if (data) {
       isRunning = !!data.running;
+      currentJobId = data.currentJobId || null;
       const jobPaused = data.job && data.job.state === 'paused';
       isPaused = !!data.paused || jobPaused;
+      // Several jobs may run side by side; count all of them
+      const activeCount = Array.isArray(data.active) ? data.active.length : 0;
       updateButtons();
 
       // ✅ NEW: check for backend message (like cookie expired)
@@ -40,11 +61,20 @@ async function refreshStatus() {
           outEl.style.color = '';
         }
       } else if (isRunning) {
-        outEl.textContent = 'Scraping is running…';
+        outEl.textContent = activeCount > 1
+          ? `Scraping is running… (${activeCount} jobs active)`
+          : 'Scraping is running…';
         outEl.style.color = '';
       } else if (isPaused) {
         outEl.textContent = 'Scraping is paused.';
         outEl.style.color = '';
+      } else if (activeCount > 0) {
+        outEl.textContent = `${activeCount} job(s) running.`;
+        outEl.style.color = '';
+      } else if (Array.isArray(data.interrupted) && data.interrupted.length) {
+        // Jobs cut off by a server restart wait to be resumed by hand
+        outEl.textContent = `${data.interrupted.length} job(s) were interrupted by a server restart. Open All Jobs to resume them.`;
+        outEl.style.color = '';
       } else {
         outEl.textContent = '';
         outEl.style.color = '';
@@ -56,10 +86,69 @@ async function refreshStatus() {
 }
 
 
+  // Turn a live job event into a short status line.  Returns an empty
+  // string for events that are not shown.
+  function describeEvent(e) {
+    const pageLabel = e.page ? `Page ${e.page}: ` : '';
+    switch (e.type) {
+      case 'page:started':
+        return `${pageLabel}scraping…`;
+      case 'rows:extracted':
+        return `${pageLabel}${e.count} new row(s) from SignalHire.`;
+      case 'profiles:extracted':
+        return `${pageLabel}${e.count} ContactOut profile(s) found.`;
+      case 'contacts:merged':
+        return `${pageLabel}merged ${e.profiles} contact(s) into the CSV.`;
+      case 'pagination:result':
+        if (e.status === 'moved') return `${pageLabel}done, moving to the next page…`;
+        if (e.status === 'no-more') return `${pageLabel}no more pages.`;
+        return `${pageLabel}could not move to the next page.`;
+      case 'retry':
+        return `${pageLabel}retrying ${e.source}${e.attempt ? ` (attempt ${e.attempt}/${e.max})` : ` (${e.rescue})`}…`;
+      case 'login:problem':
+        return `${e.provider} login problem: ${e.message}`;
+      case 'stage:error':
+        return `${pageLabel}${e.stage} error: ${e.message}`;
+      case 'account:switched':
+        return `${pageLabel}LinkedIn cookie of ${e.from} expired; switched to account ${e.to}.`;
+      case 'cookies:refreshed':
+        return `Saved refreshed cookies for ${e.sites.join(', ')}.`;
+      case 'job:progress':
+        return `Scraping is running… page ${e.page}, ${e.totalRows} rows, ${e.totalContacts} contacts.`;
+      default:
+        return '';
+    }
+  }
+
+  // Live updates.  The server pushes job events over Server‑Sent
+  // Events; state changes refresh the status and progress events of
+  // the followed job are shown as they happen.  EventSource reconnects
+  // by itself if the connection drops.
+  const events = new EventSource('/api/events');
+  events.onmessage = (msg) => {
+    let e;
+    try {
+      e = JSON.parse(msg.data);
+    } catch {
+      return;
+    }
+    if (e.type === 'job:state') {
+      refreshStatus();
+      return;
+    }
+    if (e.jobId !== currentJobId) return;
+    const text = describeEvent(e);
+    if (text) {
+      outEl.textContent = text;
+      outEl.style.color = e.type === 'login:problem' || e.type === 'stage:error' ? 'red' : '';
+    }
+  };
+
   // Update button states and labels based on running/paused
   function updateButtons() {
-    // Allow starting a new job even if paused; disable only when running
-    runBtn.disabled = isRunning;
+    // The run button stays enabled: while a job is running, new jobs
+    // are added to the backend queue instead of replacing it.
+    runBtn.disabled = false;
     if (isRunning) {
       stopBtn.textContent = 'Stop';
       stopBtn.disabled = false;
@@ -73,8 +162,69 @@ async function refreshStatus() {
     }
   }
 
+  // Fill the account dropdown from /api/accounts, keeping the current
+  // choice when it still exists.  Accounts without a cookie are shown
+  // but cannot be picked.
+  async function loadAccounts() {
+    try {
+      const res = await fetch('/api/accounts');
+      const data = await res.json();
+      const selected = accountSelect.value;
+      accountSelect.innerHTML = '';
+      for (const account of data.accounts || []) {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = !account.hasCookie
+          ? `${account.name} (no cookie)`
+          : account.healthy === false ? `${account.name} (cookie expired)` : account.name;
+        option.disabled = !account.hasCookie;
+        accountSelect.appendChild(option);
+      }
+      if ([...accountSelect.options].some((o) => o.value === selected && !o.disabled)) {
+        accountSelect.value = selected;
+      }
+      return data.accounts || [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Fill the browser profile dropdown from /api/launch-profiles.  The
+  // empty choice leaves the profile to the account (or the default).
+  async function loadLaunchProfiles() {
+    launchProfileSelect.innerHTML = '<option value="">(account default)</option>';
+    try {
+      const res = await fetch('/api/launch-profiles');
+      const data = await res.json();
+      for (const profile of data.profiles || []) {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        const details = [profile.headless ? 'headless' : 'headed'];
+        if (profile.proxy) details.push(`proxy ${profile.proxy.server}`);
+        option.textContent = `${profile.name} (${details.join(', ')})`;
+        launchProfileSelect.appendChild(option);
+      }
+    } catch {}
+  }
+
+  // Show the cookie status of both enrichment providers
+  async function refreshProviderStatus() {
+    const lines = [];
+    for (const option of providerSelect.options) {
+      try {
+        const res = await fetch(`/api/providers/${option.value}/cookie`);
+        const data = await res.json();
+        lines.push(data.message || data.error || '');
+      } catch {}
+    }
+    providerStatusEl.textContent = lines.join('\n');
+  }
+
   // On page load, query cookie status and scraping status
   (async () => {
+    await loadAccounts();
+    await loadLaunchProfiles();
+    await refreshProviderStatus();
     try {
       const res = await fetch('/api/cookie-status');
       const data = await res.json();
@@ -86,34 +236,153 @@ async function refreshStatus() {
     await refreshStatus();
   })();
 
-  // Save cookie handler
+  // Save cookie handler.  With an account name the cookie is saved to
+  // that account (created if new); without one it is the default cookie.
+  // A proxy, when entered, is saved to the same account.
   saveBtn.addEventListener('click', async () => {
     const text = cookieInput.value.trim();
+    const name = accountNameInput.value.trim();
+    const proxy = accountProxyInput.value.trim();
     statusEl.textContent = '';
     if (!text) {
-      statusEl.textContent = 'Please paste your LinkedIn cookie JSON.';
+      statusEl.textContent = 'Please paste your LinkedIn cookies.';
       return;
     }
     try {
-      const res = await fetch('/api/save-cookie', {
+      let res;
+      if (name) {
+        const accounts = await loadAccounts();
+        const existing = accounts.find((a) => a.name.toLowerCase() === name.toLowerCase());
+        res = await fetch(existing ? `/api/accounts/${encodeURIComponent(existing.id)}` : '/api/accounts', {
+          method: existing ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...(existing ? {} : { name }), cookie: text, ...(proxy ? { proxy } : {}) }),
+        });
+      } else {
+        res = await fetch('/api/save-cookie', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ cookie: text }),
+        });
+        if (res.ok && proxy) {
+          res = await fetch('/api/accounts/default', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ proxy }),
+          });
+        }
+      }
+      const data = await res.json();
+      statusEl.textContent = data.message || data.error || '';
+      await loadAccounts();
+    } catch (err) {
+      statusEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
+  // Log in with browser handler.  The server opens a browser on the
+  // LinkedIn login page and saves the cookies once the user has logged
+  // in there.  With an account name the cookies go to that account
+  // (created if new); without one they are the default cookie.
+  loginBtn.addEventListener('click', async () => {
+    const name = accountNameInput.value.trim();
+    statusEl.textContent = '';
+    try {
+      let accountId = 'default';
+      if (name) {
+        const accounts = await loadAccounts();
+        const existing = accounts.find((a) => a.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+          accountId = existing.id;
+        } else {
+          const created = await fetch('/api/accounts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name }),
+          });
+          const data = await created.json();
+          if (!created.ok) {
+            statusEl.textContent = data.error || 'Failed to create the account.';
+            return;
+          }
+          accountId = data.account.id;
+        }
+      }
+      const url = `/api/accounts/${encodeURIComponent(accountId)}/login-session`;
+      const res = await fetch(url, { method: 'POST' });
+      const data = await res.json();
+      statusEl.textContent = data.message || data.error || '';
+      if (!res.ok) return;
+      loginBtn.disabled = true;
+      // Follow the login until it is saved, failed or cancelled
+      const timer = setInterval(async () => {
+        try {
+          const res2 = await fetch(url);
+          const { session } = await res2.json();
+          if (!session) return;
+          statusEl.textContent = session.message;
+          if (session.state !== 'waiting') {
+            clearInterval(timer);
+            loginBtn.disabled = false;
+            await loadAccounts();
+          }
+        } catch {}
+      }, 3000);
+    } catch (err) {
+      statusEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
+  // Test logins handler.  The server opens a browser, checks the
+  // LinkedIn login of the account picked for scraping and the
+  // SignalHire and ContactOut logins, and reports one line per service.
+  testLoginsBtn.addEventListener('click', async () => {
+    statusEl.textContent = 'Testing logins…';
+    testLoginsBtn.disabled = true;
+    try {
+      const res = await fetch('/api/health/logins', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cookie: text }),
+        body: JSON.stringify(accountSelect.value ? { accountId: accountSelect.value } : {}),
       });
       const data = await res.json();
-      statusEl.textContent = data.message || data.error || '';
+      const proxyLine = data.proxy && data.proxy.ok
+        ? [`✓ Proxy ${data.proxy.server} OK (${data.proxy.latencyMs} ms)`]
+        : [];
+      statusEl.textContent = res.ok
+        ? [...proxyLine, ...data.services.map((s) => `${s.loggedIn ? '✓' : '✗'} ${s.message}${s.finalUrl ? ` (${s.finalUrl})` : ''}`)].join('\n')
+        : data.error || 'Login check failed.';
     } catch (err) {
       statusEl.textContent = 'Error: ' + (err.message || err);
+    } finally {
+      testLoginsBtn.disabled = false;
     }
   });
 
-  // Delete cookie handler
+  // Delete cookie handler.  With an account name the whole account is
+  // deleted; without one the default cookie.
   deleteCookieBtn.addEventListener('click', async () => {
+    const name = accountNameInput.value.trim();
     statusEl.textContent = '';
     try {
+      if (name) {
+        const accounts = await loadAccounts();
+        const existing = accounts.find((a) => a.name.toLowerCase() === name.toLowerCase());
+        if (!existing) {
+          statusEl.textContent = `No account named "${name}".`;
+          return;
+        }
+        if (!confirm(`Delete account "${existing.name}"?`)) return;
+        const res = await fetch(`/api/accounts/${encodeURIComponent(existing.id)}`, { method: 'DELETE' });
+        const data = await res.json();
+        statusEl.textContent = data.message || data.error || '';
+        await loadAccounts();
+        return;
+      }
       const res = await fetch('/api/delete-cookie', { method: 'DELETE' });
       const data = await res.json();
       statusEl.textContent = data.message || data.error || '';
+      await loadAccounts();
       // Refresh cookie status after deletion
       try {
         const res2 = await fetch('/api/cookie-status');
@@ -127,13 +396,45 @@ async function refreshStatus() {
     }
   });
 
+  // Save provider cookie handler
+  saveProviderBtn.addEventListener('click', async () => {
+    const text = providerCookieInput.value.trim();
+    providerStatusEl.textContent = '';
+    if (!text) {
+      providerStatusEl.textContent = 'Please paste the cookie JSON.';
+      return;
+    }
+    try {
+      const res = await fetch(`/api/providers/${providerSelect.value}/cookie`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cookie: text }),
+      });
+      const data = await res.json();
+      providerStatusEl.textContent = data.message || data.error || '';
+      if (res.ok) providerCookieInput.value = '';
+    } catch (err) {
+      providerStatusEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
+  // Delete provider cookie handler
+  deleteProviderBtn.addEventListener('click', async () => {
+    const label = providerSelect.options[providerSelect.selectedIndex].textContent;
+    if (!confirm(`Delete the ${label} cookie?`)) return;
+    try {
+      await fetch(`/api/providers/${providerSelect.value}/cookie`, { method: 'DELETE' });
+      await refreshProviderStatus();
+    } catch (err) {
+      providerStatusEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
   // Run scraper handler
   runBtn.addEventListener('click', async () => {
-    // Allow starting a new job even if another job is paused.  Only
-    // disable starting when a job is currently running.  When a job
-    // is paused, creating a new job will automatically pause the
-    // paused job and start the new one on the backend.
-    if (isRunning) return;
+    // New jobs always go through the backend queue.  If nothing is
+    // running the job starts immediately; otherwise it waits its turn
+    // and the response tells us its queue position.
     const url = urlInput.value.trim();
     const listName = listNameInput.value.trim();
     outEl.textContent = '';
@@ -146,36 +447,29 @@ async function refreshStatus() {
       outEl.textContent = 'Not valid, please use a valid LinkedIn Sales Navigator People URL.';
       return;
     }
+    const payload = { url, listName };
+    if (accountSelect.value) payload.accountId = accountSelect.value;
+    if (launchProfileSelect.value) payload.launchProfile = launchProfileSelect.value;
+    for (const input of limitInputs) {
+      const value = input.value.trim();
+      if (value) payload[input.id] = Number(value);
+    }
+    if (scheduleInput.value.trim()) payload.schedule = scheduleInput.value.trim();
     try {
-
-      
-      // Start scrape
-      isRunning = true;
-      isPaused = false;
-      updateButtons();
-      outEl.textContent = 'Scraping is running…';
       const res = await fetch('/api/scrape', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, listName }),
+        body: JSON.stringify(payload),
       });
-
-
       const data = await res.json();
       if (res.ok) {
+        await refreshStatus();
         outEl.textContent = data.message || 'Scrape started.';
       } else {
         outEl.textContent = data.error || 'Error occurred.';
-        // Reset state if error
-        isRunning = false;
-        isPaused = false;
-        updateButtons();
       }
     } catch (err) {
       outEl.textContent = 'Error: ' + (err.message || err);
-      isRunning = false;
-      isPaused = false;
-      updateButtons();
     }
   });
 
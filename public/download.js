@@ -21,8 +21,8 @@ document.addEventListener('DOMContentLoaded', () => {
       // are of the form `<slug>_YYYYMMDD_HHMMSS.csv`.  Extract the timestamp
       // portion and sort descending so that the latest downloads are at the top.
       files = files.sort((a, b) => {
-        const tsA = (a.match(/_(\d{8}_\d{6})\.csv$/) || [])[1] || '';
-        const tsB = (b.match(/_(\d{8}_\d{6})\.csv$/) || [])[1] || '';
+        const tsA = (a.match(/_(\d{8}_\d{6})(?:_new)?\.csv$/) || [])[1] || '';
+        const tsB = (b.match(/_(\d{8}_\d{6})(?:_new)?\.csv$/) || [])[1] || '';
         if (tsA && tsB) {
           return tsB.localeCompare(tsA);
         }
@@ -30,12 +30,15 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       // Fetch job metadata to correlate list names and counts
       let jobMap = {};
+      let deltaMap = {};
       try {
         const resJobs = await fetch('/api/jobs');
         const dataJobs = await resJobs.json();
         if (resJobs.ok && Array.isArray(dataJobs.jobs)) {
           dataJobs.jobs.forEach((j) => {
             jobMap[j.fileName] = j;
+            // Scheduled runs also have a "new since last run" CSV
+            if (j.deltaFileName) deltaMap[j.deltaFileName] = j;
           });
         }
       } catch {}
@@ -63,7 +66,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const nameCol = document.createElement('span');
         nameCol.className = 'file-col';
         const job = jobMap[file];
-        nameCol.textContent = job ? job.listName : file;
+        const deltaJob = deltaMap[file];
+        nameCol.textContent = job ? job.listName : deltaJob ? `${deltaJob.listName} (new since last run)` : file;
         // Counting data column: totalRows/totalContacts
         const countCol = document.createElement('span');
         countCol.className = 'file-col';
@@ -71,6 +75,8 @@ document.addEventListener('DOMContentLoaded', () => {
           const total = job.totalRows || 0;
           const contacts = job.totalContacts || 0;
           countCol.textContent = `${total}/${contacts}`;
+        } else if (deltaJob) {
+          countCol.textContent = `${deltaJob.newRows || 0} new`;
         } else {
           countCol.textContent = '-';
         }
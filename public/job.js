@@ -0,0 +1,215 @@
+// public/job.js
+
+// Script for the job detail page.  Shows the per‑page ledger of one job
+// (opened as job.html?id=<jobId>) so pages that failed or came back
+// thin are easy to spot, and the screenshots, HTML and traces saved
+// when a stage failed.  Both reload live as the job runs.
+
+document.addEventListener('DOMContentLoaded', () => {
+  const titleEl = document.getElementById('jobTitle');
+  const summaryEl = document.getElementById('jobSummary');
+  const pageListEl = document.getElementById('pageList');
+  const artifactListEl = document.getElementById('artifactList');
+  const backBtn = document.getElementById('backBtn');
+  const retryBtn = document.getElementById('retryBtn');
+  const jobId = new URLSearchParams(window.location.search).get('id');
+
+  // Format a duration in milliseconds as seconds
+  function secs(ms) {
+    return Number.isFinite(ms) ? `${(ms / 1000).toFixed(1)}s` : '–';
+  }
+
+  // Format a byte count as MB
+  function formatBytes(bytes) {
+    return Number.isFinite(bytes) ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : '–';
+  }
+
+  // Load the ledger from the server and render one row per page
+  async function loadPages() {
+    if (!jobId) {
+      pageListEl.textContent = 'No job selected.';
+      return;
+    }
+    try {
+      const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/pages`);
+      const data = await res.json();
+      if (!res.ok) {
+        pageListEl.textContent = data.error || 'Failed to load pages.';
+        return;
+      }
+      titleEl.textContent = data.listName || 'Job Details';
+      const pages = data.pages || [];
+      const failed = pages.filter((p) => p.error).length;
+      const limits = Object.entries(data.limits || {}).map(([k, v]) => `${k} ${v}`);
+      const requests = data.requestStats;
+      summaryEl.textContent = `${pages.length} page(s) scraped, ${failed} with errors. Job is ${data.state}.` +
+        (limits.length ? ` Limits: ${limits.join(', ')}.` : '') +
+        (requests
+          ? ` Last run: ${requests.allowed} request(s) allowed (${formatBytes(requests.allowedBytes)}), ${requests.blocked} blocked.`
+          : '');
+      if (pages.length === 0) {
+        pageListEl.textContent = 'No pages scraped yet.';
+        return;
+      }
+      pageListEl.innerHTML = '';
+      const header = document.createElement('div');
+      header.className = 'job-row job-header';
+      ['Page', 'SignalHire', 'ContactOut', 'Merged', 'Durations', 'Error'].forEach((txt) => {
+        const span = document.createElement('span');
+        span.className = 'job-col';
+        span.textContent = txt;
+        header.appendChild(span);
+      });
+      pageListEl.appendChild(header);
+      pages.forEach((p) => {
+        const row = document.createElement('div');
+        row.className = 'job-row';
+        // Failed pages have an error; thin pages returned no rows or no contacts
+        if (p.error || p.stoppedEarly) row.classList.add('page-failed');
+        else if (!p.signalHireRows || !p.contactOutProfiles) row.classList.add('page-thin');
+
+        const pageCol = document.createElement('span');
+        pageCol.className = 'job-col';
+        if (p.url) {
+          const link = document.createElement('a');
+          link.href = p.url;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          link.textContent = p.page;
+          pageCol.appendChild(link);
+        } else {
+          pageCol.textContent = p.page;
+        }
+        if (p.attempts > 1) pageCol.append(` (${p.attempts} attempts${p.retried ? ', retried' : ''})`);
+
+        const shCol = document.createElement('span');
+        shCol.className = 'job-col';
+        shCol.textContent = p.signalHireRows;
+        const coCol = document.createElement('span');
+        coCol.className = 'job-col';
+        coCol.textContent = p.contactOutProfiles;
+        const mergedCol = document.createElement('span');
+        mergedCol.className = 'job-col';
+        mergedCol.textContent = p.rowsMerged;
+
+        const d = p.durations || {};
+        const durCol = document.createElement('span');
+        durCol.className = 'job-col';
+        durCol.textContent = `total ${secs(d.total)}`;
+        durCol.title = `SignalHire ${secs(d.signalHire)}\nContactOut ${secs(d.contactOut)}\nMerge ${secs(d.merge)}\nPagination ${secs(d.pagination)}`;
+
+        const errCol = document.createElement('span');
+        errCol.className = 'job-col';
+        errCol.textContent = p.error || (p.stoppedEarly ? 'stopped early' : '');
+        if (p.artifacts && p.artifacts.length) {
+          const link = document.createElement('a');
+          link.href = '#artifacts';
+          link.textContent = ` (${p.artifacts.length} artifact${p.artifacts.length > 1 ? 's' : ''})`;
+          errCol.appendChild(link);
+        }
+
+        row.appendChild(pageCol);
+        row.appendChild(shCol);
+        row.appendChild(coCol);
+        row.appendChild(mergedCol);
+        row.appendChild(durCol);
+        row.appendChild(errCol);
+        pageListEl.appendChild(row);
+      });
+    } catch (err) {
+      pageListEl.textContent = 'Error loading pages.';
+    }
+  }
+
+  // Load the saved failures and render one row per failure with a
+  // screenshot preview and links to every file
+  async function loadArtifacts() {
+    if (!jobId) return;
+    try {
+      const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/artifacts`);
+      const data = await res.json();
+      if (!res.ok) {
+        artifactListEl.textContent = data.error || 'Failed to load artifacts.';
+        return;
+      }
+      const artifacts = data.artifacts || [];
+      if (artifacts.length === 0) {
+        artifactListEl.textContent = 'No stage failures recorded.';
+        return;
+      }
+      artifactListEl.innerHTML = '';
+      artifacts.forEach((a) => {
+        const row = document.createElement('div');
+        row.className = 'job-row page-failed';
+
+        const infoCol = document.createElement('span');
+        infoCol.className = 'job-col';
+        infoCol.textContent = `Page ${a.page ?? '–'} · ${a.stage} · ${new Date(a.at).toLocaleString()}`;
+        infoCol.title = a.url || '';
+
+        const errCol = document.createElement('span');
+        errCol.className = 'job-col';
+        errCol.textContent = a.error || '';
+
+        const filesCol = document.createElement('span');
+        filesCol.className = 'job-col artifact-files';
+        a.files.forEach((f) => {
+          const link = document.createElement('a');
+          link.href = f.url;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          if (f.name === 'screenshot.png') {
+            const img = document.createElement('img');
+            img.src = f.url;
+            img.alt = 'Screenshot';
+            img.className = 'artifact-thumb';
+            link.appendChild(img);
+          } else {
+            link.textContent = f.name;
+          }
+          filesCol.appendChild(link);
+        });
+
+        row.appendChild(infoCol);
+        row.appendChild(errCol);
+        row.appendChild(filesCol);
+        artifactListEl.appendChild(row);
+      });
+    } catch (err) {
+      artifactListEl.textContent = 'Error loading artifacts.';
+    }
+  }
+
+  loadPages();
+  loadArtifacts();
+
+  // Reload when this job finishes a page, saves artifacts or changes state
+  if (jobId) {
+    const events = new EventSource(`/api/events?jobId=${encodeURIComponent(jobId)}`);
+    events.onmessage = (msg) => {
+      let e;
+      try {
+        e = JSON.parse(msg.data);
+      } catch {
+        return;
+      }
+      if (e.type === 'page:finished' || e.type === 'job:state') loadPages();
+      if (e.type === 'artifact:saved') loadArtifacts();
+    };
+  }
+
+  // Re‑scrape the failed and thin pages of this job
+  retryBtn.addEventListener('click', async () => {
+    try {
+      const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/retry-pages`, { method: 'POST' });
+      const data = await res.json();
+      summaryEl.textContent = data.message || data.error || '';
+    } catch (err) {
+      summaryEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
+  backBtn.addEventListener('click', () => {
+    window.location.href = 'all-jobs.html';
+  });
+});
@@ -0,0 +1,52 @@
+// routes/artifactRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Screenshots, HTML and traces saved when a stage of a job failed.  See
+// utils/failureArtifacts.
+const { listArtifacts, artifactPath } = require('../utils/failureArtifacts');
+const { getJob } = require('../utils/jobsManager');
+
+// GET /api/jobs/:id/artifacts
+// List the saved failures of a job, newest first.  Each has its `id`,
+// `stage`, `page`, `error`, `url` and `at`, plus `files` with the URL
+// of every saved file.  404 for an unknown job.
+router.get('/jobs/:id/artifacts', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  try {
+    const base = `/api/jobs/${encodeURIComponent(job.id)}/artifacts`;
+    const artifacts = (await listArtifacts(job.id)).map((a) => ({
+      ...a,
+      files: a.files.map((name) => ({
+        name,
+        url: `${base}/${encodeURIComponent(a.id)}/${encodeURIComponent(name)}`,
+      })),
+    }));
+    return res.json({ jobId: job.id, artifacts });
+  } catch (err) {
+    console.error('artifacts error:', err);
+    return res.status(500).json({ error: 'Failed to list artifacts.' });
+  }
+});
+
+// GET /api/jobs/:id/artifacts/:artifactId/:file
+// Serve one saved file.  Saved pages are LinkedIn's own HTML, so they
+// are served in a sandbox where their scripts cannot run.
+router.get('/jobs/:id/artifacts/:artifactId/:file', async (req, res) => {
+  const { id, artifactId, file } = req.params;
+  if (!getJob(id)) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  const filePath = await artifactPath(id, artifactId, file);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Artifact not found.' });
+  }
+  res.set('Content-Security-Policy', 'sandbox');
+  return res.sendFile(filePath);
+});
+
+module.exports = router;
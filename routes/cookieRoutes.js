@@ -6,12 +6,22 @@ const router = express.Router();
 // The fileHandler module encapsulates all logic around persisting the
 // LinkedIn cookie to disk.  Keeping this logic in one place avoids
 // scattering file system calls throughout your route handlers.
-const { saveCookieFile, getCookieFilePath, deleteCookieFile } = require('../utils/fileHandler');
+const { saveCookieFile, getCookieFilePath, deleteCookieFile, parseCookieText } = require('../utils/fileHandler');
+// Checks for the cookies Sales Navigator needs and their expiry dates
+const { loadAndConvert, linkedInCookieReport, describeCookieReport } = require('../utils/cookieUtil');
+// This cookie is the `default` account; a new cookie makes it healthy again
+const { DEFAULT_ACCOUNT_ID, markAccountHealthy } = require('../utils/accounts');
 
 // POST /api/save-cookie
 // Accepts a JSON object with a `cookie` property containing the raw
-// LinkedIn cookie JSON array.  The cookie is parsed and written to
-// disk; on success a message is returned to the caller.  Errors are
+// LinkedIn cookies: a JSON export (Chrome extension or Playwright),
+// a Playwright storageState, a Netscape cookies.txt or a copied
+// Cookie header.  The format is detected and reported as `format`,
+// and the cookies are saved as Playwright cookies after a check for
+// the cookies Sales Navigator needs (see cookieUtil); the response
+// carries the resulting `report` (missing, wrong-domain and expired
+// cookies and days until the earliest expiry).  A cookie without a
+// valid `li_at` is rejected with 400 and not saved.  Errors are
 // caught and logged to aid in debugging during development.
 router.post('/save-cookie', async (req, res) => {
   try {
@@ -19,10 +29,22 @@ router.post('/save-cookie', async (req, res) => {
     if (!cookie || typeof cookie !== 'string') {
       return res
         .status(400)
-        .json({ error: 'Invalid cookie payload. Expecting a JSON string.' });
+        .json({ error: 'Invalid cookie payload. Expecting the cookie text as a string.' });
     }
-    saveCookieFile(cookie);
-    return res.json({ message: 'Cookie saved successfully.' });
+    let parsed;
+    try {
+      parsed = parseCookieText(cookie);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const { format } = parsed;
+    const report = linkedInCookieReport(parsed.cookies);
+    if (!report.usable) {
+      return res.status(400).json({ error: describeCookieReport(report), format, report });
+    }
+    await saveCookieFile(cookie);
+    await markAccountHealthy(DEFAULT_ACCOUNT_ID);
+    return res.json({ message: `Cookie saved successfully (${format}). ${describeCookieReport(report)}`, format, report });
   } catch (err) {
     console.error('save-cookie error:', err);
     return res
@@ -32,17 +54,19 @@ router.post('/save-cookie', async (req, res) => {
 });
 
 // GET /api/cookie-status
-// Returns whether a LinkedIn cookie file is already present on disk and a
-// corresponding message.  The frontend can call this endpoint on
-// page load to determine whether the user needs to paste a new
-// cookie.  This endpoint does not read the cookie contents.
+// Returns whether a LinkedIn cookie file is already present on disk
+// and, if so, the same `report` as POST /api/save-cookie with a
+// message summarising it.  The frontend calls this endpoint on page
+// load to tell the user whether a fresh cookie is needed.
 router.get('/cookie-status', (req, res) => {
   try {
-    const exists = !!getCookieFilePath();
-    if (exists) {
+    const filePath = getCookieFilePath();
+    if (filePath) {
+      const report = linkedInCookieReport(loadAndConvert(filePath));
       return res.json({
         hasCookie: true,
-        message: 'You already have cookies. No need to paste new cookie.',
+        message: describeCookieReport(report),
+        report,
       });
     }
     return res.json({
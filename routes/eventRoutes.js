@@ -0,0 +1,48 @@
+// routes/eventRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Live job events are published on the in-process bus in utils/events.
+const { subscribe, eventsSince } = require('../utils/events');
+
+// Comment lines sent periodically so proxies do not close idle streams
+const HEARTBEAT_MS = 25_000;
+
+// GET /api/events
+// Server-Sent Events stream of live job progress: state changes, page
+// started, rows extracted, contacts merged, pagination results,
+// retries, login problems and job finished.  Each message is a JSON
+// object with `id`, `jobId`, `type` and `at` plus event-specific
+// fields.  Pass `?jobId=` to receive only one job's events.  A client
+// reconnecting with a `Last-Event-ID` header first receives the
+// buffered events it missed (all of them when the id is from before a
+// server restart).
+router.get('/events', (req, res) => {
+  const jobFilter = req.query.jobId ? String(req.query.jobId) : null;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (jobFilter && event.jobId !== jobFilter) return;
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) eventsSince(lastEventId).forEach(send);
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// routes/healthRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Login checks that run outside of a job.  See utils/loginHealth.
+const { checkLogins, isLoginCheckRunning } = require('../utils/loginHealth');
+const { getAccount, getAccountProxy } = require('../utils/accounts');
+const { resolveLaunchProfile } = require('../utils/launchProfiles');
+const { normalizeProxy, checkProxy } = require('../utils/proxy');
+
+// POST /api/health/logins
+// Launch a throwaway browser, check the LinkedIn login of `accountId`
+// (the account jobs use by default when omitted) and the SignalHire
+// and ContactOut logins, then close the browser.  Responds with `ok`
+// and one `{ service, label, loggedIn, status, finalUrl, message }`
+// entry per service, plus the `proxy` check when the account uses a
+// proxy.  400 for an unknown account, 409 while another check is
+// running.
+router.post('/health/logins', async (req, res) => {
+  const { accountId } = req.body || {};
+  try {
+    if (accountId && !(await getAccount(accountId))) {
+      return res.status(400).json({ error: 'Unknown account.' });
+    }
+    if (isLoginCheckRunning()) {
+      return res.status(409).json({ error: 'A login check is already running.' });
+    }
+    return res.json(await checkLogins({ accountId }));
+  } catch (err) {
+    console.error('login health check error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to check the logins.' });
+  }
+});
+
+// POST /api/health/proxy
+// Check that a proxy answers and can reach LinkedIn (see
+// utils/proxy.checkProxy), without launching a browser.  Send `proxy`
+// (URL or `{ server, username, password }`) to test one before saving
+// it, or `accountId` to test the proxy that account's jobs use (its own
+// or its launch profile's).  Responds with `{ ok, server, target,
+// latencyMs, error? }`; 400 for an unknown account, an invalid proxy or
+// an account without one.
+router.post('/health/proxy', async (req, res) => {
+  const { accountId, proxy } = req.body || {};
+  try {
+    let target = proxy;
+    if (!target && accountId) {
+      const account = await getAccount(accountId);
+      if (!account) return res.status(400).json({ error: 'Unknown account.' });
+      target = (await getAccountProxy(account.id)) || resolveLaunchProfile(account.launchProfile).proxy;
+      if (!target) return res.status(400).json({ error: 'This account does not use a proxy.' });
+    }
+    if (!target) return res.status(400).json({ error: 'Send a proxy or an accountId.' });
+    try {
+      normalizeProxy(target);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.json(await checkProxy(target));
+  } catch (err) {
+    console.error('proxy check error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to check the proxy.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// routes/launchProfileRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Browser launch profiles from config/launchProfiles.json.  See
+// utils/launchProfiles.
+const { listLaunchProfiles } = require('../utils/launchProfiles');
+
+// GET /api/launch-profiles
+// List the launch profiles (`{ profiles: [{ name, isDefault, headless,
+// proxy, viewport, ... }] }`).  Proxy passwords are never returned.
+// An invalid profiles file answers 500 with the reason.
+router.get('/launch-profiles', (req, res) => {
+  try {
+    return res.json({ profiles: listLaunchProfiles() });
+  } catch (err) {
+    console.error('launch profiles error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to read the launch profiles.' });
+  }
+});
+
+module.exports = router;
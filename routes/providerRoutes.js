@@ -0,0 +1,97 @@
+// routes/providerRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Cookies of the enrichment providers, stored in the project root and
+// loaded by runScrape() before each job.  See utils/providerCookies.
+const {
+  getProvider,
+  checkProviderCookie,
+  saveProviderCookie,
+  providerCookieStatus,
+  deleteProviderCookie,
+} = require('../utils/providerCookies');
+const { describeCookieReport } = require('../utils/cookieUtil');
+
+// Resolve `:provider` or answer 404.  Returns the provider config.
+function providerOr404(req, res) {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    res.status(404).json({ error: 'Unknown provider. Use signalhire or contactout.' });
+  }
+  return provider;
+}
+
+// POST /api/providers/:provider/cookie
+// Save the cookie of `signalhire` or `contactout` from `{ cookie }`,
+// the raw cookie text in any format POST /api/save-cookie accepts.
+// The cookie is checked first and the response carries the detected
+// `format` and its `report`;
+// a cookie without the provider's login cookie is rejected with 400.
+router.post('/providers/:provider/cookie', async (req, res) => {
+  const provider = providerOr404(req, res);
+  if (!provider) return;
+  const { cookie } = req.body || {};
+  if (!cookie || typeof cookie !== 'string') {
+    return res.status(400).json({ error: 'Invalid cookie payload. Expecting the cookie text as a string.' });
+  }
+  let format;
+  let report;
+  try {
+    ({ format, report } = checkProviderCookie(req.params.provider, cookie));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!report.usable) {
+    return res.status(400).json({ error: describeCookieReport(report, provider.label), format, report });
+  }
+  try {
+    await saveProviderCookie(req.params.provider, cookie);
+    return res.json({
+      message: `${provider.label} cookie saved (${format}). ${describeCookieReport(report, provider.label)}`,
+      format,
+      report,
+    });
+  } catch (err) {
+    console.error('save provider cookie error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to save cookie.' });
+  }
+});
+
+// GET /api/providers/:provider/cookie
+// Whether the provider's cookie is saved, with its `report` and a
+// message summarising it.
+router.get('/providers/:provider/cookie', (req, res) => {
+  const provider = providerOr404(req, res);
+  if (!provider) return;
+  try {
+    const { hasCookie, report } = providerCookieStatus(req.params.provider);
+    return res.json({
+      hasCookie,
+      message: hasCookie
+        ? describeCookieReport(report, provider.label)
+        : `No ${provider.label} cookie saved. Jobs cannot start without it.`,
+      report,
+    });
+  } catch (err) {
+    console.error('provider cookie status error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to check cookie status.' });
+  }
+});
+
+// DELETE /api/providers/:provider/cookie
+// Remove the provider's cookie file, if any.
+router.delete('/providers/:provider/cookie', async (req, res) => {
+  const provider = providerOr404(req, res);
+  if (!provider) return;
+  try {
+    await deleteProviderCookie(req.params.provider);
+    return res.json({ message: `${provider.label} cookie deleted.` });
+  } catch (err) {
+    console.error('delete provider cookie error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to delete cookie.' });
+  }
+});
+
+module.exports = router;
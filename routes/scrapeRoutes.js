@@ -4,11 +4,37 @@ const express = require('express');
 const path = require('path');
 const router = express.Router();
 
-const { getCookieFilePath } = require('../utils/fileHandler');
-const { launchStealthBrowser } = require('../utils/browser');
+const {
+  resolveAccount,
+  getAccountCookiePath,
+  getAccountProxy,
+  markAccountUnhealthy,
+  markAccountHealthy,
+  nextHealthyAccount,
+} = require('../utils/accounts');
+const { PROVIDERS, providerCookiePath, hasProviderCookie } = require('../utils/providerCookies');
+const { jobCookieTargets, cookieFileStamp, writeBackCookies } = require('../utils/cookieRefresh');
+const { acquireBrowser, describeBrowserPool } = require('../utils/browserPool');
+const { hasLaunchProfile, resolveLaunchProfile } = require('../utils/launchProfiles');
+const { checkProxy } = require('../utils/proxy');
+const {
+  startTracing,
+  restartTraceChunk,
+  stopTracing,
+  captureFailure,
+  deleteJobArtifacts,
+} = require('../utils/failureArtifacts');
+const {
+  loadBlockPolicy,
+  newRequestStats,
+  trackRequests,
+  untrackRequests,
+  summarizeRequestStats,
+} = require('../utils/blockPolicy');
 const {
   addLinkedInCookies,
   checkLinkedInByUrl,
+  isLoggedOutUrl,
 } = require('../utils/linkedin_login');
 const { ensureContactOutLogin } = require('../utils/contactout_login');
 const { ensureSignalHireLogin } = require('../utils/signalhire_login');
@@ -46,28 +72,100 @@ const {
 } = require('../utils/jobsManager');
 const jobs = getJobs(); // alias to the in‑memory jobs cache
 
-const scrapeSession = {
-  isScraping: false,
-  isPaused: false,
-  pauseRequested: false,
-  currentJobId: null,
-};
+// Every state change goes through the job state machine, which rejects
+// illegal transitions and records each change in the job's history.
+const { canTransition, initJobState, transitionJob } = require('../utils/jobState');
+
+// Live progress is published on the event bus and streamed to the
+// browser by GET /api/events.
+const { emitJobEvent, jobEventEmitter } = require('../utils/events');
+
+// Every scraped page gets an entry in the job's `pages` ledger.
+const {
+  startPageEntry,
+  timeStage,
+  addPageError,
+  recordPageEntry,
+  isThinPage,
+  isFailedPage,
+  pagesNeedingRetry,
+} = require('../utils/pageLedger');
+
+// Jobs waiting to run are kept in a FIFO queue.  New jobs are appended
+// to the queue and the runner starts the next one whenever the current
+// job finishes or pauses; nothing is pre‑empted.
+const {
+  listQueue,
+  isQueued,
+  enqueue,
+  dequeue,
+  removeFromQueue,
+  moveInQueue,
+  reorderQueue,
+} = require('../utils/jobQueue');
+
+// Runtime state of every active job, keyed by job id.  Each entry holds
+// the pause flag checked by runScrape() and the lease on the browser
+// the job borrowed from the pool (see utils/browserPool).  Each pooled
+// browser has its own slot and user‑data directory, so concurrent jobs
+// run in isolated browser contexts with separate cookie jars.
+const scrapeSessions = new Map();
+
+// Maximum number of jobs that may run at the same time.  Defaults to 1
+// (strictly sequential); raise SCRAPER_MAX_CONCURRENCY to scrape several
+// searches in parallel.
+const MAX_CONCURRENT_JOBS = Math.max(1, Math.floor(Number(process.env.SCRAPER_MAX_CONCURRENCY || '1')) || 1);
+
+// While a job runs, the browser's rotated cookies are written back to
+// the stored cookie files every SCRAPER_COOKIE_REFRESH_MINUTES (default
+// 30; 0 writes them back only when the run ends).  See utils/cookieRefresh.
+const COOKIE_REFRESH_MS = Math.max(0, Number(process.env.SCRAPER_COOKIE_REFRESH_MINUTES ?? '30') || 0) * 60 * 1000;
+
+// Set once the server is shutting down (see shutdownActiveJobs); no
+// further queued jobs are started after that.
+let shuttingDown = false;
+
+// Job the main page follows: the most recently started job.  It stays
+// set after the job pauses so that /api/resume can pick it up again.
+let currentJobId = null;
 
 // Import next page navigation helper.  This helper advances the Sales
 // Navigator list to the next page until either a change is detected
 // or no more pages exist.
-const { clickNextPage } = require('../utils/nextPageNavigation');
+const { clickNextPage, buildPageUrl } = require('../utils/nextPageNavigation');
+// Optional per‑job limits: start page, page/row caps and a time limit.
+const { parseJobLimits, limitReached } = require('../utils/jobLimits');
+// Recurring searches and their "new since last run" CSVs.
+const { parseSchedule, nextRunTime, describeSchedule } = require('../utils/schedule');
+const { writeRunDelta } = require('../utils/scheduler');
+const { deleteBaseline } = require('../utils/deltaCsv');
 
 // Expose a status endpoint so the frontend can determine the state of the
-// scraper.  Returns { running, paused, url, listName, fileName, pageIndex }.
+// scraper.  `running`, `paused` and `job` describe the job the main page
+// follows; `active` lists every running job with its browser slot and
+// `browsers` the contexts of the browser pool, busy or kept warm.
 
 router.get('/status', (req, res) => {
-  const currentId = scrapeSession.currentJobId;
+  const currentId = currentJobId;
   const currentJob = currentId ? getJob(currentId) : null;
+  const active = [...scrapeSessions.entries()].map(([id, session]) => ({
+    ...getJob(id),
+    slot: session.slot,
+    startedAt: session.startedAt,
+    pauseRequested: session.pauseRequested,
+  }));
   res.json({
-    running: scrapeSession.isScraping,
-    paused: scrapeSession.isPaused,
+    running: !!currentId && scrapeSessions.has(currentId),
+    paused: !!currentJob && currentJob.state === 'paused',
     currentJobId: currentId || null,
+    maxConcurrency: MAX_CONCURRENT_JOBS,
+    active,
+    browsers: describeBrowserPool(),
+    queue: listQueue(),
+    // Jobs cut off by a server restart that are waiting to be resumed
+    interrupted: Object.values(getJobs())
+      .filter((j) => j.state === 'interrupted')
+      .map((j) => ({ id: j.id, listName: j.listName, pageIndex: j.pageIndex, currentUrl: j.currentUrl })),
     job: currentJob ? {
       ...currentJob,
       stateReason: currentJob.stateReason || null,
@@ -80,40 +178,35 @@ router.get('/status', (req, res) => {
 // POST /api/stop
 // Request the scraper to pause.  If no scrape is running, return an error.
 router.post('/stop', (req, res) => {
-  const jobId = scrapeSession.currentJobId;
-  if (!scrapeSession.isScraping || !jobId || !jobs[jobId]) {
+  const jobId = currentJobId;
+  const session = jobId ? scrapeSessions.get(jobId) : null;
+  if (!session || !jobs[jobId]) {
     return res.status(400).json({ error: 'No scrape is currently running.' });
   }
-  scrapeSession.pauseRequested = true;
+  session.pauseRequested = true;
   // Mark job as pausing; runScrape will update to paused when it stops
-  jobs[jobId].state = 'pausing';
-  // Persist the job state change
-  updateJob(jobId, { state: 'pausing' }).catch(() => { });
+  transitionJob(jobId, 'pausing', { reason: 'user_request' }).catch(() => { });
   return res.json({ message: 'Scrape will pause shortly.' });
 });
 
 // POST /api/resume
-// Resume a previously paused scrape.  If no paused scrape exists, return an error.
-router.post('/resume', (req, res) => {
+// Resume a previously paused or interrupted scrape.  If no such scrape
+// exists, return an error.
+router.post('/resume', async (req, res) => {
   // Resume the current paused job
-  const jobId = scrapeSession.currentJobId;
-  if (!scrapeSession.isPaused || !jobId || !jobs[jobId]) {
+  const jobId = currentJobId;
+  if (!jobId || !jobs[jobId] || !['paused', 'interrupted'].includes(jobs[jobId].state)) {
     return res.status(400).json({ error: 'No paused scrape to resume.' });
   }
-  jobs[jobId].state = 'running';
-  // Persist the updated job state
-  updateJob(jobId, { state: 'running' }).catch(() => { });
-  scrapeSession.isPaused = false;
-  scrapeSession.isScraping = true;
-  scrapeSession.pauseRequested = false;
-  // Kick off the scrape from the saved page index
-  runScrape().catch((e) => {
-    console.error('Resume scrape error:', e);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    jobs[jobId].state = 'paused';
-  });
-  return res.json({ message: 'Scrape resumed.' });
+  // Put the job at the head of the queue; it starts from the saved page
+  // index as soon as a slot is free (immediately if one is free now).
+  await transitionJob(jobId, 'queued', { reason: 'user_resume' }).catch(() => { });
+  await enqueue(jobId, { front: true });
+  processQueue();
+  if (scrapeSessions.has(jobId)) {
+    return res.json({ message: 'Scrape resumed.' });
+  }
+  return res.json({ message: 'Scrape will resume when a slot is free.' });
 });
 
 // File management API endpoints
@@ -175,9 +268,123 @@ router.get('/jobs', (req, res) => {
   }
 });
 
+// PUT /api/jobs/:id/schedule
+// Set or clear the schedule of a job.  Body: `{ schedule }` with an
+// interval such as `7d` or a five‑field cron expression; `null` or an
+// empty string removes the schedule.  Each scheduled run is a new job
+// with the same URL, list name and limits.  A run of another job's
+// schedule answers 409; its schedule is changed on the owner job.
+router.put('/jobs/:id/schedule', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (job.scheduleId && job.scheduleId !== job.id) {
+    return res.status(409).json({
+      error: `Job is a run of the schedule of job ${job.scheduleId}; change the schedule there.`,
+    });
+  }
+  const raw = (req.body || {}).schedule;
+  let schedule = null;
+  if (raw !== undefined && raw !== null && raw !== '') {
+    try {
+      schedule = parseSchedule(raw);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  await setJobSchedule(job, schedule);
+  if (!schedule) {
+    return res.json({ message: 'Schedule removed.' });
+  }
+  return res.json({
+    message: `Scheduled ${describeSchedule(schedule)}; next run ${job.schedule.nextRunAt || 'never'}.`,
+    schedule: job.schedule,
+  });
+});
+
+// GET /api/jobs/:id/pages
+// Return the per‑page ledger of a job: for every scraped page its URL,
+// SignalHire row count, ContactOut profile count, rows merged, stage
+// durations (ms) and any error message.  `requestStats` counts the
+// requests of the job's last run (see utils/blockPolicy).
+router.get('/jobs/:id/pages', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  return res.json({
+    jobId: job.id,
+    listName: job.listName,
+    state: job.state,
+    limits: job.limits || {},
+    pages: Array.isArray(job.pages) ? job.pages : [],
+    requestStats: job.requestStats || null,
+  });
+});
+
+// POST /api/jobs/:id/retry-pages
+// Re‑scrape only some pages of a job and merge the results into its
+// existing CSV.  The body may list `pages` (page numbers from the
+// job's ledger); without it every failed, stopped‑early or thin page
+// is retried.  The retry runs through the job queue like any other
+// run.  Afterwards a completed job is completed again and any other
+// job is paused so it can still be resumed from its saved page.
+router.post('/jobs/:id/retry-pages', async (req, res) => {
+  const { id } = req.params;
+  const job = jobs[id];
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (scrapeSessions.has(id) || isQueued(id)) {
+    return res.status(409).json({ error: 'Job is already running or queued.' });
+  }
+  if (!canTransition(job.state, 'queued')) {
+    return res.status(409).json({ error: `Job cannot be retried while ${job.state}.` });
+  }
+  const ledger = Array.isArray(job.pages) ? job.pages : [];
+  const body = req.body || {};
+  let pages;
+  if (body.pages !== undefined) {
+    if (
+      !Array.isArray(body.pages) ||
+      body.pages.length === 0 ||
+      body.pages.some((n) => !Number.isInteger(n) || n < 1)
+    ) {
+      return res.status(400).json({ error: 'pages must be a non-empty array of page numbers.' });
+    }
+    const missing = body.pages.filter((n) => !ledger.some((p) => p.page === n && p.url));
+    if (missing.length) {
+      return res
+        .status(400)
+        .json({ error: `No recorded URL for page(s) ${missing.join(', ')}.` });
+    }
+    pages = [...new Set(body.pages)].sort((a, b) => a - b);
+  } else {
+    pages = pagesNeedingRetry(job);
+    if (pages.length === 0) {
+      return res.status(400).json({ error: 'No failed or thin pages to retry.' });
+    }
+  }
+  await transitionJob(id, 'queued', {
+    reason: 'retry_pages',
+    fields: {
+      retryPages: pages,
+      retryReturnState: job.state === 'completed' ? 'completed' : 'paused',
+    },
+  });
+  const position = await enqueue(id);
+  processQueue();
+  const message = scrapeSessions.has(id)
+    ? `Retrying ${pages.length} page(s).`
+    : `Retry of ${pages.length} page(s) queued at position ${position + 1}.`;
+  return res.json({ message, pages, position });
+});
+
 // POST /api/jobs/:id/run
-// Start or resume a specific job.  If another job is running, it is
-// paused first.  The target job is resumed from its saved page.
+// Start or resume a specific job.  The job is added to the end of the
+// queue and starts right away when nothing else is running.  The target
+// job is resumed from its saved page.
 router.post('/jobs/:id/run', async (req, res) => {
   const { id } = req.params;
   // Look up the job via the persistence layer
@@ -186,38 +393,23 @@ router.post('/jobs/:id/run', async (req, res) => {
     return res.status(404).json({ error: 'Job not found.' });
   }
   // If this job is already running
-  if (scrapeSession.currentJobId === id && scrapeSession.isScraping) {
+  if (scrapeSessions.has(id)) {
     return res.json({ message: 'Job is already running.' });
   }
-  // If another job is currently running, request it to pause and persist its state
-  const currentId = scrapeSession.currentJobId;
-  if (scrapeSession.isScraping && currentId && jobs[currentId]) {
-    scrapeSession.pauseRequested = true;
-    jobs[currentId].state = 'paused';
-    jobs[currentId].pageIndex = jobs[currentId].pageIndex || 1;
-    // Persist the pause state for the existing job
-    updateJob(currentId, {
-      state: 'paused',
-      pageIndex: jobs[currentId].pageIndex,
-    }).catch(() => { });
-  }
-  // Set this job as current and start/resume it
-  scrapeSession.currentJobId = id;
-  scrapeSession.isScraping = true;
-  scrapeSession.isPaused = false;
-  scrapeSession.pauseRequested = false;
-  job.state = 'running';
-  // Persist the updated state for this job
-  updateJob(id, { state: 'running' }).catch(() => { });
-  // Start scraping in the background
-  runScrape().catch((e) => {
-    console.error('Run job error:', e);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    job.state = 'paused';
-    updateJob(id, { state: 'paused' }).catch(() => { });
-  });
-  return res.json({ message: 'Job started/resumed.' });
+  if (isQueued(id)) {
+    const position = listQueue().indexOf(id);
+    return res.json({ message: `Job is already queued at position ${position + 1}.`, position });
+  }
+  if (!canTransition(job.state, 'queued')) {
+    return res.status(409).json({ error: `Job cannot be run while ${job.state}.` });
+  }
+  await transitionJob(id, 'queued', { reason: 'user_run' }).catch(() => { });
+  const position = await enqueue(id);
+  processQueue();
+  if (scrapeSessions.has(id)) {
+    return res.json({ message: 'Job started/resumed.' });
+  }
+  return res.json({ message: `Job queued at position ${position + 1}.`, position });
 });
 
 // POST /api/jobs/:id/stop
@@ -229,20 +421,51 @@ router.post('/jobs/:id/stop', (req, res) => {
   if (!job) {
     return res.status(404).json({ error: 'Job not found.' });
   }
-  // If this job is the current running job
-  if (scrapeSession.currentJobId === id && scrapeSession.isScraping) {
-    scrapeSession.pauseRequested = true;
-    job.state = 'pausing';
+  // If this job is running
+  const session = scrapeSessions.get(id);
+  if (session) {
+    session.pauseRequested = true;
     // Persist the pausing state
-    updateJob(id, { state: 'pausing' }).catch(() => { });
+    transitionJob(id, 'pausing', { reason: 'user_request' }).catch(() => { });
     return res.json({ message: 'Job will pause shortly.' });
   }
+  if (job.state !== 'paused' && !canTransition(job.state, 'paused')) {
+    return res.status(409).json({ error: `Job cannot be paused while ${job.state}.` });
+  }
+  // A queued job simply leaves the queue
+  if (isQueued(id)) {
+    removeFromQueue(id).catch(() => { });
+  }
   // If the job is not currently running, mark it as paused
-  job.state = 'paused';
-  updateJob(id, { state: 'paused' }).catch(() => { });
+  transitionJob(id, 'paused', { reason: 'user_request' }).catch(() => { });
   return res.json({ message: 'Job paused.' });
 });
 
+// POST /api/jobs/:id/cancel
+// Cancel a job.  A running job stops at its next checkpoint and is then
+// marked cancelled; a queued or paused job is cancelled immediately.
+// A cancelled job keeps its CSV and can be run again later.
+router.post('/jobs/:id/cancel', async (req, res) => {
+  const { id } = req.params;
+  const job = jobs[id];
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  const session = scrapeSessions.get(id);
+  if (session) {
+    session.pauseRequested = true;
+    session.cancelRequested = true;
+    transitionJob(id, 'pausing', { reason: 'cancel_requested' }).catch(() => { });
+    return res.json({ message: 'Job will be cancelled shortly.' });
+  }
+  if (!canTransition(job.state, 'cancelled')) {
+    return res.status(409).json({ error: `Job cannot be cancelled while ${job.state}.` });
+  }
+  await removeFromQueue(id);
+  await transitionJob(id, 'cancelled', { reason: 'user_request' }).catch(() => { });
+  return res.json({ message: 'Job cancelled.' });
+});
+
 // Utility to compute a timestamp string for file names (YYYYMMDD_HHMMSS).
 function timestampString() {
   const now = new Date();
@@ -258,118 +481,512 @@ function timestampString() {
   );
 }
 
-// Background task to perform scraping.  The job to run is determined by
-// scrapeSession.currentJobId.  If a different job becomes current
-// while this function is executing, the loop exits gracefully.  When
-// paused, the job state is persisted and the browser context closed.
-async function runScrape() {
-  const jobId = scrapeSession.currentJobId;
+// Register a runtime session for a job and run it in the background.
+// Once runScrape() returns (completed, paused or failed) the session is
+// dropped and the next queued job is started.
+function startJob(jobId) {
   const job = jobs[jobId];
-  if (!job) {
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    return;
+  scrapeSessions.set(jobId, {
+    pauseRequested: false,
+    cancelRequested: false,
+    startedAt: new Date().toISOString(),
+  });
+  currentJobId = jobId;
+  const session = scrapeSessions.get(jobId);
+  transitionJob(jobId, 'running', {
+    reason: 'started',
+    fields: { queuePosition: undefined },
+  }).catch((e) => console.error('Job state error:', e.message));
+  // Kept on the session so that shutdownActiveJobs() can wait for it
+  session.done = runScrape(jobId)
+    .catch((e) => {
+      console.error('Run job error:', e);
+      if (canTransition(job.state, 'failed')) {
+        transitionJob(jobId, 'failed', {
+          reason: 'unexpected_error',
+          message: e.message || String(e),
+        }).catch(() => { });
+        emitJobEvent(jobId, 'job:finished', {
+          state: 'failed',
+          reason: 'unexpected_error',
+          message: e.message || String(e),
+        });
+      }
+    })
+    .finally(() => {
+      scrapeSessions.delete(jobId);
+      processQueue();
+    });
+}
+
+// Start queued jobs while fewer than MAX_CONCURRENT_JOBS are running.
+// Returns true when at least one job was started.
+function processQueue() {
+  let started = false;
+  if (shuttingDown) return started;
+  while (scrapeSessions.size < MAX_CONCURRENT_JOBS) {
+    let nextId = dequeue();
+    while (nextId && (!jobs[nextId] || scrapeSessions.has(nextId) || !canTransition(jobs[nextId].state, 'running'))) {
+      nextId = dequeue();
+    }
+    if (!nextId) break;
+    startJob(nextId);
+    started = true;
   }
-  // Use the currentUrl to resume from a specific page.  If
-  // undefined, fall back to the original URL.  The currentUrl is
-  // updated after each page extraction.
-  const { url, listName, filePath, currentUrl } = job;
-  // Ensure cookie file exists
-  const cookieFile = getCookieFilePath();
-  if (!cookieFile) {
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    job.state = 'paused';
-    // Persist job state update
-    await updateJob(jobId, {
-      state: 'paused',
-      pageIndex: job.pageIndex,
-      currentUrl: job.currentUrl,
-      totalRows: job.totalRows,
-      totalContacts: job.totalContacts,
-    }).catch(() => { });
+  return started;
+}
+
+// Background task to perform scraping for one job.  The job's runtime
+// session (see startJob) carries the pause flag checked between
+// stages and the lease on the pooled browser this run uses.  When
+// paused, the job state is persisted and the browser context handed
+// back to the pool, where the next run of the account picks it up.
+async function runScrape(jobId) {
+  const job = jobs[jobId];
+  const session = scrapeSessions.get(jobId);
+  if (!job || !session) {
     return;
   }
-  // Launch browser
-  const context = await launchStealthBrowser();
-  try {
-    // Ensure third‑party logins
-    const coPath = path.join(__dirname, '..', 'contactout_cookies.json');
-    const shPath = path.join(__dirname, '..', 'signalhire_cookies.json');
-    let coRes;
-    let shRes;
-    try {
-      coRes = await ensureContactOutLogin(context, coPath);
-    } catch (err) {
-      console.error('[contactout] login error:', err);
-      coRes = { loggedIn: false, page: null };
+  // Lease on the pooled browser (see utils/browserPool) and its context
+  let lease = null;
+  let context = null;
+  // Requests of this run, blocked and allowed (see utils/blockPolicy);
+  // saved on the job as job.requestStats when the run ends
+  const requestStats = newRequestStats();
+  // Cookie files the live cookies are written back to; set once the
+  // LinkedIn login is confirmed, so a logged-out browser never counts.
+  let cookieTargets = null;
+  let cookiesWrittenAt = 0;
+  // Content stamp of each cookie file when it was loaded into the
+  // browser; a file changed since is not written back over.
+  const loadedStamps = new Map();
+  const noteCookiesLoaded = (...files) => {
+    for (const file of files) loadedStamps.set(file, cookieFileStamp(file));
+  };
+  // Ledger entry of the page being scraped, recorded when it is done
+  let pageEntry = null;
+  // Set in retry mode: the entry of a page being retried is built on
+  // the side and only replaces the page's entry once the retry is done
+  let retryingPages = false;
+  // Scraping time is added to job.elapsedMs as the run goes, so the
+  // stopAfterMinutes limit counts every run but not the pauses between.
+  let accountedAt = Date.now();
+  const tickElapsed = () => {
+    const now = Date.now();
+    job.elapsedMs = (job.elapsedMs || 0) + (now - accountedAt);
+    accountedAt = now;
+  };
+  // Progress events for this job; each carries the page being scraped
+  const emit = jobEventEmitter(jobId, () => ({ page: pageEntry ? pageEntry.page : job.pageIndex }));
+  const closePageEntry = (extra) => {
+    if (!pageEntry) return;
+    recordPageEntry(job, pageEntry, extra);
+    emit('page:finished', { entry: pageEntry });
+    pageEntry = null;
+  };
+
+  // Save the browser's current cookies over the stored ones (see
+  // utils/cookieRefresh); files are only rewritten when they changed.
+  const refreshStoredCookies = async () => {
+    if (!context || !cookieTargets || session.abandoned) return;
+    cookiesWrittenAt = Date.now();
+    const results = await writeBackCookies(context, cookieTargets);
+    const sites = results.filter((r) => r.written).map((r) => r.label);
+    if (sites.length) {
+      console.log(`[Cookies] refreshed stored cookies for ${sites.join(', ')}`);
+      emit('cookies:refreshed', { sites });
     }
-    try {
-      shRes = await ensureSignalHireLogin(context, shPath);
-    } catch (err) {
-      console.error('[signalhire] login error:', err);
-      shRes = { loggedIn: false, page: null };
+  };
+
+  // Hand the browser (if any) back to the pool and move the job to its
+  // next state.  Progress is persisted with the state so that a later
+  // run can resume from job.currentUrl.  A browser that failed the run
+  // is closed rather than kept warm.
+  const finishRun = async (state, reason, message, fields = {}) => {
+    // A page still open here was cut short by a pause or cancel.  A
+    // page retry cut short leaves the page's previous entry in place.
+    if (retryingPages) pageEntry = null;
+    else closePageEntry({ stoppedEarly: true });
+    tickElapsed();
+    await refreshStoredCookies();
+    let runRequests;
+    if (lease) {
+      untrackRequests(context);
+      runRequests = summarizeRequestStats(requestStats);
+      console.log(`Job ${jobId}: ${runRequests.allowed} request(s) allowed (${runRequests.allowedBytes} bytes), ${runRequests.blocked} blocked.`);
+      await stopTracing(context);
+      await lease.release({ accountId: job.accountId, discard: state === 'failed' })
+        .catch((e) => console.error('Browser release error:', e.message));
+      lease = null;
+      context = null;
+      session.lease = null;
     }
-    // Close login tabs
-    try {
-      if (coRes && coRes.page) await coRes.page.close();
-      if (shRes && shRes.page) await shRes.page.close();
-    } catch { }
-    if (!coRes?.loggedIn || !shRes?.loggedIn) {
-      console.error('Third‑party login failed.');
-      scrapeSession.isScraping = false;
-      scrapeSession.isPaused = false;
-      job.state = 'paused';
-      // Persist paused state
-      await updateJob(jobId, {
-        state: 'paused',
+    // Shutdown gave up waiting and already saved this job's progress
+    if (session.abandoned) return;
+    await transitionJob(jobId, state, {
+      reason,
+      message,
+      fields: {
         pageIndex: job.pageIndex,
         currentUrl: job.currentUrl,
         totalRows: job.totalRows,
         totalContacts: job.totalContacts,
-      }).catch(() => { });
-      return;
+        pages: job.pages,
+        elapsedMs: job.elapsedMs,
+        ...(runRequests ? { requestStats: runRequests } : {}),
+        ...fields,
+      },
+    }).catch((e) => console.error('Job state error:', e.message));
+    emit('job:finished', {
+      state,
+      reason,
+      message: message || null,
+      totalRows: job.totalRows,
+      totalContacts: job.totalContacts,
+      requestStats: runRequests || null,
+    });
+  };
+
+  // Stop at a checkpoint when a pause or cancel was requested.
+  const stopRequested = async () => {
+    if (!session.pauseRequested) return false;
+    if (session.cancelRequested) {
+      // A cancelled job also drops any pending page retry
+      await finishRun('cancelled', 'user_request', undefined, { retryPages: undefined, retryReturnState: undefined });
+    } else if (session.shutdownRequested) {
+      await finishRun('paused', 'server_shutdown', `Paused by a server shutdown on page ${job.pageIndex}.`);
+    } else {
+      await finishRun('paused', 'user_request');
     }
+    return true;
+  };
 
+  // Use the currentUrl to resume from a specific page.  If
+  // undefined, fall back to the original URL.  The currentUrl is
+  // updated after each page extraction.
+  const { url, currentUrl } = job;
+  // Ensure the cookie file of the job's LinkedIn account exists
+  const account = await resolveAccount(job.accountId);
+  const cookieFile = account ? await getAccountCookiePath(account.id) : null;
+  if (!cookieFile) {
+    const message = job.accountId
+      ? `No LinkedIn cookie saved for account "${account ? account.name : job.accountId}". Please save a cookie and resume.`
+      : 'No LinkedIn cookie saved. Please save a cookie and resume.';
+    await finishRun('paused', 'no_cookie', message);
+    return;
+  }
+  // LinkedIn account this run is logged in with.  When its cookie turns
+  // out to be logged out, failOver() switches the browser to the next
+  // healthy account; accounts already tried are not tried again.  The
+  // browser keeps the proxy it was launched with, so only accounts with
+  // the same proxy are candidates.
+  const accountProxy = await getAccountProxy(account.id);
+  let activeAccount = account;
+  let activeCookieFile = cookieFile;
+  const triedAccounts = new Set([account.id]);
+  const failOver = async (failedUrl) => {
+    await markAccountUnhealthy(activeAccount.id, 'cookie_expired').catch((e) => console.error('Account health error:', e.message));
+    emit('login:problem', {
+      provider: 'linkedin',
+      accountId: activeAccount.id,
+      message: `LinkedIn cookie of account "${activeAccount.name}" expired.`,
+    });
+    const next = await nextHealthyAccount([...triedAccounts], { proxy: accountProxy });
+    const nextFile = next ? await getAccountCookiePath(next.id) : null;
+    if (!nextFile) return false;
+    triedAccounts.add(next.id);
+    await context.clearCookies({ domain: /(^|\.)linkedin\.com$/i }).catch(() => { });
+    noteCookiesLoaded(nextFile);
+    await addLinkedInCookies(context, nextFile);
+    // Record the switch so the pages of each seat can be told apart
+    const change = {
+      at: new Date().toISOString(),
+      from: activeAccount.id,
+      to: next.id,
+      page: job.pageIndex,
+      reason: 'cookie_expired',
+      failedUrl: failedUrl || null,
+    };
+    job.accountSwitches = [...(job.accountSwitches || []), change];
+    job.accountId = next.id;
+    activeAccount = next;
+    activeCookieFile = nextFile;
+    if (cookieTargets) cookieTargets = jobCookieTargets(activeCookieFile, loadedStamps);
+    await updateJob(jobId, { accountId: job.accountId, accountSwitches: job.accountSwitches }).catch(() => { });
+    console.log(`Job ${jobId}: switched from account ${change.from} to ${change.to} on page ${change.page}.`);
+    emit('account:switched', change);
+    return true;
+  };
+  // The enrichment providers' cookies are saved via /api/providers
+  const coPath = providerCookiePath('contactout');
+  const shPath = providerCookiePath('signalhire');
+  const missingProviders = Object.keys(PROVIDERS)
+    .filter((name) => !hasProviderCookie(name))
+    .map((name) => PROVIDERS[name].label);
+  if (missingProviders.length) {
+    await finishRun(
+      'paused',
+      'provider_cookie_missing',
+      `No ${missingProviders.join(' or ')} cookie saved. Please save it and resume.`
+    );
+    return;
+  }
+  // Launch profile: the job's own, else its account's, else the
+  // configured default (see utils/launchProfiles)
+  let launchProfile;
+  try {
+    launchProfile = resolveLaunchProfile(job.launchProfile, account.launchProfile);
+  } catch (err) {
+    await finishRun('paused', 'launch_profile_invalid', `${err.message} Fix the launch profiles and resume.`);
+    return;
+  }
+  // The block policy is read at launch; check it before launching
+  try {
+    loadBlockPolicy();
+  } catch (err) {
+    await finishRun('paused', 'block_policy_invalid', `${err.message} Fix the block policy and resume.`);
+    return;
+  }
+  // The account's own proxy replaces the profile's.  Check that the
+  // proxy answers before Chromium is launched behind it.
+  if (accountProxy) launchProfile = { ...launchProfile, proxy: accountProxy };
+  if (launchProfile.proxy) {
+    const proxyCheck = await checkProxy(launchProfile.proxy);
+    if (!proxyCheck.ok) {
+      console.error(`Job ${jobId}: proxy ${proxyCheck.server} unreachable: ${proxyCheck.error}`);
+      await finishRun(
+        'paused',
+        'proxy_unreachable',
+        `Proxy ${proxyCheck.server} is unreachable: ${proxyCheck.error} Fix the proxy and resume.`
+      );
+      return;
+    }
+    if (await stopRequested()) return;
+  }
+  // Borrow a browser for the account from the pool: a warm context
+  // left by its previous run, or a newly launched one.  The session
+  // keeps the lease so a shutdown can close it.
+  lease = await acquireBrowser({ accountId: account.id, profile: launchProfile });
+  context = lease.context;
+  session.lease = lease;
+  session.slot = lease.slot;
+  if (lease.reused) console.log(`Job ${jobId}: reusing the warm browser in slot ${lease.slot}.`);
+  trackRequests(context, requestStats);
+  await startTracing(context);
+  // A pause may have been requested while the browser was starting
+  if (await stopRequested()) return;
+  try {
+    // Ensure third‑party logins.  A warm context skips this until its
+    // logins are stale or a provider cookie was saved since.  Returns
+    // false once the run paused because a login failed.
+    const ensureProviderLogins = async () => {
+      if (!lease.loginsStale([coPath, shPath])) return true;
+      noteCookiesLoaded(coPath, shPath);
+      let coRes;
+      let shRes;
+      try {
+        coRes = await ensureContactOutLogin(context, coPath);
+      } catch (err) {
+        console.error('[contactout] login error:', err);
+        coRes = { loggedIn: false, page: null };
+      }
+      try {
+        shRes = await ensureSignalHireLogin(context, shPath);
+      } catch (err) {
+        console.error('[signalhire] login error:', err);
+        shRes = { loggedIn: false, page: null };
+      }
+      // Close login tabs
+      try {
+        if (coRes && coRes.page) await coRes.page.close();
+        if (shRes && shRes.page) await shRes.page.close();
+      } catch { }
+      if (!coRes?.loggedIn || !shRes?.loggedIn) {
+        console.error('Third‑party login failed.');
+        if (!coRes?.loggedIn) emit('login:problem', { provider: 'contactout', message: 'ContactOut login failed.' });
+        if (!shRes?.loggedIn) emit('login:problem', { provider: 'signalhire', message: 'SignalHire login failed.' });
+        await finishRun(
+          'paused',
+          'provider_login_failed',
+          'SignalHire or ContactOut login failed. Please refresh their cookies.'
+        );
+        return false;
+      }
+      lease.markLoginsChecked();
+      return true;
+    };
+    if (!(await ensureProviderLogins())) return;
 
-    // Load LinkedIn cookies
+    // Load the account's LinkedIn cookies.  A pooled browser may have
+    // been used by another account after a failover, so drop the
+    // cookies a previous job left behind first.
+    await context.clearCookies({ domain: /(^|\.)linkedin\.com$/i }).catch(() => { });
+    noteCookiesLoaded(cookieFile);
     await addLinkedInCookies(context, cookieFile);
 
-    // When resuming, navigate directly to the last scraped page if
-    // available.  Otherwise start from the original URL.
-    const startUrl = currentUrl || url;
-    const liCheck = await checkLinkedInByUrl(context, startUrl);
-
-    if (!liCheck.loggedIn) {
-
-      console.error('LinkedIn cookie expired.');
-
-      scrapeSession.isScraping = false;
-
-      scrapeSession.isPaused = false;
-
-      job.state = 'paused';
+    // Open `targetUrl` logged in to LinkedIn, failing over to the next
+    // healthy account until one is.  Returns the page, or null once the
+    // run paused because no account is left.
+    const openLinkedIn = async (targetUrl) => {
+      let liCheck = await checkLinkedInByUrl(context, targetUrl);
+      while (!liCheck.loggedIn) {
+        console.error(`LinkedIn cookie of account ${activeAccount.id} expired.`);
+        await liCheck.page.close().catch(() => { });
+        if (!(await failOver(liCheck.finalUrl))) {
+          await finishRun('paused', 'cookie_expired', 'LinkedIn cookie expired. Please update your cookie.');
+          return null;
+        }
+        liCheck = await checkLinkedInByUrl(context, targetUrl);
+      }
+      await markAccountHealthy(activeAccount.id).catch(() => { });
+      return liCheck.page;
+    };
 
-      job.stateReason = 'cookie_expired';
+    // When resuming, navigate directly to the last scraped page if
+    // available.  Otherwise start from the original URL.  A page retry
+    // starts at the first page it retries.
+    const firstRetry = Array.isArray(job.retryPages) && job.retryPages.length
+      ? (job.pages || []).find((p) => p.page === job.retryPages[0])
+      : null;
+    const startUrl = (firstRetry && firstRetry.url) || currentUrl || url;
+    let page = await openLinkedIn(startUrl);
+    if (!page) return;
 
-      job.message = 'LinkedIn cookie expired. Please update your cookie.';
+    // Save what the browser shows after a failed stage (screenshot,
+    // HTML, frames, trace; see utils/failureArtifacts) and link it from
+    // the page's ledger entry.
+    const saveFailure = async (stage, error) => {
+      const artifact = await captureFailure(jobId, page, {
+        stage,
+        pageNo: pageEntry ? pageEntry.page : job.pageIndex,
+        error,
+      });
+      if (!artifact) return;
+      if (pageEntry) pageEntry.artifacts.push(artifact.id);
+      emit('artifact:saved', { stage, artifactId: artifact.id, files: artifact.files });
+    };
+    cookieTargets = jobCookieTargets(activeCookieFile, loadedStamps);
+    cookiesWrittenAt = Date.now();
 
-      try { await context.close(); } catch { }
+    // Run SignalHire and ContactOut on the page that is open and merge
+    // the contacts into the CSV, filling in the open ledger entry.
+    // Stage errors are logged and recorded on the entry but do not stop
+    // the run.  Returns false when the run stopped for a pause/cancel.
+    const scrapePageStages = async () => {
+      // Scrape SignalHire
+      let shRows = [];
+      try {
+        const result = await timeStage(pageEntry, 'signalHire', () => runSignalHire(page, {
+          shCookiePath: shPath,
+          coCookiePath: coPath,
+          filePath: job.filePath,
+          onEvent: emit,
+        }));
+        shRows = (result && result.rows) || [];
+        job.totalRows += shRows.length;
+        pageEntry.signalHireRows = shRows.length;
+      } catch (shErr) {
+        console.error('SignalHire scrape error:', shErr);
+        addPageError(pageEntry, 'signalhire', shErr);
+        await saveFailure('signalhire', shErr);
+        emit('stage:error', { stage: 'signalhire', message: shErr.message || String(shErr) });
+      }
+      // Check again before running ContactOut
+      if (await stopRequested()) return false;
+      // Scrape ContactOut if there are SignalHire rows
+      if (Array.isArray(shRows) && shRows.length > 0) {
+        try {
+          const coResult = await timeStage(pageEntry, 'contactOut', () => runContactOut(page, {
+            coCookiePath: coPath,
+            shCookiePath: shPath,
+            onEvent: emit,
+          }));
+          const profiles = (coResult && coResult.profiles) || [];
+          job.totalContacts += profiles.length;
+          pageEntry.contactOutProfiles = profiles.length;
+          if (profiles.length > 0) {
+            const merged = await timeStage(pageEntry, 'merge', () => mergeContactDomainsByNamePriority({
+              baseCsvPath: job.filePath,
+              contactProfiles: profiles,
+              outPath: job.filePath,
+              backup: false,
+              overwrite: false,
+            }));
+            pageEntry.rowsMerged = (merged && merged.updated) || 0;
+            emit('contacts:merged', { profiles: profiles.length, rowsMerged: pageEntry.rowsMerged });
+          }
+        } catch (coErr) {
+          console.error('ContactOut scrape error:', coErr);
+          addPageError(pageEntry, 'contactout', coErr);
+          await saveFailure('contactout', coErr);
+          emit('stage:error', { stage: 'contactout', message: coErr.message || String(coErr) });
+        }
+      }
+      // Check again after extraction before scrolling
+      if (await stopRequested()) return false;
+      return true;
+    };
 
-      await updateJob(jobId, {
-        state: 'paused',
-        stateReason: 'cookie_expired',
-        message: 'LinkedIn cookie expired. Please update your cookie.',
-        pageIndex: job.pageIndex,
-        currentUrl: job.currentUrl,
-        totalRows: job.totalRows,
-        totalContacts: job.totalContacts,
-      }).catch(() => { });
+    // Retry mode (POST /api/jobs/:id/retry-pages): reopen only the
+    // pages listed in job.retryPages, scrape them again and merge the
+    // results into the existing CSV.  The resume point (pageIndex and
+    // currentUrl) is left untouched.  Each retry fills a new ledger
+    // entry that replaces the page's entry when the retry is done; one
+    // stopped by a pause or cancel is dropped.
+    if (Array.isArray(job.retryPages) && job.retryPages.length) {
+      retryingPages = true;
+      await upgradeCsvAddEmailOnly(job.filePath).catch(() => { });
+      const retried = job.retryPages.length;
+      let stillFailing = 0;
+      while (job.retryPages.length) {
+        if (await stopRequested()) return;
+        const pageNo = job.retryPages[0];
+        const previous = (job.pages || []).find((p) => p.page === pageNo);
+        if (previous && previous.url) {
+          pageEntry = startPageEntry(pageNo, previous.url, activeAccount.id);
+          emit('page:started', { url: previous.url, retry: true });
+          await restartTraceChunk(context);
+          try {
+            await timeStage(pageEntry, 'navigation', () =>
+              page.goto(previous.url, { waitUntil: 'domcontentloaded', timeout: 30000 }));
+            if (!(await scrapePageStages())) return;
+            // LinkedIn logged out during the retry: switch accounts and
+            // retry the page again; its previous entry stays meanwhile
+            if (isLoggedOutUrl(page.url())) {
+              pageEntry = null;
+              if (!(await failOver(page.url()))) {
+                await finishRun('paused', 'cookie_expired', 'LinkedIn cookie expired. Please update your cookie.');
+                return;
+              }
+              continue;
+            }
+          } catch (err) {
+            console.error('Retry error on page', pageNo, ':', err);
+            addPageError(pageEntry, 'page', err);
+            await saveFailure('page', err);
+          }
+          if (isFailedPage(pageEntry) || isThinPage(pageEntry)) stillFailing++;
+          closePageEntry({ retried: true });
+        }
+        job.retryPages.shift();
+        await updateJob(jobId, {
+          totalRows: job.totalRows,
+          totalContacts: job.totalContacts,
+          pages: job.pages,
+          retryPages: job.retryPages,
+        }).catch(() => { });
+        emit('job:progress', { totalRows: job.totalRows, totalContacts: job.totalContacts });
+      }
+      await deduplicateCsv(job.filePath).catch(() => { });
+      await finishRun(
+        job.retryReturnState || 'completed',
+        'retry_finished',
+        `Retried ${retried} page(s); ${stillFailing} still failed or thin.`,
+        { retryPages: undefined, retryReturnState: undefined }
+      );
       return;
     }
 
-
-    const page = liCheck.page;
     // When resuming, we jump directly to the previously saved page via
     // job.currentUrl.  Therefore we no longer need to click through
     // intermediate pages.  currentPage will be initialised to the
@@ -378,11 +995,11 @@ async function runScrape() {
     if (job.pageIndex === 1) {
       job.totalRows = 0;
       job.totalContacts = 0;
+      job.pages = [];
     }
-    scrapeSession.isScraping = true;
-    scrapeSession.isPaused = false;
     let currentPage = job.pageIndex;
     let continueScrape = true;
+    let pageError = null;
 
     // One-time CSV preparation: ensure Email column exists. Doing this per page
     // adds significant IO overhead for large runs.
@@ -391,109 +1008,37 @@ async function runScrape() {
     // Deduplication is expensive; run periodically and once at completion.
     const DEDUPE_EVERY_N_PAGES = Number(process.env.SCRAPER_DEDUPE_EVERY_N_PAGES || '10');
     while (continueScrape) {
-      // Break immediately if this job is no longer active or a pause is requested
-      if (scrapeSession.currentJobId !== jobId || scrapeSession.pauseRequested) {
-        job.pageIndex = currentPage;
-        job.state = 'paused';
-        scrapeSession.isScraping = false;
-        scrapeSession.isPaused = scrapeSession.pauseRequested;
-        scrapeSession.pauseRequested = false;
-        await context.close();
-        // Persist paused state with current page and totals
-        await updateJob(jobId, {
-          pageIndex: job.pageIndex,
-          state: 'paused',
-          currentUrl: job.currentUrl,
-          totalRows: job.totalRows,
-          totalContacts: job.totalContacts,
-        }).catch(() => { });
-        return;
-      }
+      // Break immediately if a pause is requested
+      job.pageIndex = currentPage;
+      if (await stopRequested()) return;
       try {
-        // Double‑check pause before starting SignalHire extraction
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
-          job.pageIndex = currentPage;
-          job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
-          await context.close();
-          await updateJob(jobId, {
-            pageIndex: job.pageIndex,
-            state: 'paused',
-            currentUrl: job.currentUrl,
-            totalRows: job.totalRows,
-            totalContacts: job.totalContacts,
-          }).catch(() => { });
-          return;
-        }
-        // Scrape SignalHire
-        let shRows = [];
-        try {
-          const result = await runSignalHire(page, {
-            shCookiePath: shPath,
-            coCookiePath: coPath,
-            filePath: job.filePath,
-          });
-          shRows = (result && result.rows) || [];
-          job.totalRows += shRows.length;
-        } catch (shErr) {
-          console.error('SignalHire scrape error:', shErr);
-        }
-        // Check again before running ContactOut
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
-          job.pageIndex = currentPage;
-          job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
-          await context.close();
-          await updateJob(jobId, {
-            pageIndex: job.pageIndex,
-            state: 'paused',
-            currentUrl: job.currentUrl,
-            totalRows: job.totalRows,
-            totalContacts: job.totalContacts,
-          }).catch(() => { });
-          return;
-        }
-        // Scrape ContactOut if there are SignalHire rows
-        if (Array.isArray(shRows) && shRows.length > 0) {
-          try {
-            const coResult = await runContactOut(page, {
-              coCookiePath: coPath,
-              shCookiePath: shPath,
-            });
-            const profiles = (coResult && coResult.profiles) || [];
-            job.totalContacts += profiles.length;
-            if (profiles.length > 0) {
-              await mergeContactDomainsByNamePriority({
-                baseCsvPath: job.filePath,
-                contactProfiles: profiles,
-                outPath: job.filePath,
-                backup: false,
-                overwrite: false,
-              });
-            }
-          } catch (coErr) {
-            console.error('ContactOut scrape error:', coErr);
+        pageEntry = startPageEntry(currentPage, page.url(), activeAccount.id);
+        emit('page:started', { url: page.url() });
+        await restartTraceChunk(context);
+        if (!(await scrapePageStages())) return;
+        // LinkedIn logged out while the page was scraped, so its results
+        // are incomplete: switch accounts and scrape the page again.
+        if (isLoggedOutUrl(page.url())) {
+          const pageUrl = pageEntry.url || job.currentUrl || url;
+          addPageError(pageEntry, 'login', 'LinkedIn session expired');
+          closePageEntry({ navigation: 'logged_out' });
+          if (!(await failOver(page.url()))) {
+            await finishRun('paused', 'cookie_expired', 'LinkedIn cookie expired. Please update your cookie.');
+            return;
           }
+          await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch((e) => {
+            console.warn('Reload after account switch failed:', e?.message || e);
+          });
+          continue;
         }
-        // Check again after extraction before scrolling
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
-          job.pageIndex = currentPage;
-          job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
-          await context.close();
-          await updateJob(jobId, {
-            pageIndex: job.pageIndex,
-            state: 'paused',
-            currentUrl: job.currentUrl,
-            totalRows: job.totalRows,
-            totalContacts: job.totalContacts,
-          }).catch(() => { });
+        // Stop here once the job reached one of its limits (see
+        // utils/jobLimits); no need to move to another page.
+        tickElapsed();
+        const limit = limitReached(job, job.elapsedMs);
+        if (limit) {
+          closePageEntry({ navigation: 'limit' });
+          await deduplicateCsv(job.filePath).catch(() => { });
+          await finishRun('completed', limit.reason, limit.message);
           return;
         }
         // Scroll page
@@ -508,27 +1053,34 @@ async function runScrape() {
           await page.waitForTimeout(delaySeconds * 1000);
         } catch { }
         // Check again before moving to next page
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
-          job.pageIndex = currentPage;
-          job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
-          await context.close();
-          // Persist paused state with current page and totals
-          await updateJob(jobId, {
-            pageIndex: job.pageIndex,
-            state: 'paused',
-            currentUrl: job.currentUrl,
-            totalRows: job.totalRows,
-            totalContacts: job.totalContacts,
-          }).catch(() => { });
-          return;
-        }
+        if (await stopRequested()) return;
         // Advance page using the navigation helper.  The helper
         // returns 'moved' when the page changed, 'no-more' when
         // pagination ended and 'failed' when navigation failed.
-        const navStatus = await clickNextPage(page, 1, currentPage);
+        let navStatus = await timeStage(pageEntry, 'pagination', () =>
+          clickNextPage(page, 1, currentPage, { onEvent: emit }));
+        // LinkedIn sent us to its login page: the cookie expired mid-run.
+        // This page is already scraped, so switch accounts, reopen it
+        // from its saved URL and move to the next page from there.
+        while (isLoggedOutUrl(page.url())) {
+          if (!(await failOver(page.url()))) {
+            addPageError(pageEntry, 'login', 'LinkedIn session expired');
+            closePageEntry({ navigation: 'logged_out' });
+            await finishRun('paused', 'cookie_expired', 'LinkedIn cookie expired. Please update your cookie.');
+            return;
+          }
+          await page.goto(job.currentUrl || url, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch((e) => {
+            console.warn('Reload after account switch failed:', e?.message || e);
+          });
+          navStatus = await timeStage(pageEntry, 'pagination', () =>
+            clickNextPage(page, 1, currentPage, { onEvent: emit }));
+        }
+        if (navStatus === 'failed') {
+          addPageError(pageEntry, 'pagination', 'Could not move to the next page');
+          await saveFailure('pagination', 'Could not move to the next page');
+        }
+        closePageEntry({ navigation: navStatus });
+        const recycleDue = await lease.pageDone(page);
 
         if (navStatus === 'moved') {
           currentPage++;
@@ -543,14 +1095,24 @@ async function runScrape() {
         } catch {
           // ignore URL retrieval errors
         }
-        // Persist page index, currentUrl and running totals after each iteration
+        // Persist page index, currentUrl, running totals and the page
+        // ledger after each iteration
         await updateJob(jobId, {
           pageIndex: job.pageIndex,
           currentUrl: job.currentUrl,
           totalRows: job.totalRows,
           totalContacts: job.totalContacts,
-          state: job.state,
+          pages: job.pages,
+          elapsedMs: job.elapsedMs,
         }).catch(() => { });
+        emit('job:progress', {
+          currentUrl: job.currentUrl,
+          totalRows: job.totalRows,
+          totalContacts: job.totalContacts,
+        });
+        if (COOKIE_REFRESH_MS > 0 && Date.now() - cookiesWrittenAt >= COOKIE_REFRESH_MS) {
+          await refreshStoredCookies();
+        }
 
         // Periodic dedupe to keep output sane without paying the cost every page.
         if (Number.isFinite(DEDUPE_EVERY_N_PAGES) && DEDUPE_EVERY_N_PAGES > 0) {
@@ -562,112 +1124,119 @@ async function runScrape() {
         // failed, pause the job; if no more pages, complete; if
         // moved, continue.
         if (navStatus === 'failed') {
-          // Mark as paused due to navigation failure
-          job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = true;
-          scrapeSession.pauseRequested = false;
-          await context.close();
-          // Persist paused state
-          await updateJob(jobId, {
-            state: 'paused',
-            pageIndex: job.pageIndex,
-            currentUrl: job.currentUrl,
-            totalRows: job.totalRows,
-            totalContacts: job.totalContacts,
-          }).catch(() => { });
+          await finishRun(
+            'paused',
+            'navigation_failed',
+            'Could not move to the next page. Resume to retry from the saved page.'
+          );
           return;
         }
+        // Recycle the browser after many pages or when its heap grew
+        // (see utils/browserPool) and carry on from the saved page.
+        if (navStatus === 'moved' && recycleDue) {
+          await refreshStoredCookies();
+          context = await lease.recycle();
+          trackRequests(context, requestStats);
+          await startTracing(context);
+          if (!(await ensureProviderLogins())) return;
+          noteCookiesLoaded(activeCookieFile);
+          await addLinkedInCookies(context, activeCookieFile);
+          page = await openLinkedIn(job.currentUrl || url);
+          if (!page) return;
+        }
         continueScrape = navStatus === 'moved';
-      } catch (pageErr) {
-        console.error('Scrape error on page', currentPage, ':', pageErr);
+      } catch (err) {
+        console.error('Scrape error on page', currentPage, ':', err);
+        if (pageEntry) {
+          addPageError(pageEntry, 'page', err);
+          await saveFailure('page', err);
+          closePageEntry();
+        }
+        pageError = err;
         continueScrape = false;
       }
     }
 
-    // Finished all pages (keep the last page we reached)
-    // job.pageIndex was already kept in-sync with `currentPage` inside the loop
-    job.state = 'completed';
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-
     // Final dedupe at end of job.
     await deduplicateCsv(job.filePath).catch(() => { });
 
-    await context.close();
-    console.log('Scraping completed');
-
-    // Persist final job state with the actual last page
-    await updateJob(jobId, {
-      pageIndex: job.pageIndex,      // <-- keep final page number
-      state: 'completed',
-      currentUrl: job.currentUrl,
-      totalRows: job.totalRows,
-      totalContacts: job.totalContacts,
-    }).catch(() => { });
-
-
+    if (pageError) {
+      // The job stopped on an error; keep the page we reached so it
+      // can be retried from there.
+      await finishRun('failed', 'page_error', `Scrape error on page ${currentPage}: ${pageError.message || pageError}`);
+      return;
+    }
 
+    // Finished all pages (keep the last page we reached)
+    // job.pageIndex was already kept in-sync with `currentPage` inside the loop
+    await finishRun('completed', 'no_more_pages');
+    console.log('Scraping completed');
   } catch (err) {
     console.error('Unexpected scrape error:', err);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    job.state = 'paused';
-    try {
-      await context.close();
-    } catch { }
-    // Persist paused state on unexpected error
-    await updateJob(jobId, {
-      state: 'paused',
-      pageIndex: job.pageIndex,
-      currentUrl: job.currentUrl,
-      totalRows: job.totalRows,
-      totalContacts: job.totalContacts,
-    }).catch(() => { });
+    await finishRun('failed', 'unexpected_error', err.message || String(err));
   }
 }
 
 
-// POST /api/scrape
-// Kick off a new scraping session.  Requires `url` and `listName` in the
-// request body.  If another scrape is currently running or paused, the
-// request is rejected.  The scrape runs in the background and the
-// response indicates that it has started.
-router.post('/scrape', async (req, res) => {
-  const { url, listName } = req.body;
-  if (!url || typeof url !== 'string') {
-    return res.status(400).json({ error: 'URL is required.' });
-  }
-  if (!listName || typeof listName !== 'string' || !listName.trim()) {
-    return res.status(400).json({ error: 'List name is required.' });
-  }
-  const lower = url.toLowerCase();
-  if (!lower.includes('linkedin.com') || !lower.includes('people')) {
-    return res
-      .status(400)
-      .json({ error: 'Not valid, please use a valid LinkedIn Sales Navigator People URL.' });
+/**
+ * Pause every running job before the server exits.  Each job is asked
+ * to pause and given up to `timeoutMs` to reach its next checkpoint,
+ * where runScrape() saves its progress as usual and hands its browser
+ * back to the pool; the job then stays `paused` (reason `server_shutdown`).  A
+ * job still busy when the time is up has its last progress saved, its
+ * context closed and is marked `interrupted` (reason
+ * `shutdown_timeout`).  No queued job is started afterwards.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] How long to wait for the checkpoints
+ */
+async function shutdownActiveJobs({ timeoutMs = 30000 } = {}) {
+  shuttingDown = true;
+  const sessions = [...scrapeSessions.entries()];
+  for (const [id, session] of sessions) {
+    session.pauseRequested = true;
+    session.shutdownRequested = true;
+    if (canTransition(jobs[id].state, 'pausing')) {
+      await transitionJob(id, 'pausing', { reason: 'server_shutdown' }).catch(() => { });
+    }
   }
+  let timer;
+  const timedOut = new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); });
+  await Promise.race([Promise.allSettled(sessions.map(([, s]) => s.done)), timedOut]);
+  clearTimeout(timer);
 
-  // Ensure cookie file exists
-  const cookieFile = getCookieFilePath();
-  if (!cookieFile) {
-    return res.status(400).json({ error: 'No cookie saved. Please upload a cookie first.' });
+  for (const [id, session] of scrapeSessions.entries()) {
+    const job = jobs[id];
+    session.abandoned = true;
+    console.error(`Job ${id} did not pause in time; saving page ${job.pageIndex} and closing its browser.`);
+    await updateJob(id, {
+      pageIndex: job.pageIndex,
+      currentUrl: job.currentUrl,
+      totalRows: job.totalRows,
+      totalContacts: job.totalContacts,
+      pages: job.pages,
+      elapsedMs: job.elapsedMs,
+    }).catch((e) => console.error('Job save error:', e.message));
+    if (session.lease) {
+      await session.lease.release({ discard: true }).catch(() => { });
+      session.lease = null;
+    }
+    if (canTransition(job.state, 'interrupted')) {
+      await transitionJob(id, 'interrupted', {
+        reason: 'shutdown_timeout',
+        message: `Interrupted by a server shutdown on page ${job.pageIndex}.`,
+      }).catch(() => { });
+    }
   }
+}
 
-  // If another job is currently running, request it to pause and persist its state
-  const currentId = scrapeSession.currentJobId;
-  if (scrapeSession.isScraping && currentId && jobs[currentId]) {
-    scrapeSession.pauseRequested = true;
-    jobs[currentId].state = 'paused';
-    // Save current page index for the running job
-    jobs[currentId].pageIndex = jobs[currentId].pageIndex || 1;
-    // Persist the paused job's updated fields
-    updateJob(currentId, {
-      state: 'paused',
-      pageIndex: jobs[currentId].pageIndex,
-    }).catch(() => { });
-  }
-  // Create a new job
+// Build, persist and queue a new scrape job, starting it right away
+// when a runner slot is free.  Used by POST /api/scrape and by the
+// scheduler for recurring runs; inputs must already be validated.
+// Returns the job and its zero-based queue position.
+async function createScrapeJob({ url, listName, accountId, launchProfile, limits = {}, fields = {}, reason = 'created' }) {
+  const startPage = limits.startPage || 1;
+  const startUrl = (startPage > 1 && buildPageUrl(url, startPage)) || url;
   const timestamp = timestampString();
   const slug = listName.replace(/\s+/g, '_');
   const jobId = `${slug}_${timestamp}`;
@@ -677,18 +1246,29 @@ router.post('/scrape', async (req, res) => {
     id: jobId,
     url,
     listName,
+    // LinkedIn account whose cookies the job uses (see utils/accounts)
+    accountId,
+    // Browser launch profile; unset uses the account's (see utils/launchProfiles)
+    launchProfile: launchProfile || undefined,
     timestamp,
     fileName,
     filePath,
-    pageIndex: 1,
+    pageIndex: startPage,
     totalRows: 0,
     totalContacts: 0,
-    state: 'running',
+    // Per‑page ledger, filled in by runScrape() (see utils/pageLedger)
+    pages: [],
     // Store the current page URL so that a paused job can resume
     // directly from the last scraped page rather than navigating from
-    // the beginning.  Initially this is the provided URL.
-    currentUrl: url,
+    // the beginning.  Initially this is the provided URL (or the
+    // start page's URL).
+    currentUrl: startUrl,
+    limits,
+    // Scraping time so far across all runs, for stopAfterMinutes
+    elapsedMs: 0,
+    ...fields,
   };
+  initJobState(job, 'queued', reason);
   // Persist the new job to disk and add it to the in‑memory map
   jobs[jobId] = job;
   try {
@@ -696,19 +1276,119 @@ router.post('/scrape', async (req, res) => {
   } catch {
     // swallow persistence errors; job will remain in memory
   }
-  // Update session to this job
-  scrapeSession.currentJobId = jobId;
-  scrapeSession.isScraping = true;
-  scrapeSession.isPaused = false;
-  scrapeSession.pauseRequested = false;
-  // Start scraping in the background
-  runScrape().catch((e) => {
-    console.error('Background scrape error:', e);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    if (jobs[jobId]) jobs[jobId].state = 'paused';
+  // Queue the job and start it right away if the runner is idle
+  const position = await enqueue(jobId);
+  processQueue();
+  return { job, position };
+}
+
+// Put a schedule on a job (or remove it with `null`).  The job becomes
+// the owner of the schedule and its own run counts as the first run.
+async function setJobSchedule(job, schedule) {
+  if (!schedule) {
+    await updateJob(job.id, { schedule: undefined, scheduleId: undefined });
+    await deleteBaseline(job.id);
+    return;
+  }
+  const next = nextRunTime(schedule);
+  await updateJob(job.id, {
+    scheduleId: job.id,
+    schedule: {
+      ...schedule,
+      nextRunAt: next ? next.toISOString() : null,
+      lastRunAt: (job.schedule && job.schedule.lastRunAt) || null,
+      lastRunJobId: (job.schedule && job.schedule.lastRunJobId) || null,
+    },
+  });
+  // A job that already completed seeds the baseline right away
+  if (job.state === 'completed') {
+    await writeRunDelta(job).catch((e) => console.error('Delta CSV error:', e.message));
+  }
+}
+
+// POST /api/scrape
+// Create a new scraping job.  Requires `url` and `listName` in the
+// request body; an optional `accountId` picks the LinkedIn account
+// (see /api/accounts), otherwise the default account is used, and an
+// optional `launchProfile` overrides the account's browser launch
+// profile (see /api/launch-profiles).  Optional `startPage`, `maxPages`, `maxRows` and
+// `stopAfterMinutes` limit the run (see utils/jobLimits) and an
+// optional `schedule` (interval such as `7d` or a cron expression)
+// repeats it (see utils/scheduler).  The job is queued and starts immediately when no other
+// job is running; otherwise it waits its turn.  The response reports
+// whether the job started or its queue position.
+router.post('/scrape', async (req, res) => {
+  const { url, listName } = req.body;
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ error: 'URL is required.' });
+  }
+  if (!listName || typeof listName !== 'string' || !listName.trim()) {
+    return res.status(400).json({ error: 'List name is required.' });
+  }
+  const lower = url.toLowerCase();
+  if (!lower.includes('linkedin.com') || !lower.includes('people')) {
+    return res
+      .status(400)
+      .json({ error: 'Not valid, please use a valid LinkedIn Sales Navigator People URL.' });
+  }
+  let limits;
+  try {
+    limits = parseJobLimits(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // A later start page opens that results page directly
+  const startPage = limits.startPage || 1;
+  const startUrl = startPage > 1 ? buildPageUrl(url, startPage) : url;
+  if (!startUrl) {
+    return res.status(400).json({ error: 'Could not build the URL of the start page.' });
+  }
+
+  // Pick the LinkedIn account (the default one when none is given)
+  // and make sure it has a cookie
+  const { accountId } = req.body;
+  const account = await resolveAccount(accountId || undefined);
+  if (accountId && !account) {
+    return res.status(400).json({ error: 'Unknown account.' });
+  }
+  if (!account || !account.hasCookie) {
+    return res.status(400).json({ error: 'No cookie saved. Please upload a cookie first.' });
+  }
+
+  const { launchProfile } = req.body;
+  if (launchProfile) {
+    try {
+      if (!hasLaunchProfile(launchProfile)) {
+        return res.status(400).json({ error: 'Unknown launch profile.' });
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  let schedule;
+  if (req.body.schedule !== undefined && req.body.schedule !== null && req.body.schedule !== '') {
+    try {
+      schedule = parseSchedule(req.body.schedule);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  const { job, position } = await createScrapeJob({ url, listName, accountId: account.id, launchProfile, limits });
+  const { id: jobId, fileName } = job;
+  if (schedule) {
+    await setJobSchedule(job, schedule);
+  }
+  if (scrapeSessions.has(jobId)) {
+    return res.json({ message: 'Scrape started', fileName, jobId });
+  }
+  return res.json({
+    message: `Scrape queued at position ${position + 1}.`,
+    fileName,
+    jobId,
+    position,
   });
-  return res.json({ message: 'Scrape started', fileName, jobId });
 });
 
 
@@ -720,13 +1400,17 @@ router.delete('/jobs/:id', async (req, res) => {
   if (!job) return res.status(404).json({ error: 'Job not found.' });
 
   // Safer: don’t allow deletion while the job is running
-  if (scrapeSession.currentJobId === id && scrapeSession.isScraping) {
+  if (scrapeSessions.has(id)) {
     return res.status(409).json({ error: 'Job is running. Stop it first, then delete.' });
   }
 
   try {
     const { deleteJobFile } = require('../utils/jobsManager');
+    await removeFromQueue(id);
+    // Deleting a schedule owner ends the schedule
+    if (job.schedule) await deleteBaseline(id);
     await deleteJobFile(id);  // removes JSON file and evicts from jobsCache
+    await deleteJobArtifacts(id).catch(() => { });
     return res.json({ message: 'Job deleted.' });
   } catch (e) {
     console.error('Delete job error:', e);
@@ -734,5 +1418,69 @@ router.delete('/jobs/:id', async (req, res) => {
   }
 });
 
+// GET /api/queue
+// Return the queued jobs in run order together with the ids of the
+// jobs that are currently running.
+router.get('/queue', (req, res) => {
+  const queue = listQueue()
+    .map((id, position) => (jobs[id] ? { ...jobs[id], position } : null))
+    .filter(Boolean);
+  return res.json({
+    runningJobIds: [...scrapeSessions.keys()],
+    maxConcurrency: MAX_CONCURRENT_JOBS,
+    queue,
+  });
+});
+
+// PUT /api/queue
+// Replace the queue order.  Expects `{ order: [jobId, ...] }` listing
+// every queued job exactly once.
+router.put('/queue', async (req, res) => {
+  try {
+    const queue = await reorderQueue(req.body && req.body.order);
+    return res.json({ message: 'Queue reordered.', queue });
+  } catch (err) {
+    return res.status(400).json({ error: err.message || 'Failed to reorder queue.' });
+  }
+});
+
+// POST /api/queue/:id/move
+// Move a single queued job to a new zero‑based `position`.
+router.post('/queue/:id/move', async (req, res) => {
+  const { id } = req.params;
+  const position = Number(req.body && req.body.position);
+  if (!isQueued(id)) {
+    return res.status(404).json({ error: 'Job is not queued.' });
+  }
+  if (!Number.isInteger(position) || position < 0) {
+    return res.status(400).json({ error: 'Position must be a non-negative integer.' });
+  }
+  try {
+    const queue = await moveInQueue(id, position);
+    return res.json({ message: 'Job moved.', queue });
+  } catch (err) {
+    console.error('queue move error:', err);
+    return res.status(500).json({ error: err.message || 'Failed to move job.' });
+  }
+});
+
+// DELETE /api/queue/:id
+// Take a job out of the queue without deleting it.  The job is marked
+// as paused so it can be queued again later from the All Jobs page.
+router.delete('/queue/:id', async (req, res) => {
+  const { id } = req.params;
+  const removed = await removeFromQueue(id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Job is not queued.' });
+  }
+  if (jobs[id]) {
+    await transitionJob(id, 'paused', { reason: 'removed_from_queue' }).catch(() => { });
+  }
+  return res.json({ message: 'Job removed from queue.' });
+});
+
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.processQueue = processQueue;
+module.exports.createScrapeJob = createScrapeJob;
+module.exports.shutdownActiveJobs = shutdownActiveJobs;
\ No newline at end of file
@@ -0,0 +1,60 @@
+// scripts/encryptCookies.js
+//
+// Convert the stored cookie files to or from encrypted form (see
+// utils/cookieCrypto).  Run with the key or passphrase the server uses:
+//
+//   SCRAPER_COOKIE_PASSPHRASE=... npm run encrypt-cookies
+//   SCRAPER_COOKIE_PASSPHRASE=... npm run encrypt-cookies -- --decrypt
+//
+// Covers the LinkedIn account cookies and their backups in `cookies/`
+// and the provider cookie files in the project root.  Files already in
+// the requested form are left alone.  Stop the server first so that
+// it does not write a cookie while the files are converted.
+
+const fs = require('fs');
+const path = require('path');
+const { cookiesDir } = require('../utils/fileHandler');
+const { PROVIDERS, providerCookiePath } = require('../utils/providerCookies');
+const { backupDir } = require('../utils/cookieRefresh');
+const { isTempFile, writeFileAtomic } = require('../utils/safeWrite');
+const {
+  isCookieEncryptionEnabled,
+  isEncrypted,
+  encryptCookieText,
+  decryptCookieText,
+} = require('../utils/cookieCrypto');
+
+// Every cookie file on disk
+function cookieFiles() {
+  const inDir = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+    .filter((name) => name.endsWith('.json') && name !== 'accounts.json' && !isTempFile(name))
+    .map((name) => path.join(dir, name));
+  const providers = Object.keys(PROVIDERS).map(providerCookiePath).filter((p) => fs.existsSync(p));
+  return [...inDir(cookiesDir), ...inDir(backupDir), ...providers];
+}
+
+async function main() {
+  const decrypt = process.argv.includes('--decrypt');
+  if (!isCookieEncryptionEnabled()) {
+    console.error('Set SCRAPER_COOKIE_KEY or SCRAPER_COOKIE_PASSPHRASE first.');
+    process.exit(1);
+  }
+  let converted = 0;
+  let failed = 0;
+  for (const filePath of cookieFiles()) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (isEncrypted(text) !== decrypt) continue;
+    try {
+      await writeFileAtomic(filePath, decrypt ? decryptCookieText(text) : encryptCookieText(text));
+      console.log(`${decrypt ? 'Decrypted' : 'Encrypted'} ${path.relative(process.cwd(), filePath)}`);
+      converted++;
+    } catch (err) {
+      console.error(`Skipped ${filePath}: ${err.message}`);
+      failed++;
+    }
+  }
+  console.log(`${converted} cookie file(s) ${decrypt ? 'decrypted' : 'encrypted'}${failed ? `, ${failed} failed` : ''}.`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -35,28 +35,110 @@ cleanupOldFiles().catch(() => {});
 //
 // The scraping jobs are persisted across server restarts via JSON files in
 // the `all_jobs` directory.  At startup we ensure the directory exists,
-// load any existing jobs into memory, and clean up job files older than
-// three days.  These asynchronous operations are fire‑and‑forget; any
+// load any existing jobs into memory, recover interrupted jobs and then
+// clean up job files older than three days.  These asynchronous
+// operations are fire‑and‑forget; any
 // failures (e.g. permission errors) are ignored so that the server still
 // starts.  The loaded jobs will be available via the jobsManager API.
 const {
   ensureJobsDir,
   loadJobs,
   cleanupOldJobs,
+  getJobs,
 } = require('./utils/jobsManager');
+const { restoreQueue, enqueue } = require('./utils/jobQueue');
+const { recoverInterruptedJobs, transitionJob } = require('./utils/jobState');
+const { startScheduler } = require('./utils/scheduler');
+const { closeLoginSessions } = require('./utils/loginSession');
+const { closeBrowserPool } = require('./utils/browserPool');
+const { pruneArtifacts } = require('./utils/failureArtifacts');
+
+// Jobs found still `running` on startup were cut off by a crash or
+// reboot and are marked `interrupted`.  With SCRAPER_AUTO_RESUME_INTERRUPTED=1
+// they are put back at the head of the queue and resume from their last
+// saved page; otherwise they wait for a click on the All Jobs page.
+const AUTO_RESUME_INTERRUPTED = process.env.SCRAPER_AUTO_RESUME_INTERRUPTED === '1';
 
 ensureJobsDir().catch(() => {});
 
-loadJobs().catch(() => {});
-
-cleanupOldJobs().catch(() => {});
+// Resolves to whether the persisted jobs could be loaded
+const jobsLoaded = loadJobs().then(
+  () => true,
+  (err) => {
+    console.error('Failed to load jobs:', err.message || err);
+    return false;
+  }
+);
 
 // Register API routes.  The route files only handle API paths and
 // should return JSON.  Mount them under the `/api` prefix so they do
 // not collide with frontend paths.
 app.use('/api', require('./routes/cookieRoutes'));
-
-app.use('/api', require('./routes/scrapeRoutes'));
+app.use('/api', require('./routes/accountRoutes'));
+app.use('/api', require('./routes/providerRoutes'));
+app.use('/api', require('./routes/healthRoutes'));
+app.use('/api', require('./routes/launchProfileRoutes'));
+app.use('/api', require('./routes/artifactRoutes'));
+
+const scrapeRoutes = require('./routes/scrapeRoutes');
+app.use('/api', scrapeRoutes);
+app.use('/api', require('./routes/eventRoutes'));
+
+// Once the persisted jobs are in memory, reconcile jobs interrupted by
+// the last shutdown, rebuild the job queue from the jobs still marked
+// `queued` and start the first ones.  Resolves to whether the jobs
+// were loaded and recovered.
+const jobsRecovered = jobsLoaded
+  .then(async (loaded) => {
+    const interrupted = await recoverInterruptedJobs();
+    if (interrupted.length) {
+      console.log(`Recovered ${interrupted.length} interrupted job(s).`);
+    }
+    restoreQueue();
+    if (AUTO_RESUME_INTERRUPTED) {
+      // Walk newest first so the oldest job ends up at the head
+      for (const job of interrupted.slice().reverse()) {
+        await transitionJob(job.id, 'queued', { reason: 'auto_resume' });
+        await enqueue(job.id, { front: true });
+      }
+    }
+    scrapeRoutes.processQueue();
+    // Recurring searches: each due schedule creates a new run of the
+    // owner job's URL with the same list name, account, launch profile
+    // and limits.
+    startScheduler({
+      createRun: async (owner) => {
+        const { job } = await scrapeRoutes.createScrapeJob({
+          url: owner.url,
+          listName: owner.listName,
+          accountId: owner.accountId,
+          launchProfile: owner.launchProfile,
+          limits: owner.limits,
+          fields: { scheduleId: owner.id },
+          reason: 'scheduled',
+        });
+        return job;
+      },
+    });
+    return loaded;
+  })
+  .catch((e) => {
+    console.error('Job recovery error:', e);
+    return false;
+  });
+
+// Old job files are cleaned up once the job states are settled, so a
+// job that is about to be recovered or resumed is never removed.
+// Failure artifacts of jobs that were deleted or cleaned up go too.
+// Without the job list every artifact would look orphaned, so nothing
+// is pruned when loading the jobs failed.
+jobsRecovered
+  .then(async (recovered) => {
+    await cleanupOldJobs().catch(() => {});
+    if (recovered) return pruneArtifacts(Object.keys(getJobs()));
+    console.error('Jobs not loaded; failure artifacts are not pruned.');
+  })
+  .catch(() => {});
 
 // The browser and third‑party login checks are performed lazily within
 // the scrape route.  We intentionally avoid launching a browser at
@@ -75,6 +157,37 @@ app.use((req, res) => {
 // Start the HTTP server on the configured port.  The port can be
 // supplied via the `PORT` environment variable or defaults to 3000.
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server started on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Graceful shutdown.  On SIGINT/SIGTERM the server stops accepting
+// requests and pauses the running jobs so their progress is saved and
+// Chromium is closed cleanly before the process exits.  Jobs get
+// SCRAPER_SHUTDOWN_TIMEOUT_MS (default 30 s) to reach their next pause
+// checkpoint; the browsers they hand back to the pool are closed
+// afterwards.  A second signal exits immediately.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SCRAPER_SHUTDOWN_TIMEOUT_MS || '30000');
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again; exiting now.`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`${signal} received; pausing running jobs and closing login browsers before exit...`);
+  server.close();
+  try {
+    await Promise.all([
+      scrapeRoutes.shutdownActiveJobs({ timeoutMs: SHUTDOWN_TIMEOUT_MS }).then(closeBrowserPool),
+      closeLoginSessions(),
+    ]);
+  } catch (e) {
+    console.error('Shutdown error:', e);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
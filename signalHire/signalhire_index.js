@@ -32,10 +32,13 @@ const DEFAULT_OUTPUT_CSV = path.resolve(process.cwd(), 'output.csv');
 // Default options.  Retries controls how many attempts are made to
 // open the sidebar before giving up.  The log function can be
 // overridden to customise logging behaviour (e.g. to integrate with
-// your own logger).
+// your own logger).  onEvent receives structured progress events
+// (`retry`, `login:problem`, `rows:extracted`) for the live event
+// stream.
 const DEFAULTS = {
   retries: 3,
   log: (...a) => console.log('[SignalHire]', ...a),
+  onEvent: () => {},
 };
 
 /**
@@ -49,6 +52,7 @@ const DEFAULTS = {
  *
  * @param {import('playwright').Page} page The Playwright page to scrape
  * @param {Object} [opts] Optional overrides for retries and logging
+ * @param {Function} [opts.onEvent] Called as onEvent(type, data) with progress events
  */
 module.exports = async function runSignalHire(page, opts = {}) {
   // Extract options, providing defaults where appropriate.  The
@@ -61,8 +65,9 @@ module.exports = async function runSignalHire(page, opts = {}) {
     log,
     shCookiePath,
     coCookiePath,
+    onEvent,
   } = { ...DEFAULTS, ...opts };
-  await ensureSidebarReadyWithRetries(page, retries, log, shCookiePath, coCookiePath);
+  await ensureSidebarReadyWithRetries(page, retries, log, shCookiePath, coCookiePath, onEvent);
   // After the sidebar is ready, pause for a human‑like delay before starting extraction.
   try {
     await waitRandomIncreasing(page, 'pre-signalhire-extract', { base: 1000, max: 2000 });
@@ -169,6 +174,7 @@ module.exports = async function runSignalHire(page, opts = {}) {
     append: effectiveAppend,
   });
   log('Saved ->', outputPath);
+  onEvent('rows:extracted', { source: 'signalhire', extracted: rows.length, count: uniqueRows.length });
   return { rows: uniqueRows, filePath: outputPath };
 };
 
@@ -186,8 +192,11 @@ module.exports = async function runSignalHire(page, opts = {}) {
  * @param {import('playwright').Page} page The Playwright page
  * @param {number} maxRetries Maximum number of attempts
  * @param {Function} log Logger for informational messages
+ * @param {string} [shPath] SignalHire cookie file used to re‑login
+ * @param {string} [coPath] ContactOut cookie file used to re‑login
+ * @param {Function} [onEvent] Progress event callback
  */
-async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPath) {
+async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPath, onEvent = () => {}) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       log(`Open sidebar attempt ${attempt}/${maxRetries}`);
@@ -209,6 +218,7 @@ async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPa
       const loggedIn = await checkSignalHireLoggedIn(page);
       if (!loggedIn) {
         log('SignalHire extension not logged in; attempting relogin …');
+        onEvent('login:problem', { provider: 'signalhire', message: 'Extension not logged in; attempting relogin.' });
         const context = page.context();
         // Perform SignalHire login if a cookie path was supplied
         if (shPath) {
@@ -254,6 +264,7 @@ async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPa
     } catch (err) {
       log(`Attempt ${attempt} failed: ${err?.message || err}`);
       if (attempt === maxRetries) throw err;
+      onEvent('retry', { source: 'signalhire', attempt, max: maxRetries, error: err?.message || String(err) });
       log('Refreshing page and retrying …');
       await safeReload(page, log);
     }
@@ -0,0 +1,149 @@
+// test/blockPolicy.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The policy file is read on every launch; point it at a temp file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'block-policy-'));
+const configFile = path.join(dir, 'blockPolicy.json');
+process.env.SCRAPER_BLOCK_POLICY = configFile;
+const {
+  DEFAULT_BLOCK_POLICY,
+  loadBlockPolicy,
+  blockReason,
+  installBlockPolicy,
+  newRequestStats,
+  trackRequests,
+  untrackRequests,
+  summarizeRequestStats,
+} = require('../utils/blockPolicy');
+
+const writePolicy = (data) => fs.writeFileSync(configFile, typeof data === 'string' ? data : JSON.stringify(data));
+
+// A Playwright request as far as the policy looks at it
+function fakeRequest(url, type = 'script', frameUrl = 'https://www.linkedin.com/sales/search') {
+  return {
+    url: () => url,
+    resourceType: () => type,
+    frame: () => ({ url: () => frameUrl }),
+  };
+}
+
+// A browser context that records its listeners and route handler
+function fakeContext() {
+  const listeners = {};
+  const context = {
+    handler: null,
+    on: (event, fn) => { (listeners[event] = listeners[event] || []).push(fn); },
+    emit: (event, arg) => (listeners[event] || []).forEach((fn) => fn(arg)),
+    route: async (pattern, fn) => { context.handler = fn; },
+    // Send a request through the route handler; resolves to 'continue' or 'abort'
+    send: async (request) => {
+      context.emit('request', request);
+      let outcome = null;
+      await context.handler({
+        request: () => request,
+        continue: async () => { outcome = 'continue'; },
+        abort: async () => { outcome = 'abort'; },
+      });
+      return outcome;
+    },
+  };
+  return context;
+}
+
+test.afterEach(() => fs.rmSync(configFile, { force: true }));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('without a file the default policy applies', () => {
+  const policy = loadBlockPolicy();
+  assert.deepStrictEqual([...policy.resourceTypes], DEFAULT_BLOCK_POLICY.resourceTypes);
+  assert.deepStrictEqual(policy.domains, []);
+  assert.deepStrictEqual(policy.allowDomains, DEFAULT_BLOCK_POLICY.allowDomains);
+});
+
+test('a file overrides the defaults field by field and domains are cleaned up', () => {
+  writePolicy({ domains: ['https://Stats.Example.com/path', '.doubleclick.net', ' '], urlPatterns: ['/li/track'] });
+  const policy = loadBlockPolicy();
+  assert.deepStrictEqual([...policy.resourceTypes], DEFAULT_BLOCK_POLICY.resourceTypes);
+  assert.deepStrictEqual(policy.domains, ['stats.example.com', 'doubleclick.net']);
+  assert.ok(policy.urlPatterns[0].test('https://www.linkedin.com/LI/TRACK'));
+});
+
+test('invalid policies are rejected with the problem', () => {
+  const cases = [
+    [{ domains: 'doubleclick.net' }, /domains must be a list of strings/],
+    [{ urlPatterns: [1] }, /urlPatterns must be a list of strings/],
+    [{ resourceTypes: ['image', 'video'] }, /unknown resource type\(s\) video/],
+    [{ urlPatterns: ['(unclosed'] }, /invalid URL pattern "\(unclosed"/],
+    ['{ not json', /Invalid block policy file/],
+  ];
+  for (const [raw, message] of cases) {
+    writePolicy(raw);
+    assert.throws(() => loadBlockPolicy(), message);
+  }
+});
+
+test('requests are blocked by type, domain or pattern', () => {
+  writePolicy({ resourceTypes: ['image'], domains: ['doubleclick.net'], urlPatterns: ['\\.gif\\?'] });
+  const policy = loadBlockPolicy();
+  assert.strictEqual(blockReason(policy, fakeRequest('https://media.licdn.com/a.png', 'image')), 'type');
+  assert.strictEqual(blockReason(policy, fakeRequest('https://ad.doubleclick.net/x.js')), 'domain');
+  assert.strictEqual(blockReason(policy, fakeRequest('https://notdoubleclick.net/x.js')), null);
+  assert.strictEqual(blockReason(policy, fakeRequest('https://px.example.com/p.gif?id=1', 'xhr')), 'pattern');
+  assert.strictEqual(blockReason(policy, fakeRequest('https://www.linkedin.com/sales-api/search', 'fetch')), null);
+});
+
+test('allowed domains, extensions and data URLs are never blocked', () => {
+  writePolicy({ resourceTypes: ['image', 'script'], domains: ['signalhire.com'] });
+  const policy = loadBlockPolicy();
+  assert.strictEqual(blockReason(policy, fakeRequest('https://api.signalhire.com/logo.png', 'image')), null);
+  assert.strictEqual(blockReason(policy, fakeRequest('https://cdn.example.com/panel.js', 'script', 'chrome-extension://abc/panel.html')), null);
+  assert.strictEqual(blockReason(policy, fakeRequest('chrome-extension://abc/icon.png', 'image')), null);
+  assert.strictEqual(blockReason(policy, fakeRequest('data:image/png;base64,AAAA', 'image')), null);
+  const workerRequest = { ...fakeRequest('https://cdn.example.com/w.js'), frame: () => { throw new Error('no frame'); } };
+  assert.strictEqual(blockReason(policy, workerRequest), 'type');
+});
+
+test('installBlockPolicy aborts blocked requests and counts them for the tracked run', async () => {
+  writePolicy({ resourceTypes: ['image'], domains: ['doubleclick.net'] });
+  const context = fakeContext();
+  await installBlockPolicy(context);
+  const stats = newRequestStats();
+  trackRequests(context, stats);
+
+  assert.strictEqual(await context.send(fakeRequest('https://media.licdn.com/a.png', 'image')), 'abort');
+  assert.strictEqual(await context.send(fakeRequest('https://media.licdn.com/b.png', 'image')), 'abort');
+  assert.strictEqual(await context.send(fakeRequest('https://ad.doubleclick.net/x.js')), 'abort');
+  assert.strictEqual(await context.send(fakeRequest('https://www.linkedin.com/sales/search', 'document')), 'continue');
+  context.emit('requestfinished', { sizes: async () => ({ responseBodySize: 100, responseHeadersSize: 20 }) });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual(summarizeRequestStats(stats), {
+    requests: 4,
+    allowed: 1,
+    blocked: 3,
+    allowedBytes: 120,
+    blockedBy: { type: 2, domain: 1, pattern: 0 },
+    blockedTypes: { image: 2, script: 1 },
+    topBlockedHosts: [{ host: 'media.licdn.com', count: 2 }, { host: 'ad.doubleclick.net', count: 1 }],
+  });
+
+  untrackRequests(context);
+  await context.send(fakeRequest('https://media.licdn.com/c.png', 'image'));
+  assert.strictEqual(stats.requests, 4);
+});
+
+test('with blocking off requests are counted but not routed', async () => {
+  writePolicy('{ not json');
+  const context = fakeContext();
+  await installBlockPolicy(context, { enabled: false });
+  assert.strictEqual(context.handler, null);
+  const stats = newRequestStats();
+  trackRequests(context, stats);
+  context.emit('request', fakeRequest('https://media.licdn.com/a.png', 'image'));
+  assert.strictEqual(summarizeRequestStats(stats).allowed, 1);
+});
@@ -0,0 +1,163 @@
+// test/browserPool.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SCRAPER_POOL_MAX_IDLE = '1';
+process.env.SCRAPER_POOL_MAX_PAGES = '3';
+process.env.SCRAPER_POOL_MAX_HEAP_MB = '100';
+
+// Fake browsers: each reports `heapMb` of JS heap and can be closed
+const launches = [];
+let launchError = null;
+const browser = require('../utils/browser');
+browser.launchStealthBrowser = async (opts) => {
+  if (launchError) throw launchError;
+  const handlers = {};
+  const context = {
+    closed: false,
+    heapMb: 10,
+    tabs: [{ close: async () => {} }],
+    on: (event, fn) => { handlers[event] = fn; },
+    pages: () => context.tabs,
+    newCDPSession: async () => ({
+      send: async (method) => (method === 'Performance.getMetrics'
+        ? { metrics: [{ name: 'JSHeapTotalSize', value: context.heapMb * 1024 * 1024 }] }
+        : {}),
+      detach: async () => {},
+    }),
+    close: async () => {
+      context.closed = true;
+      if (handlers.close) handlers.close();
+    },
+  };
+  launches.push({ opts, context });
+  return context;
+};
+
+const { acquireBrowser, describeBrowserPool, closeBrowserPool } = require('../utils/browserPool');
+
+const profile = { name: 'default', headless: false };
+const page = {};
+
+test.afterEach(async () => {
+  await closeBrowserPool();
+  launches.length = 0;
+});
+
+test('a released context is reused by the next run of the same account', async () => {
+  const first = await acquireBrowser({ accountId: 'a', profile });
+  assert.strictEqual(first.slot, 0);
+  assert.strictEqual(first.reused, false);
+  assert.strictEqual(path.basename(launches[0].opts.userDataDir), 'user_data');
+  first.context.tabs = [{ close: async function close() { this.closed = true; } }];
+  const [tab] = first.context.tabs;
+  await first.release();
+  assert.strictEqual(tab.closed, true, 'the job’s tabs are closed');
+  assert.deepStrictEqual(describeBrowserPool().map((e) => [e.slot, e.accountId, e.busy]), [[0, 'a', false]]);
+
+  const again = await acquireBrowser({ accountId: 'a', profile });
+  assert.strictEqual(again.reused, true);
+  assert.strictEqual(again.context, first.context);
+  assert.strictEqual(launches.length, 1);
+
+  // Busy contexts are never shared; the other account gets its own slot
+  const other = await acquireBrowser({ accountId: 'b', profile });
+  assert.strictEqual(other.slot, 1);
+  assert.strictEqual(path.basename(launches[1].opts.userDataDir), 'user_data_1');
+});
+
+test('a changed profile, a discard or too many idle contexts close the browser', async () => {
+  const a = await acquireBrowser({ accountId: 'a', profile });
+  await a.release();
+  const proxied = await acquireBrowser({ accountId: 'a', profile: { ...profile, proxy: { server: 'http://proxy.test:8080' } } });
+  assert.strictEqual(launches[0].context.closed, true, 'the outdated context of the account is closed');
+  assert.deepStrictEqual(launches[1].opts.proxy, { server: 'http://proxy.test:8080' });
+
+  const b = await acquireBrowser({ accountId: 'b', profile });
+  await b.release({ discard: true });
+  assert.strictEqual(launches[2].context.closed, true);
+
+  // SCRAPER_POOL_MAX_IDLE=1 keeps only the most recently released one
+  const c = await acquireBrowser({ accountId: 'c', profile });
+  await proxied.release();
+  await new Promise((r) => setTimeout(r, 2));
+  await c.release({ accountId: 'c2' });
+  assert.strictEqual(launches[1].context.closed, true);
+  assert.deepStrictEqual(describeBrowserPool().map((e) => e.accountId), ['c2']);
+});
+
+test('a context is recycled after the page limit or past the heap limit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const lease = await acquireBrowser({ accountId: 'a', profile });
+  const firstContext = lease.context;
+  assert.strictEqual(await lease.pageDone(page), false);
+  assert.strictEqual(await lease.pageDone(page), false);
+  assert.strictEqual(await lease.pageDone(page), true, 'SCRAPER_POOL_MAX_PAGES pages');
+  lease.markLoginsChecked();
+
+  const fresh = await lease.recycle();
+  assert.strictEqual(firstContext.closed, true);
+  assert.strictEqual(lease.context, fresh);
+  assert.strictEqual(launches[1].opts.userDataDir, launches[0].opts.userDataDir, 'same profile folder, same cookies');
+  assert.strictEqual(lease.loginsStale(), true, 'a relaunched browser logs in again');
+  assert.strictEqual(await lease.pageDone(page), false);
+
+  fresh.heapMb = 150;
+  assert.strictEqual(await lease.pageDone(page), true);
+  assert.strictEqual(describeBrowserPool()[0].heapMb, 150);
+  // A worn context is not kept warm
+  await lease.release();
+  assert.strictEqual(fresh.closed, true);
+  assert.deepStrictEqual(describeBrowserPool(), []);
+});
+
+test('provider logins go stale when a cookie file is saved after the check', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-pool-'));
+  try {
+    const cookieFile = path.join(dir, 'signalhire_cookies.json');
+    fs.writeFileSync(cookieFile, '[]');
+    const lease = await acquireBrowser({ accountId: 'a', profile });
+    assert.strictEqual(lease.loginsStale([cookieFile]), true, 'never checked');
+    await new Promise((r) => setTimeout(r, 5));
+    lease.markLoginsChecked();
+    assert.strictEqual(lease.loginsStale([cookieFile, path.join(dir, 'missing.json')]), false);
+    const later = new Date(Date.now() + 1000);
+    fs.utimesSync(cookieFile, later, later);
+    assert.strictEqual(lease.loginsStale([cookieFile]), true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a crashed idle browser is forgotten and a failed launch frees its slot', async () => {
+  const lease = await acquireBrowser({ accountId: 'a', profile });
+  await lease.release();
+  await launches[0].context.close();
+  assert.deepStrictEqual(describeBrowserPool(), []);
+
+  launchError = new Error('Chromium missing');
+  await assert.rejects(acquireBrowser({ accountId: 'a', profile }), /Chromium missing/);
+  launchError = null;
+  assert.deepStrictEqual(describeBrowserPool(), []);
+  assert.strictEqual((await acquireBrowser({ accountId: 'a', profile })).slot, 0);
+});
+
+test('a closing context keeps its slot until Chromium has exited', async () => {
+  const lease = await acquireBrowser({ accountId: 'a', profile });
+  await lease.release();
+  // The warm context takes a while to close
+  let exited;
+  const { context } = launches[0];
+  const close = context.close;
+  context.close = () => new Promise((resolve) => { exited = () => close().then(resolve); });
+
+  const proxied = acquireBrowser({ accountId: 'a', profile: { ...profile, proxy: { server: 'http://proxy.test:8080' } } });
+  const other = await acquireBrowser({ accountId: 'b', profile });
+  assert.strictEqual(other.slot, 1, 'the slot of the closing context is not reused yet');
+  exited();
+  assert.strictEqual((await proxied).slot, 0);
+});
@@ -0,0 +1,85 @@
+// test/cookieCrypto.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  isCookieEncryptionEnabled,
+  isEncrypted,
+  encryptCookieText,
+  decryptCookieText,
+  serializeCookies,
+} = require('../utils/cookieCrypto');
+
+const COOKIES = JSON.stringify([{ name: 'li_at', value: 'secret-session', domain: '.linkedin.com', path: '/' }]);
+const HEX_KEY = crypto.randomBytes(32).toString('hex');
+
+// The key is read from the environment on every call
+function withEnv(env, fn) {
+  const saved = { key: process.env.SCRAPER_COOKIE_KEY, passphrase: process.env.SCRAPER_COOKIE_PASSPHRASE };
+  delete process.env.SCRAPER_COOKIE_KEY;
+  delete process.env.SCRAPER_COOKIE_PASSPHRASE;
+  if (env.key) process.env.SCRAPER_COOKIE_KEY = env.key;
+  if (env.passphrase) process.env.SCRAPER_COOKIE_PASSPHRASE = env.passphrase;
+  try {
+    return fn();
+  } finally {
+    delete process.env.SCRAPER_COOKIE_KEY;
+    delete process.env.SCRAPER_COOKIE_PASSPHRASE;
+    if (saved.key !== undefined) process.env.SCRAPER_COOKIE_KEY = saved.key;
+    if (saved.passphrase !== undefined) process.env.SCRAPER_COOKIE_PASSPHRASE = saved.passphrase;
+  }
+}
+
+test('without a key the text is left as it is', () => withEnv({}, () => {
+  assert.strictEqual(isCookieEncryptionEnabled(), false);
+  assert.strictEqual(encryptCookieText(COOKIES), COOKIES);
+  assert.strictEqual(decryptCookieText(COOKIES), COOKIES);
+}));
+
+test('a hex key round-trips and hides the cookie', () => withEnv({ key: HEX_KEY }, () => {
+  assert.strictEqual(isCookieEncryptionEnabled(), true);
+  const stored = encryptCookieText(COOKIES);
+  assert.ok(isEncrypted(stored));
+  assert.ok(!stored.includes('secret-session'));
+  assert.strictEqual(JSON.parse(stored).kdf, 'none');
+  assert.strictEqual(decryptCookieText(stored), COOKIES);
+}));
+
+test('a base64 key works like the same hex key', () => {
+  const stored = withEnv({ key: HEX_KEY }, () => encryptCookieText(COOKIES));
+  const base64 = Buffer.from(HEX_KEY, 'hex').toString('base64');
+  assert.strictEqual(withEnv({ key: base64 }, () => decryptCookieText(stored)), COOKIES);
+});
+
+test('a passphrase round-trips through scrypt', () => withEnv({ passphrase: 'correct horse' }, () => {
+  const stored = serializeCookies(JSON.parse(COOKIES));
+  assert.strictEqual(JSON.parse(stored).kdf, 'scrypt');
+  assert.deepStrictEqual(JSON.parse(decryptCookieText(stored)), JSON.parse(COOKIES));
+}));
+
+test('each write uses a fresh IV', () => withEnv({ key: HEX_KEY }, () => {
+  assert.notStrictEqual(JSON.parse(encryptCookieText(COOKIES)).iv, JSON.parse(encryptCookieText(COOKIES)).iv);
+}));
+
+test('wrong or missing keys are reported', () => {
+  const stored = withEnv({ key: HEX_KEY }, () => encryptCookieText(COOKIES));
+  assert.throws(() => withEnv({}, () => decryptCookieText(stored)), /Cookie file is encrypted/);
+  assert.throws(() => withEnv({ key: crypto.randomBytes(32).toString('hex') }, () => decryptCookieText(stored)), /Could not decrypt/);
+  assert.throws(() => withEnv({ passphrase: 'x' }, () => decryptCookieText(stored)), /encrypted with a key/);
+  assert.throws(() => withEnv({ key: 'abcd' }, () => encryptCookieText(COOKIES)), /must be 32 bytes/);
+});
+
+test('a tampered file does not decrypt', () => withEnv({ key: HEX_KEY }, () => {
+  const envelope = JSON.parse(encryptCookieText(COOKIES));
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  envelope.data = data.toString('base64');
+  assert.throws(() => decryptCookieText(JSON.stringify(envelope)), /Could not decrypt/);
+}));
+
+test('plain cookie JSON is not mistaken for an envelope', () => {
+  assert.strictEqual(isEncrypted(COOKIES), false);
+  assert.strictEqual(isEncrypted('{"encrypted":"rot13"}'), false);
+  assert.strictEqual(isEncrypted('{ broken'), false);
+});
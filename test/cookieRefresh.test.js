@@ -0,0 +1,105 @@
+// test/cookieRefresh.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the cookie files and their backups in a temp folder instead of cookies/
+process.env.SCRAPER_COOKIE_BACKUPS = '2';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-refresh-'));
+require('../utils/fileHandler').cookiesDir = dir;
+const { jobCookieTargets, writeBackCookies, backupDir } = require('../utils/cookieRefresh');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const LI = '.linkedin.com';
+const cookie = (name, value, domain = LI) => ({ name, value, domain, path: '/', expires: 1893456000, httpOnly: true, secure: true, sameSite: 'None' });
+const fakeContext = (cookies) => ({ cookies: async () => cookies });
+const tick = () => new Promise((r) => setTimeout(r, 5));
+
+// A LinkedIn target stored in the temp folder
+const target = (fileName) => ({ ...jobCookieTargets(path.join(dir, fileName))[0] });
+const readCookies = (fileName) => JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+const backups = () => (fs.existsSync(backupDir) ? fs.readdirSync(backupDir).sort() : []);
+
+test('a job writes back its LinkedIn account and both providers', () => {
+  const targets = jobCookieTargets('/tmp/linkedin_seat.json');
+  assert.deepStrictEqual(targets.map((t) => t.label), ['LinkedIn', 'SignalHire', 'ContactOut']);
+  assert.strictEqual(targets[0].filePath, '/tmp/linkedin_seat.json');
+  assert.deepStrictEqual(targets[0].required, ['li_at', 'JSESSIONID', 'li_a']);
+  assert.strictEqual(path.basename(targets[1].filePath), 'signalhire_cookies.json');
+  assert.strictEqual(backupDir, path.join(dir, 'backups'));
+});
+
+test('rotated cookies replace the stored file after a backup; unchanged ones do not', async () => {
+  const stored = [cookie('li_at', 'old')];
+  fs.writeFileSync(path.join(dir, 'linkedin_a.json'), JSON.stringify(stored));
+  const live = [cookie('li_at', 'new'), cookie('JSESSIONID', 'j'), cookie('REMEMBERME', 'r', '.signalhire.com')];
+
+  assert.deepStrictEqual(await writeBackCookies(fakeContext(live), [target('linkedin_a.json')]), [{ label: 'LinkedIn', written: true }]);
+  assert.deepStrictEqual(readCookies('linkedin_a.json'), live.slice(0, 2), 'only the site’s own cookies are kept');
+  const [backup] = backups();
+  assert.match(backup, /^linkedin_a\.\d{4}-.*\.json$/);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(backupDir, backup), 'utf8')), stored);
+
+  const again = await writeBackCookies(fakeContext([...live].reverse()), [target('linkedin_a.json')]);
+  assert.deepStrictEqual(again, [{ label: 'LinkedIn', written: false, reason: 'unchanged' }]);
+  assert.strictEqual(backups().length, 1);
+});
+
+test('a logged-out browser never overwrites a stored cookie', async () => {
+  fs.writeFileSync(path.join(dir, 'linkedin_b.json'), JSON.stringify([cookie('li_at', 'good')]));
+  const results = await writeBackCookies(fakeContext([cookie('JSESSIONID', 'j'), cookie('li_at', 'x', '.example.com')]), [target('linkedin_b.json')]);
+  assert.deepStrictEqual(results, [{ label: 'LinkedIn', written: false, reason: 'not_logged_in' }]);
+  assert.strictEqual(readCookies('linkedin_b.json')[0].value, 'good');
+});
+
+test('a missing file is written without a backup and old backups are pruned', async () => {
+  await writeBackCookies(fakeContext([cookie('li_at', 'v0')]), [target('linkedin_c.json')]);
+  assert.strictEqual(readCookies('linkedin_c.json')[0].value, 'v0');
+  assert.deepStrictEqual(backups().filter((n) => n.startsWith('linkedin_c.')), []);
+
+  for (const value of ['v1', 'v2', 'v3']) {
+    await tick();
+    await writeBackCookies(fakeContext([cookie('li_at', value)]), [target('linkedin_c.json')]);
+  }
+  const kept = backups().filter((n) => n.startsWith('linkedin_c.'));
+  assert.strictEqual(kept.length, 2, 'SCRAPER_COOKIE_BACKUPS files per cookie');
+  assert.deepStrictEqual(kept.map((n) => JSON.parse(fs.readFileSync(path.join(backupDir, n), 'utf8'))[0].value), ['v1', 'v2']);
+  assert.strictEqual(backups().filter((n) => n.startsWith('linkedin_a.')).length, 1, 'other files keep their backups');
+});
+
+test('errors are reported per site and never thrown', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const broken = { cookies: async () => { throw new Error('browser closed'); } };
+  assert.deepStrictEqual(await writeBackCookies(broken, [target('linkedin_d.json')]), []);
+
+  const unwritable = jobCookieTargets(path.join(dir, 'missing', 'deeper', 'linkedin_d.json'))[0];
+  const results = await writeBackCookies(fakeContext([cookie('li_at', 'x')]), [unwritable, target('linkedin_d.json')]);
+  assert.deepStrictEqual(results, [
+    { label: 'LinkedIn', written: false, reason: 'error' },
+    { label: 'LinkedIn', written: true },
+  ]);
+});
+
+test('a cookie saved while the job ran is kept over the browser’s session', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  fs.writeFileSync(path.join(dir, 'linkedin_e.json'), JSON.stringify([cookie('li_at', 'loaded')]));
+  const stamps = new Map();
+  const [seat] = jobCookieTargets(path.join(dir, 'linkedin_e.json'), stamps);
+  fs.writeFileSync(path.join(dir, 'linkedin_e.json'), JSON.stringify([cookie('li_at', 'pasted')]));
+
+  const results = await writeBackCookies(fakeContext([cookie('li_at', 'live')]), [seat]);
+  assert.deepStrictEqual(results, [{ label: 'LinkedIn', written: false, reason: 'changed_on_disk' }]);
+  assert.strictEqual(readCookies('linkedin_e.json')[0].value, 'pasted');
+
+  // Once the run writes the file, its own write is the new stamp
+  const [fresh] = jobCookieTargets(path.join(dir, 'linkedin_e.json'));
+  await writeBackCookies(fakeContext([cookie('li_at', 'live')]), [fresh]);
+  await tick();
+  const rotated = await writeBackCookies(fakeContext([cookie('li_at', 'rotated')]), [fresh]);
+  assert.deepStrictEqual(rotated, [{ label: 'LinkedIn', written: true }]);
+  assert.strictEqual(readCookies('linkedin_e.json')[0].value, 'rotated');
+});
@@ -0,0 +1,124 @@
+// test/cookieUtil.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertCookies, parseCookies, cookieReport, linkedInCookieReport, describeCookieReport } = require('../utils/cookieUtil');
+
+const LI = '.linkedin.com';
+const NOW = new Date('2026-03-01T00:00:00Z');
+const inDays = (days) => NOW.getTime() / 1000 + days * 24 * 60 * 60;
+const cookie = (name, fields) => ({ name, value: 'x', domain: LI, path: '/', ...fields });
+
+test('a Chrome export is converted to Playwright cookies', () => {
+  const [converted] = convertCookies([
+    { name: 'li_at', value: 1, domain: LI, expirationDate: 1893456000.5, sameSite: 'no_restriction', httpOnly: true, secure: true },
+  ]);
+  assert.deepStrictEqual(converted, { name: 'li_at', value: '1', domain: LI, path: '/', httpOnly: true, secure: true, expires: 1893456000, sameSite: 'None' });
+  assert.strictEqual(convertCookies([{ name: 'a', expirationDate: 1, session: true }])[0].expires, undefined);
+});
+
+test('a Chrome extension export is chrome-json', () => {
+  const text = JSON.stringify([
+    { name: 'li_at', value: 'abc', domain: LI, path: '/', expirationDate: 1893456000.5, hostOnly: false, sameSite: 'no_restriction', httpOnly: true, secure: true },
+  ]);
+  const { format, cookies } = parseCookies(text);
+  assert.strictEqual(format, 'chrome-json');
+  assert.deepStrictEqual(cookies, [
+    { name: 'li_at', value: 'abc', domain: LI, path: '/', httpOnly: true, secure: true, expires: 1893456000, sameSite: 'None' },
+  ]);
+});
+
+test('a Playwright cookie array is playwright-json; -1 means a session cookie', () => {
+  const text = JSON.stringify([{ name: 'li_at', value: 'abc', domain: LI, path: '/', expires: -1, sameSite: 'Lax' }]);
+  const { format, cookies } = parseCookies(text);
+  assert.strictEqual(format, 'playwright-json');
+  assert.strictEqual(cookies[0].expires, undefined);
+  assert.strictEqual(cookies[0].sameSite, 'Lax');
+});
+
+test('a storageState object is storage-state', () => {
+  const text = JSON.stringify({ cookies: [{ name: 'li_at', value: 'abc', domain: LI, path: '/', expires: 1893456000 }], origins: [] });
+  const { format, cookies } = parseCookies(text);
+  assert.strictEqual(format, 'storage-state');
+  assert.strictEqual(cookies[0].expires, 1893456000);
+});
+
+test('a cookies.txt file is netscape, with #HttpOnly_ lines', () => {
+  const text = [
+    '# Netscape HTTP Cookie File',
+    `#HttpOnly_${LI}\tTRUE\t/\tTRUE\t1893456000\tli_at\tabc`,
+    `${LI}\tTRUE\t/\tFALSE\t0\tlang\tv=2&lang=en-us`,
+  ].join('\n');
+  const { format, cookies } = parseCookies(text);
+  assert.strictEqual(format, 'netscape');
+  assert.deepStrictEqual(cookies.map((c) => [c.name, c.value, c.httpOnly, c.secure, c.expires]), [
+    ['li_at', 'abc', true, true, 1893456000],
+    ['lang', 'v=2&lang=en-us', false, false, undefined],
+  ]);
+});
+
+test('a Cookie header is cookie-header and gets the default domain', () => {
+  const { format, cookies } = parseCookies('Cookie: li_at=abc; JSESSIONID="ajax:1"', { defaultDomain: LI });
+  assert.strictEqual(format, 'cookie-header');
+  assert.deepStrictEqual(cookies.map((c) => [c.name, c.value, c.domain]), [
+    ['li_at', 'abc', LI],
+    ['JSESSIONID', '"ajax:1"', LI],
+  ]);
+  assert.throws(() => parseCookies('li_at=abc'), /carries no domain/);
+});
+
+test('unusable text is rejected with a clear message', () => {
+  assert.throws(() => parseCookies(''), /Unrecognised cookie format/);
+  assert.throws(() => parseCookies('hello world'), /Unrecognised cookie format/);
+  assert.throws(() => parseCookies('[{"name":'), /Invalid cookie JSON/);
+  assert.throws(() => parseCookies('{"foo":1}'), /array of cookies or a Playwright storageState/);
+  assert.throws(() => parseCookies('[]'), /No cookies found/);
+  assert.throws(() => parseCookies('[{"name":"li_at","value":"x"}]'), /name and a domain/);
+  assert.throws(() => parseCookies(`${LI}\tTRUE\t/\tTRUE\t0\tli_at\tabc\n${LI}\tTRUE\t/`), /3 fields instead of 7/);
+});
+
+test('a complete cookie reports when its earliest required cookie expires', () => {
+  const report = linkedInCookieReport([
+    cookie('li_at', { expires: inDays(30) }),
+    cookie('JSESSIONID', { expires: inDays(10.5) }),
+    cookie('li_a'),
+    cookie('lang', { expires: inDays(1) }),
+  ], NOW);
+  assert.deepStrictEqual(report, {
+    usable: true,
+    missing: [],
+    wrongDomain: [],
+    expired: [],
+    earliestExpiry: '2026-03-11T12:00:00.000Z',
+    daysUntilExpiry: 10,
+  });
+  assert.strictEqual(describeCookieReport(report), 'LinkedIn cookie looks good; expires in 10 day(s) (2026-03-11).');
+});
+
+test('missing, wrong-domain and expired cookies are listed; only li_at makes it unusable', () => {
+  const partial = linkedInCookieReport([cookie('li_at', { expires: inDays(5) }), cookie('JSESSIONID', { domain: 'example.com' })], NOW);
+  assert.strictEqual(partial.usable, true);
+  assert.deepStrictEqual([partial.missing, partial.wrongDomain], [['li_a'], ['JSESSIONID']]);
+  assert.strictEqual(
+    describeCookieReport(partial),
+    'LinkedIn cookie problems: missing li_a; wrong domain for JSESSIONID. Otherwise expires in 5 day(s) (2026-03-06).',
+  );
+
+  const expired = linkedInCookieReport([cookie('li_at', { expires: inDays(-1) }), cookie('JSESSIONID'), cookie('li_a')], NOW);
+  assert.strictEqual(expired.usable, false);
+  assert.deepStrictEqual(expired.expired, ['li_at']);
+  assert.strictEqual(describeCookieReport(expired), 'LinkedIn cookie problems: expired li_at. Please paste a fresh cookie.');
+  assert.strictEqual(linkedInCookieReport([], NOW).usable, false);
+});
+
+test('other sites name their own required cookies; a trailing * matches any suffix', () => {
+  const rules = { required: ['remember_web_*', 'session'], domain: /(^|\.)example\.com$/i };
+  const report = cookieReport([cookie('remember_web_59ba36', { domain: 'example.com' })], rules, NOW);
+  assert.strictEqual(report.usable, true);
+  assert.deepStrictEqual(report.missing, ['session']);
+  assert.strictEqual(describeCookieReport(report, 'Example'), 'Example cookie problems: missing session.');
+
+  const sessionOnly = cookieReport([cookie('session', { domain: 'example.com' })], { ...rules, essential: 'session' }, NOW);
+  assert.strictEqual(sessionOnly.usable, true, 'the essential cookie can be another one');
+  assert.strictEqual(cookieReport([cookie('session', { domain: 'example.com' })], rules, NOW).usable, false);
+});
@@ -0,0 +1,117 @@
+// test/events.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { emitJobEvent, jobEventEmitter, subscribe, eventsSince } = require('../utils/events');
+
+// Serve /api/events on a free port
+async function startServer() {
+  const app = express();
+  app.use('/api', require('../routes/eventRoutes'));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  return server;
+}
+
+// Open the stream and collect its text until `done(text)` holds
+function readStream(server, { query = '', headers = {}, done }) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({ host: '127.0.0.1', port, path: `/api/events${query}`, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        if (done(text)) {
+          req.destroy();
+          resolve({ headers: res.headers, text });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+// `data:` payloads of an SSE text
+const messages = (text) => text.split('\n').filter((l) => l.startsWith('data: ')).map((l) => JSON.parse(l.slice(6)));
+// Boot token and sequence number of an event id
+const bootOf = (id) => id.split('-')[0];
+const seqOf = (id) => Number(id.split('-')[1]);
+// Id of the event `n` after `id`
+const plus = (id, n) => `${bootOf(id)}-${seqOf(id) + n}`;
+
+test('events get increasing ids and reach subscribers', () => {
+  const seen = [];
+  const unsubscribe = subscribe((event) => seen.push(event));
+  const first = emitJobEvent('job-1', 'page:started', { page: 1 });
+  const second = emitJobEvent(null, 'queue:changed');
+  unsubscribe();
+  emitJobEvent('job-1', 'page:finished');
+
+  assert.match(first.id, /^[0-9a-f]{8}-\d+$/);
+  assert.strictEqual(second.id, plus(first.id, 1));
+  assert.deepStrictEqual({ ...first, at: undefined }, { page: 1, id: first.id, jobId: 'job-1', type: 'page:started', at: undefined });
+  assert.strictEqual(second.jobId, null);
+  assert.deepStrictEqual(seen.map((e) => e.type), ['page:started', 'queue:changed']);
+});
+
+test('a job emitter adds the job id and its extra fields', () => {
+  let page = 3;
+  const emit = jobEventEmitter('job-2', () => ({ page }));
+  const seen = [];
+  const unsubscribe = subscribe((event) => seen.push(event));
+  emit('rows:extracted', { rows: 25 });
+  page = 4;
+  emit('page:started', { page: 99 });
+  unsubscribe();
+  assert.deepStrictEqual(seen.map((e) => [e.jobId, e.type, e.page, e.rows]), [
+    ['job-2', 'rows:extracted', 3, 25],
+    ['job-2', 'page:started', 99, undefined],
+  ]);
+});
+
+test('only the most recent events are kept for catching up', () => {
+  const start = emitJobEvent('job-3', 'tick').id;
+  for (let i = 0; i < 250; i++) emitJobEvent('job-3', 'tick');
+  const kept = eventsSince('stale-1');
+  assert.strictEqual(kept.length, 200);
+  assert.strictEqual(kept[kept.length - 1].id, plus(start, 250));
+  assert.deepStrictEqual(eventsSince(plus(start, 248)).map((e) => e.id), [plus(start, 249), plus(start, 250)]);
+  assert.deepStrictEqual(eventsSince(plus(start, 250)), []);
+  assert.deepStrictEqual(eventsSince(''), []);
+});
+
+test('an id from before a restart replays every buffered event', () => {
+  const last = emitJobEvent('job-6', 'tick').id;
+  const buffered = eventsSince('0badf00d-1').map((e) => e.id);
+  assert.strictEqual(buffered.length, 200);
+  assert.strictEqual(buffered[buffered.length - 1], last);
+  assert.strictEqual(eventsSince(String(seqOf(last) + 10)).length, 200, 'a bare number is from an older server too');
+});
+
+test('the stream replays missed events after Last-Event-ID and filters by job', async () => {
+  const server = await startServer();
+  try {
+    const before = emitJobEvent('job-4', 'page:started').id;
+    emitJobEvent('job-5', 'page:started');
+    emitJobEvent('job-4', 'page:finished');
+    const { headers, text } = await readStream(server, {
+      query: '?jobId=job-4',
+      headers: { 'Last-Event-ID': String(before) },
+      done: (t) => t.includes('retry: 3000'),
+    });
+    assert.match(headers['content-type'], /^text\/event-stream/);
+    assert.deepStrictEqual(messages(text).map((e) => [e.id, e.jobId, e.type]), [[plus(before, 2), 'job-4', 'page:finished']]);
+    assert.match(text, new RegExp(`^id: ${plus(before, 2)}\n`));
+
+    // New events are pushed as they are published
+    const live = readStream(server, { done: (t) => t.includes('job:finished') });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const event = emitJobEvent('job-4', 'job:finished');
+    assert.deepStrictEqual(messages((await live).text).map((e) => e.id), [event.id]);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,111 @@
+// test/failureArtifacts.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.SCRAPER_ARTIFACT_TRACES = '1';
+process.env.SCRAPER_ARTIFACTS_MAX_PER_JOB = '2';
+const {
+  artifactsDir,
+  startTracing,
+  restartTraceChunk,
+  stopTracing,
+  captureFailure,
+  listArtifacts,
+  artifactPath,
+  deleteJobArtifacts,
+  pruneArtifacts,
+} = require('../utils/failureArtifacts');
+
+// Artifacts live in artifacts/; use job ids of our own and remove the
+// folder again if the test made it
+const hadArtifacts = fs.existsSync(artifactsDir);
+const jobId = `test-${process.pid}-${Date.now()}`;
+test.after(async () => {
+  await deleteJobArtifacts(jobId);
+  await deleteJobArtifacts(`${jobId}-gone`);
+  if (!hadArtifacts) fs.rmSync(artifactsDir, { recursive: true, force: true });
+});
+
+// A fake context whose tracing calls are recorded
+function fakeContext() {
+  const calls = [];
+  const tracing = {};
+  for (const name of ['start', 'startChunk', 'stop']) tracing[name] = async () => { calls.push(name); };
+  tracing.stopChunk = async (opts) => {
+    calls.push('stopChunk');
+    if (opts && opts.path) fs.writeFileSync(opts.path, 'zip');
+  };
+  return { calls, tracing };
+}
+
+// A fake page with a SignalHire and a ContactOut frame; its screenshot fails
+function fakePage(context) {
+  const frame = (url, html) => ({ url: () => url, content: async () => html });
+  const main = frame('https://www.linkedin.com/sales/search/people?page=4', '<html>main</html>');
+  return {
+    context: () => context,
+    url: () => main.url(),
+    content: () => main.content(),
+    mainFrame: () => main,
+    frames: () => [
+      main,
+      frame('chrome-extension://abc/signalhire.html', '<div>SH</div>'),
+      frame('https://contactout.com/widget', '<div>CO</div>'),
+      frame('https://ads.example/frame', '<div>ad</div>'),
+    ],
+    screenshot: async () => { throw new Error('Target closed'); },
+  };
+}
+
+test('a failure saves the page, its extension frames and the trace', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const context = fakeContext();
+  await startTracing(context);
+  await startTracing(context);
+  await restartTraceChunk(context);
+  assert.deepStrictEqual(context.calls, ['start', 'startChunk', 'stopChunk', 'startChunk']);
+
+  const meta = await captureFailure(jobId, fakePage(context), { stage: 'signal hire', pageNo: 4, error: new Error('sidebar missing') });
+  assert.match(meta.id, /-p4-signal_hire$/);
+  assert.strictEqual(meta.error, 'sidebar missing');
+  assert.strictEqual(meta.url, 'https://www.linkedin.com/sales/search/people?page=4');
+  assert.deepStrictEqual(meta.files, ['page.html', 'signalhire-frame-1.html', 'contactout-frame-1.html', 'trace.zip']);
+  assert.deepStrictEqual(meta.captureErrors, ['screenshot: Target closed']);
+
+  const frameFile = await artifactPath(jobId, meta.id, 'signalhire-frame-1.html');
+  assert.strictEqual(fs.readFileSync(frameFile, 'utf8'), '<!-- chrome-extension://abc/signalhire.html -->\n<div>SH</div>');
+  assert.strictEqual(await artifactPath(jobId, meta.id, 'screenshot.png'), null);
+  assert.strictEqual(await artifactPath(jobId, meta.id, '../../package.json'), null, 'names cannot leave the folder');
+
+  await stopTracing(context);
+  assert.strictEqual(context.calls[context.calls.length - 1], 'stop');
+  await restartTraceChunk(context);
+  assert.strictEqual(context.calls[context.calls.length - 1], 'stop', 'no trace once stopped');
+});
+
+test('failures are listed newest first and capped per job', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const page = fakePage(fakeContext());
+  await new Promise((r) => setTimeout(r, 5));
+  const second = await captureFailure(jobId, page, { stage: 'pagination', pageNo: 5, error: 'timeout' });
+  assert.strictEqual(await captureFailure(jobId, page, { stage: 'pagination', pageNo: 6 }), null, 'SCRAPER_ARTIFACTS_MAX_PER_JOB');
+  assert.strictEqual(await captureFailure(jobId, null, { stage: 'pagination' }), null);
+
+  const listed = await listArtifacts(jobId);
+  assert.deepStrictEqual(listed.map((f) => [f.stage, f.page, f.error]), [['pagination', 5, 'timeout'], ['signal hire', 4, 'sidebar missing']]);
+  assert.strictEqual(listed[0].id, second.id);
+  assert.deepStrictEqual(await listArtifacts('no-such-job'), []);
+});
+
+test('artifacts of deleted jobs are pruned', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await captureFailure(`${jobId}-gone`, fakePage(fakeContext()), { stage: 'page' });
+  // Keep every other job's folder, whatever is already there
+  const keep = fs.readdirSync(artifactsDir).filter((name) => name !== `${jobId}-gone`);
+  await pruneArtifacts(keep);
+  assert.strictEqual(fs.existsSync(path.join(artifactsDir, `${jobId}-gone`)), false);
+  assert.strictEqual((await listArtifacts(jobId)).length, 2);
+});
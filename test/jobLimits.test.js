@@ -0,0 +1,46 @@
+// test/jobLimits.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseJobLimits, limitReached } = require('../utils/jobLimits');
+const { buildPageUrl } = require('../utils/nextPageNavigation');
+
+test('limits may be numbers or numeric strings; empty values are skipped', () => {
+  assert.deepStrictEqual(parseJobLimits({ startPage: '3', maxPages: 5, maxRows: '', stopAfterMinutes: '1.5', url: 'x' }), {
+    startPage: 3,
+    maxPages: 5,
+    stopAfterMinutes: 1.5,
+  });
+  assert.deepStrictEqual(parseJobLimits(), {});
+  assert.deepStrictEqual(parseJobLimits({ maxRows: null }), {});
+});
+
+test('invalid limits are rejected with the field name', () => {
+  assert.throws(() => parseJobLimits({ startPage: 0 }), /startPage must be a whole number of at least 1/);
+  assert.throws(() => parseJobLimits({ maxPages: '2.5' }), /maxPages must be a whole number/);
+  assert.throws(() => parseJobLimits({ maxRows: 'many' }), /maxRows must be a whole number/);
+  assert.throws(() => parseJobLimits({ stopAfterMinutes: -1 }), /stopAfterMinutes must be a positive number/);
+});
+
+test('maxPages counts pages from the start page', () => {
+  const job = { limits: { startPage: 3, maxPages: 2 }, pageIndex: 3, totalRows: 0 };
+  assert.strictEqual(limitReached(job, 0), null);
+  job.pageIndex = 4;
+  assert.deepStrictEqual(limitReached(job, 0), { reason: 'max_pages', message: 'Stopped after the page limit of 2 page(s).' });
+});
+
+test('maxRows and the time limit stop the job once reached', () => {
+  assert.strictEqual(limitReached({ limits: { maxRows: 100 }, pageIndex: 9, totalRows: 99 }, 0), null);
+  assert.strictEqual(limitReached({ limits: { maxRows: 100 }, pageIndex: 9, totalRows: 125 }, 0).reason, 'max_rows');
+  assert.strictEqual(limitReached({ limits: { stopAfterMinutes: 2 }, pageIndex: 1 }, 119_999), null);
+  assert.strictEqual(limitReached({ limits: { stopAfterMinutes: 2 }, pageIndex: 1 }, 120_000).reason, 'time_limit');
+  assert.strictEqual(limitReached({ pageIndex: 500, totalRows: 1e6 }, 1e9), null, 'no limits, no stop');
+});
+
+test('the start page URL keeps the search parameter it already uses', () => {
+  const base = 'https://www.linkedin.com/sales/search/people?query=(x)';
+  assert.strictEqual(new URL(buildPageUrl(base, 4)).searchParams.get('page'), '4');
+  assert.strictEqual(new URL(buildPageUrl(`${base}&p=1`, 4)).searchParams.get('p'), '4');
+  assert.strictEqual(new URL(buildPageUrl(`${base}&start=0`, 4)).searchParams.get('start'), '75');
+  assert.strictEqual(buildPageUrl('not a url', 2), null);
+});
@@ -0,0 +1,102 @@
+// test/jobQueue.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Keep the jobs in memory instead of all_jobs/
+const jobs = {};
+const jobsManagerPath = require.resolve('../utils/jobsManager');
+require.cache[jobsManagerPath] = {
+  id: jobsManagerPath,
+  filename: jobsManagerPath,
+  loaded: true,
+  exports: {
+    getJobs: () => jobs,
+    updateJob: async (jobId, updates) => Object.assign(jobs[jobId], updates),
+  },
+};
+const {
+  restoreQueue,
+  listQueue,
+  isQueued,
+  enqueue,
+  dequeue,
+  removeFromQueue,
+  moveInQueue,
+  reorderQueue,
+} = require('../utils/jobQueue');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// Replace the jobs and rebuild the queue from them
+function resetJobs(list = []) {
+  for (const id of Object.keys(jobs)) delete jobs[id];
+  for (const job of list) jobs[job.id] = { ...job };
+  return restoreQueue();
+}
+
+test.beforeEach(() => resetJobs());
+
+test('restoreQueue keeps queued jobs in their saved order', () => {
+  const order = resetJobs([
+    { id: 'c', state: 'queued', queuePosition: 1 },
+    { id: 'a', state: 'queued', queuePosition: 0 },
+    { id: 'late', state: 'queued', timestamp: '2026-01-02T00:00:00Z' },
+    { id: 'early', state: 'queued', timestamp: '2026-01-01T00:00:00Z' },
+    { id: 'done', state: 'completed', queuePosition: 2 },
+    { id: 'paused', state: 'paused' },
+  ]);
+  assert.deepStrictEqual(order, ['a', 'c', 'early', 'late']);
+});
+
+test('jobs run first in, first out and positions are saved', async () => {
+  resetJobs([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+  assert.strictEqual(await enqueue('a'), 0);
+  assert.strictEqual(await enqueue('b'), 1);
+  assert.strictEqual(await enqueue('a'), 0, 'a queued job keeps its place');
+  assert.strictEqual(await enqueue('c', { front: true }), 0);
+  assert.deepStrictEqual(listQueue(), ['c', 'a', 'b']);
+  assert.deepStrictEqual([jobs.c.queuePosition, jobs.a.queuePosition, jobs.b.queuePosition], [0, 1, 2]);
+
+  assert.strictEqual(dequeue(), 'c');
+  await tick();
+  assert.strictEqual(isQueued('c'), false);
+  assert.deepStrictEqual([jobs.a.queuePosition, jobs.b.queuePosition], [0, 1]);
+  assert.strictEqual(dequeue(), 'a');
+  assert.strictEqual(dequeue(), 'b');
+  assert.strictEqual(dequeue(), null);
+  await assert.rejects(enqueue(''), /jobId is required/);
+});
+
+test('a removed job loses its saved position', async () => {
+  resetJobs([{ id: 'a' }, { id: 'b' }]);
+  await enqueue('a');
+  await enqueue('b');
+  assert.strictEqual(await removeFromQueue('a'), true);
+  assert.strictEqual(await removeFromQueue('a'), false);
+  assert.strictEqual(jobs.a.queuePosition, undefined);
+  assert.strictEqual(jobs.b.queuePosition, 0);
+  assert.deepStrictEqual(listQueue(), ['b']);
+});
+
+test('moveInQueue clamps the target position', async () => {
+  resetJobs([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+  for (const id of ['a', 'b', 'c']) await enqueue(id);
+  assert.deepStrictEqual(await moveInQueue('c', 0), ['c', 'a', 'b']);
+  assert.deepStrictEqual(await moveInQueue('c', 99), ['a', 'b', 'c']);
+  assert.deepStrictEqual(await moveInQueue('b', -5), ['b', 'a', 'c']);
+  assert.strictEqual(jobs.b.queuePosition, 0);
+  await assert.rejects(moveInQueue('x', 0), /Job is not queued/);
+});
+
+test('reorderQueue needs every queued job exactly once', async () => {
+  resetJobs([{ id: 'a' }, { id: 'b' }]);
+  await enqueue('a');
+  await enqueue('b');
+  assert.deepStrictEqual(await reorderQueue(['b', 'a']), ['b', 'a']);
+  await assert.rejects(reorderQueue(['b']), /every queued job exactly once/);
+  await assert.rejects(reorderQueue(['a', 'a']), /every queued job exactly once/);
+  await assert.rejects(reorderQueue(['a', 'x']), /every queued job exactly once/);
+  await assert.rejects(reorderQueue('a,b'), /must be an array/);
+  assert.deepStrictEqual(listQueue(), ['b', 'a']);
+});
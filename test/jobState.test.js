@@ -0,0 +1,94 @@
+// test/jobState.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Keep the jobs in memory instead of all_jobs/
+const jobs = {};
+const jobsManagerPath = require.resolve('../utils/jobsManager');
+require.cache[jobsManagerPath] = {
+  id: jobsManagerPath,
+  filename: jobsManagerPath,
+  loaded: true,
+  exports: {
+    getJob: (jobId) => jobs[jobId] || null,
+    updateJob: async (jobId, updates) => Object.assign(jobs[jobId], updates),
+  },
+};
+const { JOB_STATES, TRANSITIONS, canTransition, initJobState, transitionJob } = require('../utils/jobState');
+
+const STATES = Object.values(JOB_STATES);
+
+test('every state has transitions and every target is a known state', () => {
+  assert.deepStrictEqual(Object.keys(TRANSITIONS).sort(), STATES.slice().sort());
+  for (const [from, targets] of Object.entries(TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(STATES.includes(to), `${from} -> ${to}`);
+      assert.notStrictEqual(from, to, `${from} lists itself`);
+    }
+  }
+});
+
+test('the transition table cannot be changed', () => {
+  assert.ok(Object.isFrozen(TRANSITIONS));
+  assert.ok(Object.isFrozen(JOB_STATES));
+});
+
+test('a job runs only from the queue', () => {
+  for (const from of STATES) {
+    assert.strictEqual(canTransition(from, 'running'), from === 'queued', `${from} -> running`);
+  }
+});
+
+test('every finished or stopped job can be queued again', () => {
+  for (const from of ['paused', 'interrupted', 'failed', 'cancelled', 'completed']) {
+    assert.ok(canTransition(from, 'queued'), `${from} -> queued`);
+  }
+  assert.ok(!canTransition('running', 'queued'));
+  assert.ok(!canTransition('pausing', 'queued'));
+});
+
+test('only running jobs are interrupted', () => {
+  for (const from of STATES) {
+    assert.strictEqual(canTransition(from, 'interrupted'), from === 'running' || from === 'pausing', `${from} -> interrupted`);
+  }
+});
+
+test('unknown states cannot transition', () => {
+  assert.strictEqual(canTransition('bogus', 'queued'), false);
+  assert.strictEqual(canTransition('queued', 'bogus'), false);
+  assert.strictEqual(canTransition(undefined, 'queued'), false);
+});
+
+test('initJobState sets the state and starts the history', () => {
+  const job = initJobState({ id: 'j' }, 'queued', 'user_request');
+  assert.strictEqual(job.state, 'queued');
+  assert.strictEqual(job.stateReason, 'user_request');
+  assert.strictEqual(job.history.length, 1);
+  assert.deepStrictEqual({ ...job.history[0], at: undefined }, { from: null, to: 'queued', reason: 'user_request', at: undefined });
+  assert.throws(() => initJobState({}, 'bogus'), /Unknown job state: bogus/);
+});
+
+test('transitionJob records each change and rejects illegal ones', async () => {
+  jobs.t = initJobState({ id: 't' }, 'queued', 'user_request');
+  await transitionJob('t', 'running', { reason: 'started', fields: { pageIndex: 3 } });
+  await transitionJob('t', 'paused', { reason: 'user_request', message: 'Paused by user.' });
+  assert.strictEqual(jobs.t.state, 'paused');
+  assert.strictEqual(jobs.t.pageIndex, 3);
+  assert.strictEqual(jobs.t.message, 'Paused by user.');
+  assert.deepStrictEqual(jobs.t.history.map((h) => [h.from, h.to, h.reason]), [
+    [null, 'queued', 'user_request'],
+    ['queued', 'running', 'started'],
+    ['running', 'paused', 'user_request'],
+  ]);
+
+  // Staying in the same state only saves the fields
+  await transitionJob('t', 'paused', { fields: { pageIndex: 4 } });
+  assert.strictEqual(jobs.t.history.length, 3);
+  assert.strictEqual(jobs.t.pageIndex, 4);
+
+  await assert.rejects(transitionJob('t', 'completed'), (err) => err.code === 'ILLEGAL_TRANSITION' && /paused -> completed/.test(err.message));
+  await assert.rejects(transitionJob('missing', 'queued'), /Job not found: missing/);
+  await transitionJob('t', 'queued', { reason: 'user_request' });
+  assert.strictEqual(jobs.t.message, undefined, 'the old message is cleared');
+});
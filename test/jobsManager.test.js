@@ -0,0 +1,112 @@
+// test/jobsManager.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job files in a temp folder instead of all_jobs/
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+process.env.SCRAPER_JOBS_DIR = dir;
+const { loadJobs, getJob, getJobs, getStaleRunningJobs, setJob, updateJob, deleteJobFile, cleanupOldJobs } = require('../utils/jobsManager');
+const { recoverInterruptedJobs } = require('../utils/jobState');
+
+// Replace the job files on disk and load them
+async function loadJobFiles(list) {
+  for (const file of fs.readdirSync(dir)) fs.rmSync(path.join(dir, file));
+  for (const job of list) fs.writeFileSync(path.join(dir, `${job.id}.json`), JSON.stringify(job));
+  return loadJobs();
+}
+
+const readJobFile = (jobId) => JSON.parse(fs.readFileSync(path.join(dir, `${jobId}.json`), 'utf8'));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('loadJobs reads every job file and skips broken ones', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const jobs = await loadJobFiles([{ id: 'a', state: 'paused' }]);
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+  fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ state: 'completed' }));
+  await loadJobs();
+  assert.deepStrictEqual(Object.keys(jobs).sort(), ['a', 'b']);
+  assert.strictEqual(getJob('b').id, 'b', 'the id comes from the file name');
+});
+
+test('an unreadable jobs folder fails the load and keeps the cache', async (t) => {
+  await loadJobFiles([{ id: 'a', state: 'paused' }]);
+  t.mock.method(require('fs/promises'), 'readdir', async () => { throw new Error('EACCES'); });
+  await assert.rejects(loadJobs(), /EACCES/);
+  assert.deepStrictEqual(Object.keys(getJobs()), ['a']);
+});
+
+test('jobs still running after a restart are marked interrupted, oldest first', async () => {
+  await loadJobFiles([
+    { id: 'newer', state: 'running', timestamp: '2026-02-01T00:00:00Z', pageIndex: 7, currentUrl: 'https://example.test/p7' },
+    { id: 'older', state: 'pausing', timestamp: '2026-01-01T00:00:00Z', pageIndex: 2 },
+    { id: 'waiting', state: 'queued', timestamp: '2025-12-01T00:00:00Z' },
+    { id: 'done', state: 'completed', timestamp: '2025-12-01T00:00:00Z' },
+  ]);
+  assert.deepStrictEqual(getStaleRunningJobs().map((j) => j.id), ['older', 'newer']);
+
+  const recovered = await recoverInterruptedJobs();
+  assert.deepStrictEqual(recovered.map((j) => j.id), ['older', 'newer']);
+  assert.deepStrictEqual(getStaleRunningJobs(), []);
+
+  const job = readJobFile('newer');
+  assert.strictEqual(job.state, 'interrupted');
+  assert.strictEqual(job.stateReason, 'server_restart');
+  assert.strictEqual(job.message, 'Interrupted by a server restart on page 7.');
+  assert.strictEqual(job.pageIndex, 7, 'the job resumes from the page it reached');
+  assert.strictEqual(job.currentUrl, 'https://example.test/p7');
+  assert.deepStrictEqual(job.history.map((h) => [h.from, h.to]), [['running', 'interrupted']]);
+  assert.strictEqual(readJobFile('waiting').state, 'queued');
+  assert.strictEqual(readJobFile('done').state, 'completed');
+});
+
+test('saves of one job land in call order and leave no temp file', async () => {
+  await loadJobFiles([]);
+  await setJob({ id: 'busy', state: 'running', pageIndex: 1 });
+  await Promise.all([2, 3, 4, 5].map((pageIndex) => updateJob('busy', { pageIndex })));
+  assert.strictEqual(readJobFile('busy').pageIndex, 5);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['busy.json']);
+});
+
+test('a delete waits for the saves queued before it', async () => {
+  await loadJobFiles([]);
+  const saves = [setJob({ id: 'gone', state: 'running' }), setJob({ id: 'gone', state: 'completed' })];
+  await deleteJobFile('gone');
+  await Promise.all(saves);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+  await deleteJobFile('gone');
+});
+
+test('cleanup removes old jobs and temp files but keeps schedule owners', async () => {
+  await loadJobFiles([
+    { id: 'old', state: 'completed' },
+    { id: 'owner', state: 'completed', schedule: { type: 'interval', everyMinutes: 60 } },
+    { id: 'recent', state: 'completed' },
+  ]);
+  fs.writeFileSync(path.join(dir, '.old.json.1.1.tmp'), '{"id":');
+  fs.writeFileSync(path.join(dir, '.recent.json.1.2.tmp'), '{"id":');
+  const longAgo = new Date(Date.now() - 4 * 24 * 3600 * 1000);
+  for (const file of ['old.json', 'owner.json', '.old.json.1.1.tmp']) fs.utimesSync(path.join(dir, file), longAgo, longAgo);
+
+  await cleanupOldJobs();
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['.recent.json.1.2.tmp', 'owner.json', 'recent.json']);
+  assert.deepStrictEqual(Object.keys(getJobs()).sort(), ['owner', 'recent']);
+});
+
+test('cleanup keeps old jobs that are not finished yet', async () => {
+  const states = ['queued', 'running', 'pausing', 'interrupted', 'paused', 'failed'];
+  await loadJobFiles(states.map((state) => ({ id: state, state })));
+  const longAgo = new Date(Date.now() - 4 * 24 * 3600 * 1000);
+  for (const state of states) fs.utimesSync(path.join(dir, `${state}.json`), longAgo, longAgo);
+  // The cached state wins over an older file
+  getJob('paused').state = 'queued';
+
+  await cleanupOldJobs();
+  assert.deepStrictEqual(Object.keys(getJobs()).sort(), ['interrupted', 'paused', 'pausing', 'queued', 'running']);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['interrupted.json', 'paused.json', 'pausing.json', 'queued.json', 'running.json']);
+});
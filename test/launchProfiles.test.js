@@ -0,0 +1,100 @@
+// test/launchProfiles.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The profiles file is read on every call; point it at a temp file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'launch-profiles-'));
+const configFile = path.join(dir, 'launchProfiles.json');
+process.env.SCRAPER_LAUNCH_PROFILES = configFile;
+const {
+  DEFAULT_LAUNCH_PROFILE,
+  loadLaunchProfiles,
+  hasLaunchProfile,
+  resolveLaunchProfile,
+  listLaunchProfiles,
+  profileUserDataDir,
+} = require('../utils/launchProfiles');
+
+const writeProfiles = (data) => fs.writeFileSync(configFile, typeof data === 'string' ? data : JSON.stringify(data));
+
+test.afterEach(() => fs.rmSync(configFile, { force: true }));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('without a file only the built-in default profile exists', () => {
+  const { defaultProfile, profiles } = loadLaunchProfiles();
+  assert.strictEqual(defaultProfile, 'default');
+  assert.deepStrictEqual(Object.keys(profiles), ['default']);
+  assert.deepStrictEqual(resolveLaunchProfile(), { name: 'default', ...DEFAULT_LAUNCH_PROFILE });
+});
+
+test('profiles are merged over the defaults and proxies normalised', () => {
+  writeProfiles({
+    default: 'box',
+    profiles: {
+      box: { headless: true, proxy: 'http://u:p@proxy.test:8080', locale: 'en-GB' },
+    },
+  });
+  const profile = resolveLaunchProfile();
+  assert.strictEqual(profile.name, 'box');
+  assert.strictEqual(profile.headless, true);
+  assert.strictEqual(profile.locale, 'en-GB');
+  assert.deepStrictEqual(profile.viewport, DEFAULT_LAUNCH_PROFILE.viewport);
+  assert.strictEqual(profile.userAgent, DEFAULT_LAUNCH_PROFILE.userAgent);
+  assert.deepStrictEqual(profile.proxy, { server: 'http://proxy.test:8080', username: 'u', password: 'p' });
+});
+
+test('the first given name wins, then the file default', () => {
+  writeProfiles({ default: 'a', profiles: { a: {}, b: { headless: true } } });
+  assert.strictEqual(resolveLaunchProfile('b', 'a').name, 'b');
+  assert.strictEqual(resolveLaunchProfile(undefined, 'b').name, 'b');
+  assert.strictEqual(resolveLaunchProfile(null, '').name, 'a');
+  assert.strictEqual(hasLaunchProfile('b'), true);
+  assert.strictEqual(hasLaunchProfile('c'), false);
+  assert.strictEqual(hasLaunchProfile('toString'), false);
+});
+
+test('an unknown name is rejected rather than replaced', () => {
+  writeProfiles({ profiles: { a: {} } });
+  assert.throws(() => resolveLaunchProfile('missing', 'a'), /Launch profile "missing" is not defined/);
+});
+
+test('invalid profiles are rejected with the profile name', () => {
+  const cases = [
+    [[], 'must be an object'],
+    [{ headless: 'yes' }, 'headless must be true or false'],
+    [{ viewport: { width: 0, height: 10 } }, 'viewport needs a positive integer'],
+    [{ userAgent: 5 }, 'userAgent must be a string'],
+    [{ proxy: 'ftp://proxy.test' }, 'Unsupported proxy protocol'],
+  ];
+  for (const [raw, message] of cases) {
+    writeProfiles({ profiles: { bad: raw } });
+    assert.throws(() => loadLaunchProfiles(), new RegExp(`Launch profile "bad": ${message}`));
+  }
+  writeProfiles({ profiles: { ok: { viewport: null, proxy: null } } });
+  assert.strictEqual(loadLaunchProfiles().profiles.ok.viewport, null);
+});
+
+test('a broken file or a missing default is reported', () => {
+  writeProfiles('{ not json');
+  assert.throws(() => loadLaunchProfiles(), /Invalid launch profiles file/);
+  writeProfiles({ default: 'nope', profiles: {} });
+  assert.throws(() => loadLaunchProfiles(), /Default launch profile "nope" is not defined/);
+});
+
+test('the API view leaves proxy passwords out', () => {
+  writeProfiles({ profiles: { box: { proxy: { server: 'http://proxy.test:8080', username: 'u', password: 'secret' } } } });
+  const box = listLaunchProfiles().find((p) => p.name === 'box');
+  assert.deepStrictEqual(box.proxy, { server: 'http://proxy.test:8080', hasCredentials: true, bypass: null });
+  assert.ok(!JSON.stringify(listLaunchProfiles()).includes('secret'));
+});
+
+test('extra browser slots get their own user-data directory', () => {
+  assert.strictEqual(profileUserDataDir({}), null);
+  const base = path.resolve(__dirname, '..', 'user_data_linux');
+  assert.strictEqual(profileUserDataDir({ userDataDir: 'user_data_linux' }), base);
+  assert.strictEqual(profileUserDataDir({ userDataDir: 'user_data_linux' }, 2), `${base}_2`);
+});
@@ -0,0 +1,14 @@
+// test/linkedinLogin.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isLoggedOutUrl } = require('../utils/linkedin_login');
+
+test('login, sign-in and sign-up pages mean the session is gone', () => {
+  assert.strictEqual(isLoggedOutUrl('https://www.linkedin.com/login?session_redirect=x'), true);
+  assert.strictEqual(isLoggedOutUrl('https://www.linkedin.com/uas/LOGIN-submit'), true);
+  assert.strictEqual(isLoggedOutUrl('https://www.linkedin.com/signin'), true);
+  assert.strictEqual(isLoggedOutUrl('https://www.linkedin.com/signup/cold-join'), true);
+  assert.strictEqual(isLoggedOutUrl('https://www.linkedin.com/sales/search/people?page=2'), false);
+  assert.strictEqual(isLoggedOutUrl(undefined), false);
+});
@@ -0,0 +1,119 @@
+// test/loginHealth.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// Replace a module with `exports` before anything requires it
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// What each site answers; a function may also throw
+const sites = {};
+const fakePage = (url) => ({ closed: false, url: () => url, close: async function close() { this.closed = true; } });
+const pages = [];
+const visit = (site) => async () => {
+  const answer = sites[site];
+  if (answer instanceof Error) throw answer;
+  const page = fakePage(answer.url);
+  pages.push(page);
+  return { page, loggedIn: answer.loggedIn };
+};
+stubModule('../utils/linkedin_login', {
+  addLinkedInCookies: async () => {},
+  checkLinkedInByUrl: visit('linkedin'),
+});
+stubModule('../utils/signalhire_login', { ensureSignalHireLogin: visit('signalhire') });
+stubModule('../utils/contactout_login', { ensureContactOutLogin: visit('contactout') });
+
+// Which cookies are saved
+const saved = { linkedin: true, signalhire: true, contactout: true };
+stubModule('../utils/accounts', {
+  resolveAccount: async (id) => ({ id: id || 'default', name: 'Default', hasCookie: saved.linkedin }),
+  getAccountCookiePath: async () => (saved.linkedin ? '/tmp/linkedin_cookies.json' : null),
+  getAccountProxy: async (id) => (id === 'remote' ? { server: 'http://proxy.test:8080' } : null),
+});
+// The proxy of the `remote` account does not answer
+stubModule('../utils/proxy', {
+  checkProxy: async (proxy) => ({ ok: false, server: proxy.server, target: 'www.linkedin.com:443', latencyMs: 5, error: 'connect ECONNREFUSED' }),
+});
+stubModule('../utils/providerCookies', {
+  PROVIDERS: { signalhire: { label: 'SignalHire' }, contactout: { label: 'ContactOut' } },
+  providerCookiePath: (provider) => `/tmp/${provider}_cookies.json`,
+  hasProviderCookie: (provider) => saved[provider],
+});
+
+const launches = [];
+// Set to a promise to hold launches until it resolves
+let launchGate = null;
+const browser = require('../utils/browser');
+browser.launchStealthBrowser = async (opts) => {
+  const context = { closed: false, close: async () => { context.closed = true; } };
+  launches.push({ opts, context });
+  await launchGate;
+  return context;
+};
+
+const { checkLogins, isLoginCheckRunning } = require('../utils/loginHealth');
+
+test('every service is checked in one throwaway browser', async () => {
+  sites.linkedin = { url: 'https://www.linkedin.com/sales/home', loggedIn: true };
+  sites.signalhire = { url: 'https://www.signalhire.com/login', loggedIn: false };
+  sites.contactout = new Error('net::ERR_TIMED_OUT');
+
+  const result = await checkLogins({ accountId: 'seat' });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.accountId, 'seat');
+  assert.deepStrictEqual(result.services, [
+    { service: 'linkedin', label: 'LinkedIn', loggedIn: true, status: 'ok', finalUrl: 'https://www.linkedin.com/sales/home', message: 'LinkedIn login OK.' },
+    { service: 'signalhire', label: 'SignalHire', loggedIn: false, status: 'logged_out', finalUrl: 'https://www.signalhire.com/login', message: 'SignalHire cookie is not logged in. Please refresh it.' },
+    { service: 'contactout', label: 'ContactOut', loggedIn: false, status: 'error', finalUrl: null, message: 'ContactOut check failed: net::ERR_TIMED_OUT' },
+  ]);
+  assert.ok(pages.every((p) => p.closed), 'the pages are closed');
+  const { opts, context } = launches[0];
+  assert.strictEqual(context.closed, true);
+  assert.strictEqual(fs.existsSync(opts.userDataDir), false, 'the temporary profile is removed');
+  assert.strictEqual(result.proxy, null);
+});
+
+test('behind an unreachable proxy nothing is launched', async () => {
+  const result = await checkLogins({ accountId: 'remote' });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.proxy.error, 'connect ECONNREFUSED');
+  assert.deepStrictEqual(result.services.map((s) => [s.service, s.status]), [
+    ['linkedin', 'proxy_unreachable'],
+    ['signalhire', 'proxy_unreachable'],
+    ['contactout', 'proxy_unreachable'],
+  ]);
+  assert.strictEqual(result.services[0].message, 'Proxy http://proxy.test:8080 is unreachable: connect ECONNREFUSED');
+  assert.strictEqual(launches.length, 1);
+  assert.strictEqual(isLoginCheckRunning(), false);
+});
+
+test('services without a cookie are not checked', async () => {
+  Object.assign(saved, { linkedin: false, contactout: false });
+  sites.signalhire = { url: 'https://www.signalhire.com/candidates', loggedIn: true };
+  const result = await checkLogins();
+  assert.deepStrictEqual(result.services.map((s) => [s.service, s.status, s.message]), [
+    ['linkedin', 'no_cookie', 'No LinkedIn cookie saved for this account.'],
+    ['signalhire', 'ok', 'SignalHire login OK.'],
+    ['contactout', 'no_cookie', 'No ContactOut cookie saved.'],
+  ]);
+  assert.strictEqual(result.ok, false);
+  Object.assign(saved, { linkedin: true, contactout: true });
+});
+
+test('only one check runs at a time', async () => {
+  sites.contactout = { url: 'https://contactout.com/dashboard', loggedIn: true };
+  let openBrowser;
+  launchGate = new Promise((resolve) => { openBrowser = resolve; });
+  const first = checkLogins();
+  assert.strictEqual(isLoginCheckRunning(), true);
+  await assert.rejects(checkLogins(), /A login check is already running/);
+  openBrowser();
+  launchGate = null;
+  assert.strictEqual((await first).ok, true);
+  assert.strictEqual(isLoginCheckRunning(), false);
+});
@@ -0,0 +1,144 @@
+// test/loginSession.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The `seat` account logs in with a launch profile of its own
+const profilesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-profiles-'));
+process.env.SCRAPER_LAUNCH_PROFILES = path.join(profilesDir, 'launchProfiles.json');
+fs.writeFileSync(process.env.SCRAPER_LAUNCH_PROFILES, JSON.stringify({ profiles: { visible: { headless: true, locale: 'de-DE' } } }));
+test.after(() => fs.rmSync(profilesDir, { recursive: true, force: true }));
+
+// Replace a module with `exports` before anything requires it
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// Captured cookies are recorded instead of written to cookies/
+const saved = [];
+const healthy = [];
+stubModule('../utils/fileHandler', { saveCookieFile: (text) => saved.push(['default', JSON.parse(text)]) });
+stubModule('../utils/accounts', {
+  DEFAULT_ACCOUNT_ID: 'default',
+  getAccount: async (id) => ({ id, launchProfile: id === 'seat' ? 'visible' : null }),
+  updateAccount: async (id, { cookie }) => {
+    saved.push([id, JSON.parse(cookie)]);
+    return id === 'gone' ? null : { id };
+  },
+  markAccountHealthy: async (id) => { healthy.push(id); },
+  getAccountProxy: async (id) => (id === 'remote' ? { server: 'http://proxy.test:8080' } : null),
+});
+stubModule('../utils/proxy', {
+  checkProxy: async (proxy) => ({ ok: false, server: proxy.server, error: 'connect ECONNREFUSED' }),
+});
+
+// A fake browser whose page sits on `browserState.url` and holds `browserState.cookies`
+const browserState = { url: 'https://www.linkedin.com/feed/', cookies: [], launchError: null };
+const launches = [];
+const browser = require('../utils/browser');
+browser.launchStealthBrowser = async (opts) => {
+  if (browserState.launchError) throw browserState.launchError;
+  const handlers = {};
+  const visited = [];
+  const page = { url: () => browserState.url, goto: async (url) => { visited.push(url); } };
+  const context = {
+    closed: false,
+    visited,
+    pages: () => [page],
+    cookies: async () => browserState.cookies,
+    on: (event, fn) => { handlers[event] = fn; },
+    close: async () => {
+      context.closed = true;
+      if (handlers.close) handlers.close();
+    },
+  };
+  launches.push({ opts, context });
+  return context;
+};
+
+const { startLoginSession, getLoginSession, cancelLoginSession } = require('../utils/loginSession');
+
+const LI = '.linkedin.com';
+const FUTURE = 1893456000;
+
+// Wait until the account's login has finished
+async function finished(accountId) {
+  while (getLoginSession(accountId).state === 'waiting') await new Promise((r) => setTimeout(r, 5));
+  return getLoginSession(accountId);
+}
+
+test('once logged in, the LinkedIn cookies are saved to the account', async () => {
+  browserState.cookies = [
+    { name: 'li_at', value: 'a', domain: LI, path: '/', expires: FUTURE },
+    { name: 'JSESSIONID', value: 'b', domain: LI, path: '/', expires: FUTURE },
+    { name: 'li_a', value: 'c', domain: LI, path: '/', expires: FUTURE },
+    { name: 'REMEMBERME', value: 'd', domain: '.signalhire.com', path: '/' },
+  ];
+  const started = await startLoginSession('seat');
+  assert.strictEqual(started.state, 'waiting');
+  const { opts, context } = launches[launches.length - 1];
+  assert.strictEqual(opts.blockResources, false, 'images are needed for captchas');
+  assert.deepStrictEqual([opts.name, opts.locale, opts.headless], ['visible', 'de-DE', false], 'the account profile, always with a window');
+  assert.ok(fs.existsSync(opts.userDataDir));
+
+  const session = await finished('seat');
+  assert.strictEqual(session.state, 'saved');
+  assert.match(session.message, /^Logged in and saved the cookies\. LinkedIn cookie looks good/);
+  assert.strictEqual(session.report.usable, true);
+  assert.deepStrictEqual(saved.pop()[1].map((c) => c.name), ['li_at', 'JSESSIONID', 'li_a']);
+  assert.deepStrictEqual(context.visited, ['https://www.linkedin.com/login', 'https://www.linkedin.com/sales/home']);
+  // The browser and its temporary profile are gone afterwards
+  for (let i = 0; i < 100 && fs.existsSync(opts.userDataDir); i++) await new Promise((r) => setTimeout(r, 10));
+  assert.strictEqual(context.closed, true);
+  assert.strictEqual(fs.existsSync(opts.userDataDir), false);
+});
+
+test('the default account is saved like a pasted cookie', async () => {
+  browserState.cookies = [{ name: 'li_at', value: 'a', domain: LI, path: '/' }];
+  await startLoginSession('default');
+  assert.strictEqual((await finished('default')).state, 'saved');
+  assert.deepStrictEqual(saved.pop(), ['default', browserState.cookies]);
+  assert.deepStrictEqual(healthy, ['default'], 'a fresh default cookie clears its unhealthy mark');
+});
+
+test('a login fails when the account is deleted meanwhile or the browser cannot open', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  browserState.cookies = [{ name: 'li_at', value: 'a', domain: LI, path: '/' }];
+  await startLoginSession('gone');
+  const gone = await finished('gone');
+  assert.strictEqual(gone.state, 'failed');
+  assert.strictEqual(gone.message, 'Login failed: The account was deleted during the login.');
+
+  browserState.launchError = new Error('no display');
+  await assert.rejects(startLoginSession('seat'), /Could not open the browser: no display/);
+  assert.strictEqual(getLoginSession('seat').state, 'failed');
+  browserState.launchError = null;
+
+  const launched = launches.length;
+  await assert.rejects(startLoginSession('remote'), /Could not open the browser: proxy http:\/\/proxy\.test:8080 is unreachable: connect ECONNREFUSED/);
+  assert.strictEqual(launches.length, launched, 'no browser behind a dead proxy');
+});
+
+test('a waiting login times out, is cancelled or ends with its browser', async () => {
+  browserState.url = 'https://www.linkedin.com/checkpoint/challenge';
+  browserState.cookies = [{ name: 'li_at', value: 'a', domain: LI, path: '/' }];
+
+  await startLoginSession('slow', { timeoutMs: -1 });
+  assert.deepStrictEqual([(await finished('slow')).state, getLoginSession('slow').message], ['failed', 'Timed out waiting for the LinkedIn login.']);
+
+  await startLoginSession('seat');
+  await assert.rejects(startLoginSession('seat'), /already in progress/);
+  const cancelled = await cancelLoginSession('seat');
+  assert.strictEqual(cancelled.state, 'cancelled');
+  assert.strictEqual(launches[launches.length - 1].context.closed, true);
+  assert.strictEqual(await cancelLoginSession('seat'), null);
+
+  await startLoginSession('closed');
+  await launches[launches.length - 1].context.close();
+  assert.strictEqual(getLoginSession('closed').message, 'The browser was closed before the login finished.');
+  assert.strictEqual(getLoginSession('nobody'), null);
+});
@@ -0,0 +1,85 @@
+// test/pageLedger.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  startPageEntry,
+  timeStage,
+  addPageError,
+  recordPageEntry,
+  isThinPage,
+  isFailedPage,
+  pagesNeedingRetry,
+} = require('../utils/pageLedger');
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a new entry starts empty', () => {
+  const entry = startPageEntry(2, 'https://example.test/p2');
+  assert.deepStrictEqual({ ...entry, startedAt: undefined }, {
+    page: 2,
+    url: 'https://example.test/p2',
+    accountId: null,
+    signalHireRows: 0,
+    contactOutProfiles: 0,
+    rowsMerged: 0,
+    durations: {},
+    error: null,
+    artifacts: [],
+    startedAt: undefined,
+    finishedAt: null,
+  });
+  assert.strictEqual(startPageEntry(1).url, null);
+  assert.strictEqual(startPageEntry(1, null, 'seat').accountId, 'seat');
+});
+
+test('stages are timed whether they succeed or throw', async () => {
+  const entry = startPageEntry(1);
+  assert.strictEqual(await timeStage(entry, 'signalHire', async () => { await tick(20); return 5; }), 5);
+  await assert.rejects(timeStage(entry, 'contactOut', async () => { throw new Error('no cards'); }), /no cards/);
+  assert.ok(entry.durations.signalHire >= 15);
+  assert.ok(entry.durations.contactOut >= 0);
+});
+
+test('errors from several stages are kept together', () => {
+  const entry = startPageEntry(1);
+  addPageError(entry, 'signalHire', new Error('sidebar missing'));
+  addPageError(entry, 'pagination', 'timeout');
+  assert.strictEqual(entry.error, 'signalHire: sidebar missing; pagination: timeout');
+});
+
+test('a page scraped again replaces its entry and counts the attempt', () => {
+  const job = {};
+  recordPageEntry(job, startPageEntry(2), { signalHireRows: 10 });
+  recordPageEntry(job, startPageEntry(1), { signalHireRows: 25 });
+  const again = startPageEntry(2);
+  const pages = recordPageEntry(job, again, { signalHireRows: 12, status: 'done' });
+
+  assert.strictEqual(pages, job.pages);
+  assert.deepStrictEqual(pages.map((p) => [p.page, p.signalHireRows, p.attempts]), [[1, 25, 1], [2, 12, 2]]);
+  assert.strictEqual(pages[1], again);
+  assert.strictEqual(again.status, 'done');
+  assert.ok(again.finishedAt);
+  assert.strictEqual(typeof again.durations.total, 'number');
+});
+
+test('failed, stopped-early and thin pages are picked for a retry', () => {
+  const page = (n, fields) => ({ page: n, url: `https://example.test/p${n}`, signalHireRows: 25, contactOutProfiles: 20, error: null, ...fields });
+  const job = {
+    pages: [
+      page(1),
+      page(2, { error: 'signalhire: sidebar missing' }),
+      page(3, { stoppedEarly: true }),
+      page(4, { contactOutProfiles: 0 }),
+      page(5, { signalHireRows: 0, contactOutProfiles: 0 }),
+      page(6, { error: 'page: timeout', url: null }),
+    ],
+  };
+  assert.strictEqual(isFailedPage(job.pages[1]), true);
+  assert.strictEqual(isFailedPage(job.pages[2]), true);
+  assert.strictEqual(isThinPage(job.pages[1]), false, 'a failed page is not also thin');
+  assert.strictEqual(isThinPage(job.pages[3]), true);
+  assert.strictEqual(isFailedPage(job.pages[0]) || isThinPage(job.pages[0]), false);
+  assert.deepStrictEqual(pagesNeedingRetry(job), [2, 3, 4, 5], 'a page without a URL cannot be reopened');
+  assert.deepStrictEqual(pagesNeedingRetry({}), []);
+});
@@ -0,0 +1,40 @@
+// test/providerCookies.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { PROVIDERS, getProvider, providerCookiePath, checkProviderCookie } = require('../utils/providerCookies');
+
+const FUTURE = 1893456000;
+
+test('only the known providers are accepted', () => {
+  assert.deepStrictEqual(Object.keys(PROVIDERS), ['signalhire', 'contactout']);
+  assert.strictEqual(getProvider('signalhire').label, 'SignalHire');
+  assert.strictEqual(getProvider('toString'), null);
+  assert.strictEqual(getProvider('apollo'), null);
+  assert.strictEqual(providerCookiePath('contactout'), path.join(__dirname, '..', 'contactout_cookies.json'));
+});
+
+test('a SignalHire cookie needs REMEMBERME on signalhire.com', () => {
+  const good = checkProviderCookie('signalhire', JSON.stringify([{ name: 'REMEMBERME', value: 'x', domain: 'www.signalhire.com', expirationDate: FUTURE }]));
+  assert.strictEqual(good.format, 'chrome-json');
+  assert.strictEqual(good.report.usable, true);
+  assert.strictEqual(good.report.earliestExpiry, new Date(FUTURE * 1000).toISOString());
+
+  const { report } = checkProviderCookie('signalhire', JSON.stringify([{ name: 'REMEMBERME', value: 'x', domain: '.linkedin.com' }]));
+  assert.deepStrictEqual([report.usable, report.wrongDomain], [false, ['REMEMBERME']]);
+  assert.throws(() => checkProviderCookie('signalhire', 'not json'), /Unrecognised cookie format/);
+});
+
+test('a ContactOut cookie needs a remember_web_ cookie; the session is optional', () => {
+  const { report } = checkProviderCookie('contactout', JSON.stringify([{ name: 'remember_web_59ba36addc2b2f94', value: 'x', domain: '.contactout.com' }]));
+  assert.strictEqual(report.usable, true);
+  assert.deepStrictEqual(report.missing, ['contactout_session']);
+  assert.strictEqual(checkProviderCookie('contactout', JSON.stringify([{ name: 'other', value: 'x', domain: '.contactout.com' }])).report.usable, false);
+});
+
+test('a pasted Cookie header is set for the provider domain', () => {
+  const { format, report } = checkProviderCookie('contactout', 'remember_web_1=x; contactout_session=y');
+  assert.strictEqual(format, 'cookie-header');
+  assert.deepStrictEqual([report.usable, report.missing, report.wrongDomain], [true, [], []]);
+});
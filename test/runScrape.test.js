@@ -0,0 +1,307 @@
+// test/runScrape.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Cookies are only written back when the run ends
+process.env.SCRAPER_COOKIE_REFRESH_MINUTES = '0';
+
+// Replace a module with `exports` before anything requires it
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// Jobs live in memory instead of all_jobs/
+const jobs = {};
+stubModule('../utils/jobsManager', {
+  getJobs: () => jobs,
+  getJob: (jobId) => jobs[jobId] || null,
+  setJob: async (job) => { jobs[job.id] = job; },
+  updateJob: async (jobId, updates) => { Object.assign(jobs[jobId] || (jobs[jobId] = {}), updates); },
+  deleteJobFile: async (jobId) => { delete jobs[jobId]; },
+  getStaleRunningJobs: () => [],
+});
+// Two LinkedIn accounts: `default` and the spare one a failover moves to
+const accounts = {
+  default: { id: 'default', name: 'Default', hasCookie: true },
+  spare: { id: 'spare', name: 'Spare', hasCookie: true },
+};
+const unhealthy = [];
+stubModule('../utils/accounts', {
+  resolveAccount: async (id) => accounts[id || 'default'] || null,
+  getAccountCookiePath: async (id) => `/tmp/linkedin_${id}.json`,
+  getAccountProxy: async () => null,
+  markAccountUnhealthy: async (id) => { unhealthy.push(id); },
+  markAccountHealthy: async () => {},
+  nextHealthyAccount: async (tried) => Object.values(accounts).find((a) => !tried.includes(a.id) && !unhealthy.includes(a.id)) || null,
+});
+stubModule('../utils/providerCookies', {
+  PROVIDERS: { signalhire: { label: 'SignalHire' }, contactout: { label: 'ContactOut' } },
+  providerCookiePath: (provider) => `/tmp/${provider}_cookies.json`,
+  hasProviderCookie: () => true,
+});
+stubModule('../utils/cookieRefresh', {
+  jobCookieTargets: () => [],
+  cookieFileStamp: () => null,
+  writeBackCookies: async () => [],
+});
+stubModule('../utils/failureArtifacts', {
+  startTracing: async () => {},
+  restartTraceChunk: async () => {},
+  stopTracing: async () => {},
+  captureFailure: async () => null,
+  deleteJobArtifacts: async () => {},
+});
+
+// The browser: one page whose URL the fake navigation moves along
+const browserPage = {
+  location: '',
+  url() { return this.location; },
+  async goto(url) { this.location = url; },
+  async waitForTimeout() {},
+  async close() {},
+};
+const context = {
+  newPage: async () => browserPage,
+  clearCookies: async () => {},
+};
+stubModule('../utils/browserPool', {
+  acquireBrowser: async () => ({
+    context,
+    slot: 0,
+    reused: false,
+    loginsStale: () => false,
+    markLoginsChecked: () => {},
+    pageDone: async () => false,
+    release: async () => {},
+  }),
+  describeBrowserPool: () => ({}),
+});
+stubModule('../utils/linkedin_login', {
+  addLinkedInCookies: async () => {},
+  checkLinkedInByUrl: async (ctx, url) => {
+    await browserPage.goto(url);
+    return { page: browserPage, loggedIn: true, finalUrl: url };
+  },
+  isLoggedOutUrl: (url) => String(url || '').includes('/login'),
+});
+
+// What each stage does; set per test
+let script;
+const signalHireCalls = [];
+stubModule('../signalHire/signalhire_index', async (page) => {
+  signalHireCalls.push(page.url());
+  return script.signalHire ? script.signalHire(page) : { rows: [{}, {}] };
+});
+stubModule('../contactOut/contactout_index', async () => ({ profiles: [] }));
+stubModule('../utils/nextPageNavigation', {
+  clickNextPage: async (page) => script.next(page),
+  buildPageUrl: () => null,
+});
+stubModule('../utils/upgradeCsvAddEmailOnly', { upgradeCsvAddEmailOnly: async () => {} });
+stubModule('../utils/deduplicateCsv', { deduplicateCsv: async () => {} });
+
+const express = require('express');
+const { subscribe } = require('../utils/events');
+const { enqueue } = require('../utils/jobQueue');
+const scrapeRoutes = require('../routes/scrapeRoutes');
+const { processQueue } = scrapeRoutes;
+
+// Serve the routes on a free port, for the Stop button
+let server;
+let baseUrl;
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', scrapeRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+test.after(() => server.close());
+
+const post = (route) => fetch(`${baseUrl}${route}`, { method: 'POST' });
+
+const SEARCH = 'https://www.linkedin.com/sales/search/people?page=';
+const LOGIN = 'https://www.linkedin.com/login?session_redirect=x';
+
+// Queue a job and resolve with it once its run has finished
+async function runJob(id, fields = {}) {
+  jobs[id] = {
+    id,
+    url: `${SEARCH}1`,
+    filePath: `/tmp/${id}.csv`,
+    state: 'queued',
+    pageIndex: 1,
+    totalRows: 0,
+    totalContacts: 0,
+    ...fields,
+  };
+  const finished = new Promise((resolve) => {
+    const unsubscribe = subscribe((event) => {
+      if (event.jobId === id && event.type === 'job:finished') {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+  await enqueue(id);
+  processQueue();
+  await finished;
+  return jobs[id];
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  unhealthy.length = 0;
+  signalHireCalls.length = 0;
+});
+
+test('a session lost while paging fails over and moves on to the next page', async () => {
+  let nextCalls = 0;
+  script = {
+    async next(page) {
+      nextCalls++;
+      // The first click lands on the login page; after the switch the
+      // next page opens, and the one after is the last
+      if (nextCalls === 1) { await page.goto(LOGIN); return 'failed'; }
+      if (nextCalls === 2) { await page.goto(`${SEARCH}2`); return 'moved'; }
+      return 'no-more';
+    },
+  };
+  const job = await runJob('failover');
+
+  assert.strictEqual(job.state, 'completed');
+  assert.deepStrictEqual(signalHireCalls, [`${SEARCH}1`, `${SEARCH}2`], 'page 1 is not scraped again');
+  assert.deepStrictEqual(job.pages.map((p) => [p.page, p.accountId, p.attempts, p.navigation]), [
+    [1, 'default', 1, 'moved'],
+    [2, 'spare', 1, 'no-more'],
+  ]);
+  assert.deepStrictEqual(job.accountSwitches.map((s) => [s.from, s.to, s.page]), [['default', 'spare', 1]]);
+  assert.deepStrictEqual(unhealthy, ['default']);
+});
+
+test('a session lost with no account left pauses the job on the scraped page', async () => {
+  unhealthy.push('spare');
+  script = {
+    async next(page) { await page.goto(LOGIN); return 'failed'; },
+  };
+  const job = await runJob('no-spare');
+
+  assert.strictEqual(job.state, 'paused');
+  assert.strictEqual(job.stateReason, 'cookie_expired');
+  assert.strictEqual(job.pages.length, 1);
+  assert.strictEqual(job.pages[0].navigation, 'logged_out');
+  assert.match(job.pages[0].error, /login: LinkedIn session expired/);
+});
+
+// A failed page in the ledger, waiting for a retry
+const failedPage = (page) => ({
+  page,
+  url: `${SEARCH}${page}`,
+  accountId: 'default',
+  signalHireRows: 0,
+  contactOutProfiles: 0,
+  rowsMerged: 0,
+  durations: { total: 10 },
+  error: 'signalhire: sidebar missing',
+  artifacts: [],
+  startedAt: '2026-03-01T10:00:00.000Z',
+  finishedAt: '2026-03-01T10:00:10.000Z',
+  attempts: 1,
+});
+const retryJob = (pages) => ({
+  state: 'queued',
+  pageIndex: 9,
+  currentUrl: `${SEARCH}9`,
+  pages: pages.map(failedPage),
+  retryPages: pages,
+  retryReturnState: 'completed',
+});
+
+test('a retried page replaces its ledger entry once the retry is done', async () => {
+  script = { next: async () => 'no-more' };
+  const job = await runJob('retry-done', retryJob([2, 4]));
+
+  assert.strictEqual(job.state, 'completed');
+  assert.deepStrictEqual(signalHireCalls, [`${SEARCH}2`, `${SEARCH}4`]);
+  assert.deepStrictEqual(job.pages.map((p) => [p.page, p.attempts, p.retried, p.error, p.signalHireRows]), [
+    [2, 2, true, null, 2],
+    [4, 2, true, null, 2],
+  ]);
+  assert.strictEqual(job.pageIndex, 9, 'the resume point stays put');
+});
+
+test('a page retry stopped early keeps the page’s previous entry', async () => {
+  script = {
+    // The Stop button is pressed while SignalHire runs on page 4
+    async signalHire(page) {
+      if (page.url().endsWith('4')) await post('/jobs/retry-stopped/stop');
+      return { rows: [{}] };
+    },
+    next: async () => 'no-more',
+  };
+  const job = await runJob('retry-stopped', retryJob([2, 4]));
+
+  assert.strictEqual(job.state, 'paused');
+  assert.deepStrictEqual(job.pages.map((p) => [p.page, p.attempts, p.retried]), [[2, 2, true], [4, 1, undefined]]);
+  assert.deepStrictEqual(job.pages[1], failedPage(4));
+  assert.deepStrictEqual(job.retryPages, [4], 'the stopped page is retried on the next run');
+});
+
+test('a session lost while a page is scraped fails over and scrapes the page again', async () => {
+  let lost = false;
+  script = {
+    // SignalHire finds LinkedIn logged out the first time
+    async signalHire(page) {
+      if (!lost) { lost = true; await page.goto(LOGIN); return { rows: [] }; }
+      return { rows: [{}, {}] };
+    },
+    next: async () => 'no-more',
+  };
+  const job = await runJob('lost-on-page');
+
+  assert.strictEqual(job.state, 'completed');
+  assert.deepStrictEqual(signalHireCalls, [`${SEARCH}1`, `${SEARCH}1`]);
+  assert.deepStrictEqual(job.pages.map((p) => [p.page, p.accountId, p.attempts, p.signalHireRows, p.error]), [
+    [1, 'spare', 2, 2, null],
+  ]);
+  assert.deepStrictEqual(job.accountSwitches.map((s) => [s.from, s.to, s.failedUrl]), [['default', 'spare', LOGIN]]);
+});
+
+test('a session lost during a page retry fails over and retries the page again', async () => {
+  let lost = false;
+  script = {
+    async signalHire(page) {
+      if (!lost) { lost = true; await page.goto(LOGIN); return { rows: [] }; }
+      return { rows: [{}] };
+    },
+    next: async () => 'no-more',
+  };
+  const job = await runJob('lost-on-retry', retryJob([3]));
+
+  assert.strictEqual(job.state, 'completed');
+  assert.deepStrictEqual(signalHireCalls, [`${SEARCH}3`, `${SEARCH}3`]);
+  assert.deepStrictEqual(job.pages.map((p) => [p.page, p.accountId, p.attempts, p.retried, p.error]), [
+    [3, 'spare', 2, true, null],
+  ]);
+});
+
+test('a session lost while a page is scraped with no account left pauses the job', async () => {
+  unhealthy.push('spare');
+  script = {
+    async signalHire(page) { await page.goto(LOGIN); return { rows: [] }; },
+    next: async () => 'moved',
+  };
+  const job = await runJob('lost-for-good', { currentUrl: `${SEARCH}5`, pageIndex: 5 });
+
+  assert.strictEqual(job.state, 'paused');
+  assert.strictEqual(job.stateReason, 'cookie_expired');
+  assert.strictEqual(job.currentUrl, `${SEARCH}5`, 'the page is scraped again on resume');
+  assert.deepStrictEqual(job.pages.map((p) => [p.page, p.navigation, p.error]), [
+    [5, 'logged_out', 'login: LinkedIn session expired'],
+  ]);
+});
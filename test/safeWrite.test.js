@@ -0,0 +1,93 @@
+// test/safeWrite.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { withFileLock, writeFileAtomic, appendFileSynced, isTempFile } = require('../utils/safeWrite');
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('callers on the same file run one at a time in call order', async () => {
+  const order = [];
+  let running = 0;
+  const task = (n, ms) => withFileLock('/tmp/locked-file', async () => {
+    running++;
+    assert.strictEqual(running, 1);
+    await tick(ms);
+    order.push(n);
+    running--;
+    return n;
+  });
+  // Later callers finish sooner; they must still wait their turn
+  const results = await Promise.all([task(1, 30), task(2, 10), task(3, 0)]);
+  assert.deepStrictEqual(order, [1, 2, 3]);
+  assert.deepStrictEqual(results, [1, 2, 3]);
+});
+
+test('the same file is locked whatever path spells it', async () => {
+  const order = [];
+  await Promise.all([
+    withFileLock('/tmp/a/../same-file', async () => { await tick(20); order.push('first'); }),
+    withFileLock('/tmp/same-file', async () => { order.push('second'); }),
+  ]);
+  assert.deepStrictEqual(order, ['first', 'second']);
+});
+
+test('different files do not wait for each other', async () => {
+  const order = [];
+  await Promise.all([
+    withFileLock('/tmp/file-a', async () => { await tick(30); order.push('a'); }),
+    withFileLock('/tmp/file-b', async () => { order.push('b'); }),
+  ]);
+  assert.deepStrictEqual(order, ['b', 'a']);
+});
+
+test('a failing caller releases the lock', async () => {
+  await assert.rejects(withFileLock('/tmp/failing-file', async () => { throw new Error('boom'); }), /boom/);
+  assert.strictEqual(await withFileLock('/tmp/failing-file', async () => 'next'), 'next');
+});
+
+test('writeFileAtomic replaces the file and leaves no temp file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'safe-write-'));
+  try {
+    const file = path.join(dir, 'data.json');
+    await writeFileAtomic(file, 'old');
+    await writeFileAtomic(file, 'new');
+    assert.strictEqual(await fs.readFile(file, 'utf8'), 'new');
+    assert.deepStrictEqual(await fs.readdir(dir), ['data.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('appendFileSynced adds to the file and flushes it before returning', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'safe-write-'));
+  try {
+    // Record what happens to every handle the helper opens
+    const calls = [];
+    const open = fs.open;
+    t.mock.method(fs, 'open', async (...args) => {
+      const handle = await open(...args);
+      for (const name of ['appendFile', 'sync', 'close']) {
+        const real = handle[name].bind(handle);
+        handle[name] = (...rest) => { calls.push(name); return real(...rest); };
+      }
+      return handle;
+    });
+    const file = path.join(dir, 'rows.csv');
+    await appendFileSynced(file, 'a\r\n');
+    await appendFileSynced(file, 'b\r\n');
+    assert.strictEqual(await fs.readFile(file, 'utf8'), 'a\r\nb\r\n');
+    assert.deepStrictEqual(calls, ['appendFile', 'sync', 'close', 'appendFile', 'sync', 'close']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('temp files are recognised by name', () => {
+  assert.strictEqual(isTempFile('/x/.job.json.123.4.tmp'), true);
+  assert.strictEqual(isTempFile('job.json'), false);
+  assert.strictEqual(isTempFile('job.tmp'), false);
+});
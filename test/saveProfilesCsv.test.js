@@ -0,0 +1,41 @@
+// test/saveProfilesCsv.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveProfilesCsv } = require('../utils/saveProfilesCsv');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-csv-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const profile = (n) => ({ name: `Person ${n}`, first_name: 'Person', last_name: String(n), person_title: `https://linkedin.com/in/p${n}` });
+const HEADER = '"Name","First Name","Last Name","Title","Company","Location","LinkedIn URL","Website","Email"';
+
+test('a new file gets a BOM and a header; later rows are appended under it', async () => {
+  const file = path.join(dir, 'new.csv');
+  await saveProfilesCsv([profile(1)], { filePath: file });
+  await saveProfilesCsv([profile(2), { ...profile(3), title: 'CEO, "Acme"' }], { filePath: file });
+  const lines = fs.readFileSync(file, 'utf8').split('\r\n');
+  assert.strictEqual(lines[0], `\uFEFF${HEADER}`);
+  assert.strictEqual(lines.length, 5);
+  assert.strictEqual(lines[3], '"Person 3","Person","3","CEO, ""Acme""","","","https://linkedin.com/in/p3","",""');
+  assert.strictEqual(lines[4], '');
+});
+
+test('an existing header decides the columns', async () => {
+  const file = path.join(dir, 'email.csv');
+  fs.writeFileSync(file, 'Name,First Name,Last Name,Title,Company,Location,LinkedIn URL,Email\r\n');
+  await saveProfilesCsv([{ ...profile(1), Email: 'p1@example.com' }], { filePath: file });
+  assert.match(fs.readFileSync(file, 'utf8'), /"https:\/\/linkedin\.com\/in\/p1","p1@example\.com"\r\n$/);
+});
+
+test('concurrent saves to one file keep every row and leave no temp file', async () => {
+  const file = path.join(dir, 'busy.csv');
+  await Promise.all([1, 2, 3, 4, 5].map((n) => saveProfilesCsv([profile(n)], { filePath: file })));
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\r\n');
+  assert.deepStrictEqual(lines.filter((l) => l.endsWith(HEADER)), [lines[0]]);
+  assert.deepStrictEqual(lines.slice(1).map((l) => l.split(',')[0]).sort(), [1, 2, 3, 4, 5].map((n) => `"Person ${n}"`));
+  assert.deepStrictEqual(fs.readdirSync(dir).filter((f) => f.endsWith('.tmp')), []);
+});
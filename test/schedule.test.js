@@ -0,0 +1,68 @@
+// test/schedule.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSchedule, nextRunTime, describeSchedule } = require('../utils/schedule');
+
+// Schedules run in the server's local time, so dates are built locally
+const local = (...parts) => new Date(...parts);
+
+test('intervals parse in minutes, with or without "every"', () => {
+  assert.deepStrictEqual(parseSchedule('30m'), { type: 'interval', everyMinutes: 30 });
+  assert.deepStrictEqual(parseSchedule('every 12h'), { type: 'interval', everyMinutes: 720 });
+  assert.deepStrictEqual(parseSchedule(' 7D '), { type: 'interval', everyMinutes: 7 * 24 * 60 });
+  assert.deepStrictEqual(parseSchedule('2w'), { type: 'interval', everyMinutes: 2 * 7 * 24 * 60 });
+});
+
+test('invalid schedules are rejected', () => {
+  assert.throws(() => parseSchedule(''), /interval such as "7d"/);
+  assert.throws(() => parseSchedule(42), /interval such as "7d"/);
+  assert.throws(() => parseSchedule('0m'), /at least one minute/);
+  assert.throws(() => parseSchedule('0 9 * *'), /five fields/);
+  assert.throws(() => parseSchedule('60 * * * *'), /Invalid cron minute: "60"/);
+  assert.throws(() => parseSchedule('* 5-2 * * *'), /Invalid cron hour/);
+  assert.throws(() => parseSchedule('*/0 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseSchedule('0 0 31 2 *'), /never matches/);
+});
+
+test('cron expressions are kept as written', () => {
+  assert.deepStrictEqual(parseSchedule(' 0 9 * * 1 '), { type: 'cron', expression: '0 9 * * 1' });
+});
+
+test('the next interval run is one interval later', () => {
+  const from = local(2026, 0, 5, 8, 30);
+  assert.strictEqual(nextRunTime({ type: 'interval', everyMinutes: 90 }, from).getTime(), local(2026, 0, 5, 10, 0).getTime());
+});
+
+test('the next cron run is the first matching minute after the reference time', () => {
+  // 5 January 2026 is a Monday
+  const monday0830 = local(2026, 0, 5, 8, 30);
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0 9 * * 1' }, monday0830), local(2026, 0, 5, 9, 0));
+  const monday0900 = local(2026, 0, 5, 9, 0);
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0 9 * * 1' }, monday0900), local(2026, 0, 12, 9, 0));
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '*/15 * * * *' }, local(2026, 0, 5, 8, 31)), local(2026, 0, 5, 8, 45));
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0-30/10 22 * * *' }, local(2026, 0, 5, 22, 25)), local(2026, 0, 5, 22, 30));
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0 0 1,15 * *' }, local(2026, 0, 5)), local(2026, 0, 15, 0, 0));
+});
+
+test('Sunday may be written as 0 or 7', () => {
+  // 11 January 2026 is a Sunday
+  const saturday = local(2026, 0, 10, 12, 0);
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0 8 * * 7' }, saturday), local(2026, 0, 11, 8, 0));
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0 8 * * 0' }, saturday), local(2026, 0, 11, 8, 0));
+});
+
+test('restricted day-of-month and day-of-week match either, as in cron', () => {
+  // The 13th (Tuesday) comes before the next Friday the 16th
+  const from = local(2026, 0, 12, 12, 0);
+  assert.deepStrictEqual(nextRunTime({ type: 'cron', expression: '0 0 13 * 5' }, from), local(2026, 0, 13, 0, 0));
+});
+
+test('schedules are described in their largest whole unit', () => {
+  assert.strictEqual(describeSchedule({ type: 'interval', everyMinutes: 7 * 24 * 60 }), 'every 1w');
+  assert.strictEqual(describeSchedule({ type: 'interval', everyMinutes: 3 * 24 * 60 }), 'every 3d');
+  assert.strictEqual(describeSchedule({ type: 'interval', everyMinutes: 120 }), 'every 2h');
+  assert.strictEqual(describeSchedule({ type: 'interval', everyMinutes: 45 }), 'every 45m');
+  assert.strictEqual(describeSchedule({ type: 'cron', expression: '0 9 * * 1' }), 'cron 0 9 * * 1');
+  assert.strictEqual(describeSchedule(null), '');
+});
@@ -0,0 +1,109 @@
+// test/scheduler.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the job files in a temp folder instead of all_jobs/
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+process.env.SCRAPER_JOBS_DIR = path.join(dir, 'jobs');
+const { loadJobs, getJob, setJob } = require('../utils/jobsManager');
+const { runDueSchedules, writeRunDelta } = require('../utils/scheduler');
+const { deleteBaseline } = require('../utils/deltaCsv');
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const everyHour = (nextRunAt) => ({ type: 'interval', everyMinutes: 60, nextRunAt });
+
+// Replace the saved jobs with `list`
+async function resetJobs(list) {
+  fs.rmSync(process.env.SCRAPER_JOBS_DIR, { recursive: true, force: true });
+  await loadJobs();
+  for (const job of list) await setJob(job);
+}
+
+// A CSV of SignalHire rows for the given LinkedIn URLs
+function writeCsv(name, urls) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, ['Full Name,LinkedIn URL', ...urls.map((u, i) => `Person ${i},${u}`)].join('\n'));
+  return filePath;
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a due schedule starts a run and moves to its next time', async () => {
+  await resetJobs([
+    { id: 'due', state: 'completed', schedule: everyHour('2026-03-02T11:59:00Z') },
+    { id: 'later', state: 'completed', schedule: everyHour('2026-03-02T13:00:00Z') },
+    { id: 'plain', state: 'completed' },
+  ]);
+  const created = [];
+  await runDueSchedules(async (owner) => {
+    created.push(owner.id);
+    const run = { id: `run-${created.length}`, state: 'queued', scheduleId: owner.id };
+    await setJob(run);
+    return run;
+  }, NOW);
+
+  assert.deepStrictEqual(created, ['due']);
+  assert.deepStrictEqual(getJob('due').schedule, {
+    ...everyHour('2026-03-02T13:00:00.000Z'),
+    lastRunAt: NOW.toISOString(),
+    lastRunJobId: 'run-1',
+  });
+  assert.strictEqual(getJob('later').schedule.nextRunAt, '2026-03-02T13:00:00Z');
+});
+
+test('a run still in progress or a failed start skips the slot', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  await resetJobs([
+    { id: 'busy', state: 'completed', schedule: { ...everyHour('2026-03-02T11:00:00Z'), lastRunJobId: 'prev' } },
+    { id: 'prev', state: 'running', scheduleId: 'busy' },
+    { id: 'broken', state: 'completed', schedule: everyHour('2026-03-02T11:00:00Z') },
+  ]);
+  const created = [];
+  await runDueSchedules(async (owner) => {
+    created.push(owner.id);
+    throw new Error('no cookie');
+  }, NOW);
+
+  assert.deepStrictEqual(created, ['broken']);
+  assert.strictEqual(getJob('busy').schedule.lastRunJobId, 'prev');
+  assert.strictEqual(getJob('busy').schedule.nextRunAt, '2026-03-02T13:00:00.000Z');
+  assert.strictEqual(getJob('broken').schedule.lastRunJobId, undefined);
+  assert.strictEqual(getJob('broken').schedule.nextRunAt, '2026-03-02T13:00:00.000Z');
+});
+
+test('each completed run gets a CSV of the rows new since the earlier runs', async () => {
+  const scheduleId = `test-${process.pid}-${Date.now()}`;
+  // The baseline lives in data/baselines/; remove the folder again if the test made it
+  const baselinesDir = path.join(__dirname, '..', 'data', 'baselines');
+  const hadBaselines = fs.existsSync(baselinesDir);
+  try {
+    const first = { id: 'first', state: 'completed', scheduleId, filePath: writeCsv('first.csv', ['https://linkedin.com/in/a', 'https://linkedin.com/in/b']) };
+    const second = { id: 'second', state: 'completed', scheduleId, filePath: writeCsv('second.csv', ['https://linkedin.com/in/B', 'https://linkedin.com/in/c', '']) };
+    await resetJobs([first, second]);
+
+    await writeRunDelta(getJob('first'));
+    await writeRunDelta(getJob('second'));
+    assert.deepStrictEqual([getJob('first').newRows, getJob('second').newRows], [2, 1]);
+    assert.strictEqual(getJob('second').deltaFileName, 'second_new.csv');
+    const delta = fs.readFileSync(path.join(dir, 'second_new.csv'), 'utf8');
+    assert.match(delta, /Person 1,https:\/\/linkedin\.com\/in\/c/);
+    assert.doesNotMatch(delta, /in\/B/);
+
+    // A later retry of the same run keeps its delta
+    fs.rmSync(path.join(dir, 'second_new.csv'));
+    await writeRunDelta(getJob('second'));
+    assert.strictEqual(fs.existsSync(path.join(dir, 'second_new.csv')), false);
+    // Only runs of a schedule get a delta
+    fs.rmSync(path.join(dir, 'first_new.csv'));
+    await writeRunDelta({ id: 'one-off', filePath: first.filePath });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'first_new.csv')), false);
+  } finally {
+    await deleteBaseline(scheduleId);
+    if (!hadBaselines) fs.rmSync(baselinesDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,199 @@
+// test/scrapeRoutes.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.SCRAPER_MAX_CONCURRENCY = '2';
+
+// Replace a module with `exports` before anything requires it
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// Jobs live in memory instead of all_jobs/
+const jobs = {};
+stubModule('../utils/jobsManager', {
+  getJobs: () => jobs,
+  getJob: (jobId) => jobs[jobId] || null,
+  setJob: async (job) => { jobs[job.id] = job; },
+  updateJob: async (jobId, updates) => { Object.assign(jobs[jobId] || (jobs[jobId] = {}), updates); },
+  deleteJobFile: async (jobId) => { delete jobs[jobId]; },
+});
+// Every job runs with a default account that has a cookie
+stubModule('../utils/accounts', {
+  resolveAccount: async (id) => ({ id: id || 'default', name: 'Default', hasCookie: true }),
+  getAccountCookiePath: async () => '/tmp/linkedin_cookies.json',
+  getAccountProxy: async () => null,
+});
+// ...and the provider cookies are saved
+stubModule('../utils/providerCookies', {
+  PROVIDERS: { signalhire: { label: 'SignalHire' }, contactout: { label: 'ContactOut' } },
+  providerCookiePath: (provider) => `/tmp/${provider}_cookies.json`,
+  hasProviderCookie: () => true,
+});
+
+// Every launch waits until the test fails it, so the job holds its slot
+const launches = [];
+const browser = require('../utils/browser');
+browser.launchStealthBrowser = (opts) => new Promise((resolve, reject) => launches.push({ opts, fail: reject }));
+
+const express = require('express');
+const { enqueue, listQueue } = require('../utils/jobQueue');
+const scrapeRoutes = require('../routes/scrapeRoutes');
+const { processQueue } = scrapeRoutes;
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+// Serve the routes on a free port
+let server;
+let baseUrl;
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', scrapeRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+test.after(() => server.close());
+
+async function call(method, route, body) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {}),
+  });
+  return { status: res.status, body: await res.json() };
+}
+const post = (route, body) => call('POST', route, body);
+const put = (route, body) => call('PUT', route, body);
+
+// A page in a job's ledger
+const ledgerPage = (page, fields) => ({
+  page,
+  url: `https://example.test/p${page}`,
+  signalHireRows: 25,
+  contactOutProfiles: 20,
+  error: null,
+  ...fields,
+});
+
+test('each browser slot has its own user-data directory', () => {
+  const root = path.join(__dirname, '..');
+  assert.strictEqual(browser.userDataDirForSlot(), path.join(root, 'user_data'));
+  assert.strictEqual(browser.userDataDirForSlot(0), path.join(root, 'user_data'));
+  assert.strictEqual(browser.userDataDirForSlot(2), path.join(root, 'user_data_2'));
+});
+
+test('up to SCRAPER_MAX_CONCURRENCY jobs run, each in a free slot', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  for (const id of ['a', 'b', 'c']) {
+    jobs[id] = { id, url: 'https://www.linkedin.com/sales/search/people', state: 'queued', pageIndex: 1 };
+    await enqueue(id);
+  }
+  assert.strictEqual(processQueue(), true);
+  await settle();
+  assert.deepStrictEqual(launches.map((l) => path.basename(l.opts.userDataDir)), ['user_data', 'user_data_1']);
+  assert.deepStrictEqual([jobs.a.state, jobs.b.state, jobs.c.state], ['running', 'running', 'queued']);
+  assert.deepStrictEqual(listQueue(), ['c']);
+  assert.strictEqual(processQueue(), false, 'no slot is free');
+
+  // The first job stops; the queued one takes over its slot
+  launches[0].fail(new Error('browser crashed'));
+  await settle();
+  assert.strictEqual(jobs.a.state, 'failed');
+  assert.strictEqual(jobs.c.state, 'running');
+  assert.deepStrictEqual(launches.map((l) => path.basename(l.opts.userDataDir)), ['user_data', 'user_data_1', 'user_data']);
+
+  launches[1].fail(new Error('browser crashed'));
+  launches[2].fail(new Error('browser crashed'));
+  await settle();
+  assert.deepStrictEqual(listQueue(), []);
+});
+
+test('retry-pages checks the pages asked for and queues the retry', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  jobs.r = { id: 'r', state: 'completed', pages: [ledgerPage(1), ledgerPage(2, { error: 'signalhire: timeout' }), ledgerPage(3, { url: null })] };
+  jobs.clean = { id: 'clean', state: 'completed', pages: [ledgerPage(1)] };
+  jobs.busy = { id: 'busy', state: 'pausing', pages: [ledgerPage(1, { error: 'x' })] };
+
+  assert.strictEqual((await post('/jobs/missing/retry-pages')).status, 404);
+  assert.match((await post('/jobs/r/retry-pages', { pages: [] })).body.error, /non-empty array of page numbers/);
+  assert.match((await post('/jobs/r/retry-pages', { pages: [1.5] })).body.error, /non-empty array of page numbers/);
+  assert.match((await post('/jobs/r/retry-pages', { pages: [3, 4] })).body.error, /No recorded URL for page\(s\) 3, 4/);
+  assert.match((await post('/jobs/clean/retry-pages')).body.error, /No failed or thin pages/);
+  const busy = await post('/jobs/busy/retry-pages');
+  assert.strictEqual(busy.status, 409);
+  assert.match(busy.body.error, /cannot be retried while pausing/);
+
+  const { status, body } = await post('/jobs/r/retry-pages');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.pages, [2]);
+  assert.match(body.message, /Retrying 1 page/);
+  assert.strictEqual(jobs.r.state, 'running');
+  assert.deepStrictEqual(jobs.r.retryPages, [2]);
+  assert.strictEqual(jobs.r.retryReturnState, 'completed');
+  assert.strictEqual((await post('/jobs/r/retry-pages', { pages: [1] })).status, 409);
+
+  await settle();
+  launches[launches.length - 1].fail(new Error('browser crashed'));
+  await settle();
+});
+
+test('a new job starts on its start page and keeps its limits', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const url = 'https://www.linkedin.com/sales/search/people?query=(x)';
+  const bad = await post('/scrape', { url, listName: 'Limits', maxRows: 0 });
+  assert.strictEqual(bad.status, 400);
+  assert.match(bad.body.error, /maxRows must be a whole number/);
+
+  const { status, body } = await post('/scrape', { url, listName: 'Limits', startPage: '3', maxPages: '2' });
+  assert.strictEqual(status, 200);
+  const job = jobs[body.jobId];
+  assert.strictEqual(job.pageIndex, 3);
+  assert.strictEqual(new URL(job.currentUrl).searchParams.get('page'), '3');
+  assert.deepStrictEqual(job.limits, { startPage: 3, maxPages: 2 });
+  assert.strictEqual(job.elapsedMs, 0);
+  assert.strictEqual(job.accountId, 'default', 'a job without an account runs with the default one');
+
+  await settle();
+  launches[launches.length - 1].fail(new Error('browser crashed'));
+  await settle();
+});
+
+test('a schedule is set on a job, which becomes its owner, and removed again', async () => {
+  jobs.weekly = { id: 'weekly', state: 'paused' };
+  assert.strictEqual((await put('/jobs/missing/schedule', { schedule: '7d' })).status, 404);
+  const bad = await put('/jobs/weekly/schedule', { schedule: '61 * * * *' });
+  assert.strictEqual(bad.status, 400);
+  assert.match(bad.body.error, /Invalid cron minute/);
+
+  const before = Date.now();
+  const { status, body } = await put('/jobs/weekly/schedule', { schedule: 'every 7d' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(jobs.weekly.scheduleId, 'weekly');
+  assert.deepStrictEqual({ ...body.schedule, nextRunAt: undefined }, {
+    type: 'interval', everyMinutes: 7 * 24 * 60, nextRunAt: undefined, lastRunAt: null, lastRunJobId: null,
+  });
+  assert.ok(Date.parse(jobs.weekly.schedule.nextRunAt) >= before + 7 * 24 * 3600 * 1000);
+
+  assert.strictEqual((await put('/jobs/weekly/schedule', { schedule: '' })).body.message, 'Schedule removed.');
+  assert.strictEqual(jobs.weekly.schedule, undefined);
+  assert.strictEqual(jobs.weekly.scheduleId, undefined);
+});
+
+test('a run of another job’s schedule cannot change it', async () => {
+  const schedule = { type: 'interval', everyMinutes: 60, nextRunAt: '2026-03-02T13:00:00.000Z' };
+  jobs.owner = { id: 'owner', state: 'completed', scheduleId: 'owner', schedule };
+  jobs['owner-run'] = { id: 'owner-run', state: 'completed', scheduleId: 'owner' };
+  for (const body of [{ schedule: '1d' }, { schedule: null }]) {
+    const { status, body: answer } = await put('/jobs/owner-run/schedule', body);
+    assert.strictEqual(status, 409);
+    assert.match(answer.error, /run of the schedule of job owner/);
+  }
+  assert.strictEqual(jobs['owner-run'].scheduleId, 'owner');
+  assert.strictEqual(jobs['owner-run'].schedule, undefined);
+  assert.deepStrictEqual(jobs.owner.schedule, schedule);
+});
@@ -0,0 +1,81 @@
+// test/shutdown.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SCRAPER_MAX_CONCURRENCY = '2';
+
+// Replace a module with `exports` before anything requires it
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// Jobs live in memory instead of all_jobs/
+const jobs = {};
+stubModule('../utils/jobsManager', {
+  getJobs: () => jobs,
+  getJob: (jobId) => jobs[jobId] || null,
+  setJob: async (job) => { jobs[job.id] = job; },
+  updateJob: async (jobId, updates) => { Object.assign(jobs[jobId] || (jobs[jobId] = {}), updates); },
+  deleteJobFile: async (jobId) => { delete jobs[jobId]; },
+});
+// Every job runs with a default account that has a cookie
+stubModule('../utils/accounts', {
+  resolveAccount: async (id) => ({ id: id || 'default', name: 'Default', hasCookie: true }),
+  getAccountCookiePath: async () => '/tmp/linkedin_cookies.json',
+  getAccountProxy: async () => null,
+});
+// ...and the provider cookies are saved
+stubModule('../utils/providerCookies', {
+  PROVIDERS: { signalhire: { label: 'SignalHire' }, contactout: { label: 'ContactOut' } },
+  providerCookiePath: (provider) => `/tmp/${provider}_cookies.json`,
+  hasProviderCookie: () => true,
+});
+
+// Launches wait until the test settles them
+const launches = [];
+const browser = require('../utils/browser');
+browser.launchStealthBrowser = (opts) => new Promise((resolve, reject) => launches.push({ opts, resolve, reject }));
+
+const { enqueue, listQueue } = require('../utils/jobQueue');
+const { processQueue, shutdownActiveJobs } = require('../routes/scrapeRoutes');
+const { closeBrowserPool } = require('../utils/browserPool');
+
+test('a shutdown pauses running jobs and interrupts the ones that do not stop in time', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  for (const id of ['a', 'b', 'c']) {
+    jobs[id] = { id, url: 'https://www.linkedin.com/sales/search/people', state: 'queued', pageIndex: 4, totalRows: 75 };
+    await enqueue(id);
+  }
+  processQueue();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepStrictEqual([jobs.a.state, jobs.b.state, jobs.c.state], ['running', 'running', 'queued']);
+
+  const done = shutdownActiveJobs({ timeoutMs: 200 });
+  // Job a reaches its checkpoint once its browser is up; job b never does
+  let closed = false;
+  launches[0].resolve({ on: () => {}, pages: () => [], close: async () => { closed = true; } });
+  await done;
+
+  assert.strictEqual(jobs.a.state, 'paused');
+  assert.strictEqual(jobs.a.stateReason, 'server_shutdown');
+  assert.strictEqual(jobs.a.message, 'Paused by a server shutdown on page 4.');
+  assert.strictEqual(closed, false, 'the browser is kept warm in the pool');
+
+  assert.strictEqual(jobs.b.state, 'interrupted');
+  assert.strictEqual(jobs.b.stateReason, 'shutdown_timeout');
+  assert.strictEqual(jobs.b.pageIndex, 4);
+  assert.strictEqual(jobs.b.totalRows, 75);
+  assert.deepStrictEqual(jobs.b.history.map((h) => h.to), ['running', 'pausing', 'interrupted']);
+
+  // Nothing else starts once the server is going down
+  assert.strictEqual(processQueue(), false);
+  assert.strictEqual(jobs.c.state, 'queued');
+  assert.deepStrictEqual(listQueue(), ['c']);
+  assert.strictEqual(launches.length, 2);
+
+  // The server closes the pool once the jobs are down
+  await closeBrowserPool();
+  assert.strictEqual(closed, true);
+});
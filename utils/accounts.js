@@ -0,0 +1,366 @@
+// utils/accounts.js
+//
+// Named LinkedIn accounts.  Each account is a Sales Navigator seat
+// with its own cookie file under `cookies/`; the list of accounts is
+// kept in `cookies/accounts.json`:
+//
+//   { "accounts": [ { id, name, cookieFile, launchProfile?, proxy?, createdAt, updatedAt, unhealthy? } ] }
+//
+// `launchProfile` names the browser launch profile the account's jobs
+// use unless the job picks its own (see utils/launchProfiles), so each
+// seat keeps its usual fingerprint.  `proxy` (see utils/proxy) routes the
+// account's browser traffic and replaces the launch profile's proxy, so
+// each seat can leave from its own IP.
+//
+// `unhealthy` (`{ at, reason }`) is set when a job found the account's
+// cookie logged out and failed over to another account (see
+// nextHealthyAccount()); saving a new cookie for the account clears it.
+//
+// The single cookie saved through POST /api/save-cookie (see
+// utils/fileHandler) is the `default` account, so installations that
+// predate accounts keep working unchanged.  A job stores the id of the
+// account it runs with in `job.accountId`; jobs without one use the
+// default account (see resolveAccount()).
+
+const fs = require('fs/promises');
+const { existsSync } = require('fs');
+const path = require('path');
+const { parseCookieText, cookiesDir, cookieFileName } = require('./fileHandler');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
+const { serializeCookies } = require('./cookieCrypto');
+const { hasLaunchProfile } = require('./launchProfiles');
+const { normalizeProxy, describeProxy, sameProxy } = require('./proxy');
+
+const registryPath = path.join(cookiesDir, 'accounts.json');
+
+// Id of the account backed by the legacy single cookie file
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// Read the registry.  The legacy cookie file shows up as the default
+// account even when it was saved before the registry existed.  Only a
+// missing registry counts as empty: a damaged one throws, so that the
+// next update cannot overwrite it and lose every account.
+async function readRegistry() {
+  let text;
+  try {
+    text = await fs.readFile(registryPath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    text = null;
+  }
+  let accounts = [];
+  if (text !== null) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Cannot read the account list ${registryPath}: ${err.message}`);
+    }
+    if (!data || !Array.isArray(data.accounts)) {
+      throw new Error(`Cannot read the account list ${registryPath}: no accounts array.`);
+    }
+    accounts = data.accounts;
+  }
+  // The default id belongs to the legacy cookie file.  An account that
+  // took it with a cookie file of its own (possible before the id was
+  // reserved) moves to a fresh id so it cannot hide the legacy cookie.
+  for (const account of accounts) {
+    if (account.id === DEFAULT_ACCOUNT_ID && account.cookieFile !== cookieFileName) {
+      account.id = newAccountId(accounts, account.name);
+    }
+  }
+  if (!accounts.some((a) => a.id === DEFAULT_ACCOUNT_ID) && existsSync(path.join(cookiesDir, cookieFileName))) {
+    accounts.unshift({
+      id: DEFAULT_ACCOUNT_ID,
+      name: 'Default',
+      cookieFile: cookieFileName,
+      createdAt: null,
+      updatedAt: null,
+    });
+  }
+  return accounts;
+}
+
+async function writeRegistry(accounts) {
+  await fs.mkdir(cookiesDir, { recursive: true });
+  await writeFileAtomic(registryPath, JSON.stringify({ accounts }, null, 2));
+}
+
+// Run a read-modify-write of the registry under its lock.
+function updateRegistry(fn) {
+  return withFileLock(registryPath, async () => {
+    const accounts = await readRegistry();
+    const result = await fn(accounts);
+    await writeRegistry(accounts);
+    return result;
+  });
+}
+
+// Absolute path of an account's cookie file (whether or not it exists)
+function cookieFilePath(account) {
+  return path.join(cookiesDir, account.cookieFile);
+}
+
+// Public view of an account: no file names, plus whether a cookie is
+// saved and whether it last worked
+function describe(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    hasCookie: existsSync(cookieFilePath(account)),
+    launchProfile: account.launchProfile || null,
+    proxy: describeProxy(account.proxy),
+    healthy: !account.unhealthy,
+    unhealthyReason: account.unhealthy ? account.unhealthy.reason : null,
+    unhealthySince: account.unhealthy ? account.unhealthy.at : null,
+    createdAt: account.createdAt,
+    updatedAt: account.updatedAt,
+  };
+}
+
+// Validate an account name; names are unique, ignoring case.
+function checkName(accounts, name, exceptId) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Account name is required.');
+  }
+  const lower = name.trim().toLowerCase();
+  if (accounts.some((a) => a.id !== exceptId && a.name.toLowerCase() === lower)) {
+    throw new Error(`An account named "${name.trim()}" already exists.`);
+  }
+  return name.trim();
+}
+
+// Validate a launch profile name; null/empty clears it.
+function checkLaunchProfile(launchProfile) {
+  if (launchProfile === null || launchProfile === '') return null;
+  if (typeof launchProfile !== 'string' || !hasLaunchProfile(launchProfile)) {
+    throw new Error(`Unknown launch profile "${launchProfile}".`);
+  }
+  return launchProfile;
+}
+
+// Validate a proxy (URL or object); null/empty clears it.
+function checkProxySetting(proxy) {
+  if (proxy === null || proxy === '') return null;
+  return normalizeProxy(proxy);
+}
+
+// Turn a name into an id that is not used yet, e.g. `sales-seat-2`.
+// The default id is reserved for the legacy cookie file.
+function newAccountId(accounts, name) {
+  const base = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'account';
+  const taken = (id) => id === DEFAULT_ACCOUNT_ID || accounts.some((a) => a.id === id);
+  let id = base;
+  for (let n = 2; taken(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * List all accounts.
+ *
+ * @returns {Promise<Object[]>} `{ id, name, hasCookie, launchProfile, proxy, healthy,
+ *   unhealthyReason, unhealthySince, createdAt, updatedAt }` per account
+ */
+async function listAccounts() {
+  return (await readRegistry()).map(describe);
+}
+
+/**
+ * Get one account by id.
+ *
+ * @param {string} id Account id
+ * @returns {Promise<Object|null>} The account (see listAccounts()) or null
+ */
+async function getAccount(id) {
+  const account = (await readRegistry()).find((a) => a.id === id);
+  return account ? describe(account) : null;
+}
+
+/**
+ * Create an account and save its cookie.  Without a cookie the account
+ * is created empty, e.g. to capture one through an interactive login
+ * (see utils/loginSession).  Throws an Error with a user-facing
+ * message when the name or the cookie is invalid.
+ *
+ * @param {Object} opts
+ * @param {string} opts.name Display name, unique ignoring case
+ * @param {string} [opts.cookie] Raw cookie text (see fileHandler.parseCookieText)
+ * @param {string} [opts.launchProfile] Launch profile for the account's jobs
+ * @param {string|Object} [opts.proxy] Proxy for the account's browser (see utils/proxy)
+ * @returns {Promise<Object>} The new account
+ */
+async function createAccount({ name, cookie, launchProfile, proxy }) {
+  const cookies = cookie !== undefined ? parseCookieText(cookie).cookies : null;
+  const profile = launchProfile !== undefined ? checkLaunchProfile(launchProfile) : null;
+  const accountProxy = proxy !== undefined ? checkProxySetting(proxy) : null;
+  return updateRegistry(async (accounts) => {
+    const cleanName = checkName(accounts, name);
+    const id = newAccountId(accounts, cleanName);
+    const now = new Date().toISOString();
+    const account = { id, name: cleanName, cookieFile: `linkedin_${id}.json`, createdAt: now, updatedAt: now };
+    if (profile) account.launchProfile = profile;
+    if (accountProxy) account.proxy = accountProxy;
+    if (cookies) {
+      const cookiePath = cookieFilePath(account);
+      await withFileLock(cookiePath, () => writeFileAtomic(cookiePath, serializeCookies(cookies)));
+    }
+    accounts.push(account);
+    return describe(account);
+  });
+}
+
+/**
+ * Rename an account, replace its cookie and/or change its launch
+ * profile or proxy.  A new cookie marks the account healthy again.
+ *
+ * @param {string} id Account id
+ * @param {Object} changes
+ * @param {string} [changes.name] New display name
+ * @param {string} [changes.cookie] New raw cookie text
+ * @param {string|null} [changes.launchProfile] Launch profile; null clears it
+ * @param {string|Object|null} [changes.proxy] Proxy; null clears it
+ * @returns {Promise<Object|null>} The updated account, or null when not found
+ */
+async function updateAccount(id, { name, cookie, launchProfile, proxy } = {}) {
+  const cookies = cookie !== undefined ? parseCookieText(cookie).cookies : null;
+  const profile = launchProfile !== undefined ? checkLaunchProfile(launchProfile) : undefined;
+  const accountProxy = proxy !== undefined ? checkProxySetting(proxy) : undefined;
+  return updateRegistry(async (accounts) => {
+    const account = accounts.find((a) => a.id === id);
+    if (!account) return null;
+    if (name !== undefined) account.name = checkName(accounts, name, id);
+    if (profile === null) delete account.launchProfile;
+    else if (profile) account.launchProfile = profile;
+    if (accountProxy === null) delete account.proxy;
+    else if (accountProxy) account.proxy = accountProxy;
+    if (cookies) {
+      const cookiePath = cookieFilePath(account);
+      await withFileLock(cookiePath, () => writeFileAtomic(cookiePath, serializeCookies(cookies)));
+      delete account.unhealthy;
+    }
+    account.updatedAt = new Date().toISOString();
+    return describe(account);
+  });
+}
+
+/**
+ * Delete an account and its cookie file.
+ *
+ * @param {string} id Account id
+ * @returns {Promise<boolean>} False when the account does not exist
+ */
+async function deleteAccount(id) {
+  return updateRegistry(async (accounts) => {
+    const index = accounts.findIndex((a) => a.id === id);
+    if (index === -1) return false;
+    const [account] = accounts.splice(index, 1);
+    await fs.unlink(cookieFilePath(account)).catch(() => { });
+    return true;
+  });
+}
+
+/**
+ * Find the account a job runs with.  With an id, that account (or
+ * null when it was deleted); without one, the default account, or the
+ * first account with a saved cookie when there is no default.
+ *
+ * @param {string} [id] Account id from the job
+ * @returns {Promise<Object|null>} The account (see listAccounts())
+ */
+async function resolveAccount(id) {
+  const accounts = (await readRegistry()).map(describe);
+  if (id) return accounts.find((a) => a.id === id) || null;
+  return accounts.find((a) => a.id === DEFAULT_ACCOUNT_ID && a.hasCookie)
+    || accounts.find((a) => a.hasCookie)
+    || null;
+}
+
+/**
+ * Path of an account's cookie file, or null when no cookie is saved.
+ *
+ * @param {string} id Account id
+ * @returns {Promise<string|null>}
+ */
+async function getAccountCookiePath(id) {
+  const account = (await readRegistry()).find((a) => a.id === id);
+  if (!account) return null;
+  const filePath = cookieFilePath(account);
+  return existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * An account's proxy with its credentials, for launching the browser,
+ * or null when the account has none.
+ *
+ * @param {string} id Account id
+ * @returns {Promise<Object|null>} `{ server, username?, password?, bypass? }`
+ */
+async function getAccountProxy(id) {
+  const account = (await readRegistry()).find((a) => a.id === id);
+  return (account && account.proxy) || null;
+}
+
+/**
+ * Mark an account unhealthy, e.g. after its cookie was found logged
+ * out during a job.  Unhealthy accounts are skipped by
+ * nextHealthyAccount().
+ *
+ * @param {string} id Account id
+ * @param {string} reason Why, e.g. `cookie_expired`
+ * @returns {Promise<boolean>} False when the account does not exist
+ */
+async function markAccountUnhealthy(id, reason) {
+  return updateRegistry(async (accounts) => {
+    const account = accounts.find((a) => a.id === id);
+    if (!account) return false;
+    account.unhealthy = { at: new Date().toISOString(), reason };
+    return true;
+  });
+}
+
+/**
+ * Clear an account's unhealthy mark, e.g. when its cookie logged in
+ * again or a new cookie was saved.  Does nothing for a healthy account.
+ *
+ * @param {string} id Account id
+ */
+async function markAccountHealthy(id) {
+  const account = (await readRegistry()).find((a) => a.id === id);
+  if (!account || !account.unhealthy) return;
+  await updateRegistry(async (accounts) => {
+    const current = accounts.find((a) => a.id === id);
+    if (current) delete current.unhealthy;
+  });
+}
+
+/**
+ * First healthy account with a saved cookie, skipping `excludeIds`.
+ * Used by runScrape() to fail over when a cookie stops working.  The
+ * running browser cannot change its proxy, so with `opts.proxy` only
+ * accounts with that same proxy (or none, for null) are picked.
+ *
+ * @param {string[]} [excludeIds] Accounts already tried
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.proxy] Proxy of the running browser
+ * @returns {Promise<Object|null>} The account (see listAccounts()) or null
+ */
+async function nextHealthyAccount(excludeIds = [], { proxy } = {}) {
+  const accounts = (await readRegistry())
+    .filter((a) => proxy === undefined || sameProxy(a.proxy, proxy));
+  return accounts.map(describe).find((a) => a.hasCookie && a.healthy && !excludeIds.includes(a.id)) || null;
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT_ID,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  resolveAccount,
+  getAccountCookiePath,
+  getAccountProxy,
+  markAccountUnhealthy,
+  markAccountHealthy,
+  nextHealthyAccount,
+};
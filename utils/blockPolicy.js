@@ -0,0 +1,253 @@
+// utils/blockPolicy.js
+//
+// Which requests the browser aborts.  Blocking heavy assets and
+// trackers saves bandwidth and page time without touching the scripts
+// and XHR the scrapers need.  The policy lives in
+// `config/blockPolicy.json` (or the file named by SCRAPER_BLOCK_POLICY);
+// see `config/blockPolicy.example.json`:
+//
+//   {
+//     "resourceTypes": ["image", "media", "font"],
+//     "domains": ["google-analytics.com", "doubleclick.net"],
+//     "urlPatterns": ["/li/track", "\\.gif\\?"],
+//     "allowDomains": ["signalhire.com", "contactout.com"]
+//   }
+//
+// A request is blocked when its Playwright resource type is listed,
+// its host is (a subdomain of) one of `domains`, or its URL matches one
+// of `urlPatterns` (case-insensitive regular expressions).  Hosts under
+// `allowDomains` and every request made by an extension frame are never
+// blocked, so the SignalHire and ContactOut panels always load.  Without
+// a file, DEFAULT_BLOCK_POLICY applies (images, media and fonts, as the
+// browser always blocked).  SCRAPER_BLOCK_RESOURCES=0 turns blocking
+// off.  The file is read on every launch.
+//
+// Requests are counted per run: runScrape() hands a counter from
+// newRequestStats() to trackRequests() and stores the summary on the
+// job, so runs with and without a policy can be compared.
+
+const fs = require('fs');
+const path = require('path');
+
+const configPath = process.env.SCRAPER_BLOCK_POLICY
+  ? path.resolve(process.env.SCRAPER_BLOCK_POLICY)
+  : path.join(__dirname, '..', 'config', 'blockPolicy.json');
+
+// Policy used when there is no file
+const DEFAULT_BLOCK_POLICY = Object.freeze({
+  resourceTypes: ['image', 'media', 'font'],
+  domains: [],
+  urlPatterns: [],
+  allowDomains: ['signalhire.com', 'contactout.com'],
+});
+
+// Playwright resource types a policy may list
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other',
+];
+
+// Blocked hosts listed in a run's summary
+const TOP_HOSTS = 10;
+
+// Counter of the run each context is working for
+const trackedStats = new WeakMap();
+
+// Normalize a domain entry: lower case, no scheme, path or leading dot
+function cleanDomain(entry) {
+  return String(entry).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '').replace(/^\.+/, '');
+}
+
+// Whether `host` is `domain` or one of its subdomains
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Read and check the block policy.  Throws an Error naming the
+ * problem when the file is invalid.
+ *
+ * @returns {{resourceTypes:Set<string>, domains:string[], urlPatterns:RegExp[], allowDomains:string[]}}
+ */
+function loadBlockPolicy() {
+  let raw = DEFAULT_BLOCK_POLICY;
+  if (fs.existsSync(configPath)) {
+    try {
+      raw = { ...DEFAULT_BLOCK_POLICY, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+    } catch (err) {
+      throw new Error(`Invalid block policy file ${configPath}: ${err.message}`);
+    }
+  }
+  for (const field of ['resourceTypes', 'domains', 'urlPatterns', 'allowDomains']) {
+    if (!Array.isArray(raw[field]) || raw[field].some((v) => typeof v !== 'string')) {
+      throw new Error(`Block policy: ${field} must be a list of strings.`);
+    }
+  }
+  const unknown = raw.resourceTypes.filter((t) => !RESOURCE_TYPES.includes(t));
+  if (unknown.length) {
+    throw new Error(`Block policy: unknown resource type(s) ${unknown.join(', ')}; use ${RESOURCE_TYPES.join(', ')}.`);
+  }
+  const urlPatterns = raw.urlPatterns.map((source) => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (err) {
+      throw new Error(`Block policy: invalid URL pattern "${source}": ${err.message}`);
+    }
+  });
+  return {
+    resourceTypes: new Set(raw.resourceTypes),
+    domains: raw.domains.map(cleanDomain).filter(Boolean),
+    urlPatterns,
+    allowDomains: raw.allowDomains.map(cleanDomain).filter(Boolean),
+  };
+}
+
+// Whether a request comes from an extension page or frame
+function fromExtension(request) {
+  try {
+    return request.frame().url().startsWith('chrome-extension://');
+  } catch {
+    // Service worker requests have no frame
+    return false;
+  }
+}
+
+/**
+ * Why a request is blocked under `policy`: `type`, `domain` or
+ * `pattern`, or null when it may go through.
+ *
+ * @param {Object} policy From loadBlockPolicy()
+ * @param {Object} request Playwright request
+ * @returns {string|null}
+ */
+function blockReason(policy, request) {
+  const url = request.url();
+  if (url.startsWith('chrome-extension://') || url.startsWith('data:')) return null;
+  let host = '';
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  if (policy.allowDomains.some((d) => hostMatches(host, d)) || fromExtension(request)) return null;
+  if (policy.resourceTypes.has(request.resourceType())) return 'type';
+  if (policy.domains.some((d) => hostMatches(host, d))) return 'domain';
+  if (policy.urlPatterns.some((re) => re.test(url))) return 'pattern';
+  return null;
+}
+
+/**
+ * A fresh request counter for one run.
+ */
+function newRequestStats() {
+  return {
+    requests: 0,
+    blocked: 0,
+    allowedBytes: 0,
+    blockedBy: { type: 0, domain: 0, pattern: 0 },
+    blockedTypes: {},
+    blockedHosts: {},
+  };
+}
+
+/**
+ * Count the requests of `context` into `stats` until untrackRequests()
+ * (or another trackRequests()) is called for it.
+ *
+ * @param {Object} context Playwright browser context
+ * @param {Object} stats From newRequestStats()
+ */
+function trackRequests(context, stats) {
+  if (context) trackedStats.set(context, stats);
+}
+
+/**
+ * Stop counting the requests of `context`.
+ *
+ * @param {Object} context Playwright browser context
+ */
+function untrackRequests(context) {
+  if (context) trackedStats.delete(context);
+}
+
+/**
+ * Summary of a run's counter for the job: totals, bytes downloaded,
+ * blocked requests per reason and resource type, and the most blocked
+ * hosts.
+ *
+ * @param {Object} stats From newRequestStats()
+ * @returns {Object}
+ */
+function summarizeRequestStats(stats) {
+  const topHosts = Object.entries(stats.blockedHosts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_HOSTS)
+    .map(([host, count]) => ({ host, count }));
+  return {
+    requests: stats.requests,
+    allowed: stats.requests - stats.blocked,
+    blocked: stats.blocked,
+    allowedBytes: stats.allowedBytes,
+    blockedBy: { ...stats.blockedBy },
+    blockedTypes: { ...stats.blockedTypes },
+    topBlockedHosts: topHosts,
+  };
+}
+
+/**
+ * Apply the block policy to a browser context and count its requests
+ * for trackRequests().  With `enabled` false nothing is blocked but
+ * requests are still counted.  Throws when the policy file is invalid.
+ *
+ * @param {Object} context Playwright browser context
+ * @param {Object} [opts]
+ * @param {boolean} [opts.enabled=true] Block requests
+ */
+async function installBlockPolicy(context, { enabled = true } = {}) {
+  context.on('request', () => {
+    const stats = trackedStats.get(context);
+    if (stats) stats.requests++;
+  });
+  context.on('requestfinished', (request) => {
+    const stats = trackedStats.get(context);
+    if (!stats) return;
+    request.sizes()
+      .then((sizes) => { stats.allowedBytes += sizes.responseBodySize + sizes.responseHeadersSize; })
+      .catch(() => { });
+  });
+  if (!enabled) return;
+
+  const policy = loadBlockPolicy();
+  await context.route('**/*', async (route) => {
+    let reason = null;
+    try {
+      reason = blockReason(policy, route.request());
+    } catch {
+      // ignore and continue
+    }
+    if (!reason) return route.continue();
+    const stats = trackedStats.get(context);
+    if (stats) {
+      const request = route.request();
+      const type = request.resourceType();
+      let host = '';
+      try { host = new URL(request.url()).hostname; } catch { }
+      stats.blocked++;
+      stats.blockedBy[reason]++;
+      stats.blockedTypes[type] = (stats.blockedTypes[type] || 0) + 1;
+      stats.blockedHosts[host] = (stats.blockedHosts[host] || 0) + 1;
+    }
+    return route.abort();
+  });
+}
+
+module.exports = {
+  DEFAULT_BLOCK_POLICY,
+  loadBlockPolicy,
+  blockReason,
+  installBlockPolicy,
+  newRequestStats,
+  trackRequests,
+  untrackRequests,
+  summarizeRequestStats,
+};
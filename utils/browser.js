@@ -1,6 +1,8 @@
 // utils/browser.js
 
 const path = require('path');
+const { DEFAULT_LAUNCH_PROFILE } = require('./launchProfiles');
+const { installBlockPolicy } = require('./blockPolicy');
 
 /*
  * This helper wraps the Playwright Extra API and configures a
@@ -22,9 +24,47 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 // Register the stealth plugin on the chromium instance.
 chromium.use(StealthPlugin());
 
-async function launchStealthBrowser() {
-  // Directory where Playwright will store session data (cookies, localStorage).
-  const userDataDir = path.join(__dirname, '..', 'user_data');
+/**
+ * Directory where Playwright stores session data (cookies,
+ * localStorage) for a browser slot.  Slot 0 keeps the original
+ * `user_data` folder; every additional browser in the pool (see
+ * utils/browserPool) gets `user_data_<slot>` so that two running
+ * contexts never share a profile (Chromium locks a user-data dir to a
+ * single process).
+ *
+ * @param {number} [slot=0] Zero-based browser slot
+ * @returns {string} Absolute path to the user-data directory
+ */
+function userDataDirForSlot(slot = 0) {
+  const name = slot > 0 ? `user_data_${slot}` : 'user_data';
+  return path.join(__dirname, '..', name);
+}
+
+/**
+ * Launch a persistent stealth Chromium context with a launch profile
+ * (see utils/launchProfiles).  Settings the profile leaves out fall
+ * back to DEFAULT_LAUNCH_PROFILE.
+ *
+ * @param {Object} [profile]
+ * @param {boolean} [profile.headless] Run without a window
+ * @param {Object} [profile.proxy] `{ server, username, password, bypass }`
+ * @param {Object} [profile.viewport] `{ width, height }`, or null for none
+ * @param {string} [profile.userAgent] User agent string
+ * @param {string} [profile.locale] e.g. `en-GB`
+ * @param {string} [profile.timezoneId] e.g. `Europe/London`
+ * @param {string} [profile.userDataDir] Profile directory, relative to the
+ *   project root or absolute; defaults to slot 0
+ * @param {boolean} [profile.blockResources] Abort the requests the block
+ *   policy names (see utils/blockPolicy); defaults to on unless
+ *   SCRAPER_BLOCK_RESOURCES=0
+ */
+async function launchStealthBrowser(profile = {}) {
+  const settings = { ...DEFAULT_LAUNCH_PROFILE, ...profile };
+  const userDataDir = settings.userDataDir
+    ? path.resolve(__dirname, '..', settings.userDataDir)
+    : userDataDirForSlot(0);
+  const blockResources = settings.blockResources ?? process.env.SCRAPER_BLOCK_RESOURCES !== '0';
+
   // Paths to your unpacked extensions; replace the placeholder folders
   // with your actual extension code.
   const ext1 = path.join(__dirname, '..', 'extensions', 'contacout');
@@ -42,35 +82,32 @@ async function launchStealthBrowser() {
     `--load-extension=${ext1},${ext2}`,
   ];
 
-  // Launch the persistent context with our arguments and a realistic viewport and user agent.
+  // Launch the persistent context with our arguments and the profile's
+  // viewport, user agent, locale, timezone and proxy.  The headless
+  // shell cannot load extensions, so headless runs use the full
+  // Chromium build in its new headless mode.
   const context = await chromium.launchPersistentContext(userDataDir, {
-    headless: false,
+    headless: settings.headless,
+    ...(settings.headless ? { channel: 'chromium' } : {}),
     args,
     ignoreDefaultArgs: ['--enable-automation'],
-    viewport: { width: 1920, height: 1080 },
-    userAgent:
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36',
+    viewport: settings.viewport,
+    userAgent: settings.userAgent || undefined,
+    locale: settings.locale || undefined,
+    timezoneId: settings.timezoneId || undefined,
+    proxy: settings.proxy || undefined,
   });
 
-  // Optional speed boost: abort heavy asset types. This reduces bandwidth and
-  // page rendering overhead without blocking scripts/XHR needed for scraping.
-  // Disable by setting SCRAPER_BLOCK_RESOURCES=0.
-  const blockResources = process.env.SCRAPER_BLOCK_RESOURCES !== '0';
-  if (blockResources) {
-    await context.route('**/*', async (route) => {
-      try {
-        const type = route.request().resourceType();
-        if (type === 'image' || type === 'media' || type === 'font') {
-          return route.abort();
-        }
-      } catch {
-        // ignore and continue
-      }
-      return route.continue();
-    });
+  // Optional speed boost: abort the asset types, trackers and URLs the
+  // block policy names.  Requests are counted either way.
+  try {
+    await installBlockPolicy(context, { enabled: blockResources });
+  } catch (err) {
+    await context.close().catch(() => { });
+    throw err;
   }
 
   return context;
 }
 
-module.exports = { launchStealthBrowser };
\ No newline at end of file
+module.exports = { launchStealthBrowser, userDataDirForSlot };
\ No newline at end of file
@@ -0,0 +1,287 @@
+// utils/browserPool.js
+//
+// Warm browser contexts kept between runs.  Launching Chromium and
+// logging in to SignalHire and ContactOut takes half a minute, so
+// instead of closing its context when a run pauses or ends, runScrape()
+// hands it back to this pool and the next run of the same account
+// (same launch profile and proxy) picks it up again.
+//
+// A job borrows a context with acquireBrowser() and gets a lease:
+//
+//   lease.context          the Playwright persistent context
+//   lease.loginsStale()    whether the provider logins need checking
+//   lease.markLoginsChecked()
+//   lease.pageDone(page)   count a scraped page; true when recycling is due
+//   lease.recycle()        close and relaunch the browser mid-run
+//   lease.release()        hand the context back (or close it)
+//
+// A context is recycled (closed and relaunched in the same user-data
+// directory, so its cookies survive) after SCRAPER_POOL_MAX_PAGES pages
+// or when the JS heap of the job's page grows past
+// SCRAPER_POOL_MAX_HEAP_MB.  Idle contexts are closed after
+// SCRAPER_POOL_IDLE_MINUTES and at most SCRAPER_POOL_MAX_IDLE are kept
+// (0 closes every context on release, as before the pool existed).
+// Each context gets its own browser slot, and with it its own
+// user-data directory, for as long as it lives.
+
+const fs = require('fs');
+const { launchStealthBrowser, userDataDirForSlot } = require('./browser');
+const { profileUserDataDir } = require('./launchProfiles');
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Idle contexts kept warm
+const MAX_IDLE = Math.floor(envNumber('SCRAPER_POOL_MAX_IDLE', 2));
+// An idle context is closed after this long
+const IDLE_MS = envNumber('SCRAPER_POOL_IDLE_MINUTES', 15) * 60 * 1000;
+// Recycle after this many pages (0 never)
+const MAX_PAGES = Math.floor(envNumber('SCRAPER_POOL_MAX_PAGES', 200));
+// Recycle when the page's JS heap exceeds this many MB (0 never)
+const MAX_HEAP_MB = envNumber('SCRAPER_POOL_MAX_HEAP_MB', 1024);
+// Provider logins are checked again after this long
+const LOGIN_TTL_MS = envNumber('SCRAPER_POOL_LOGIN_TTL_MINUTES', 30) * 60 * 1000;
+
+// Every live context: `{ slot, accountId, signature, profile, context,
+// busy, pages, heapMb, runs, launchedAt, lastUsedAt, loginsCheckedAt,
+// idleTimer }`
+const entries = new Set();
+
+// Launch settings that must match for a context to be reused
+function signatureOf(profile) {
+  return JSON.stringify(profile);
+}
+
+// Lowest browser slot no live context uses
+function nextFreeSlot() {
+  const used = new Set([...entries].map((e) => e.slot));
+  let slot = 0;
+  while (used.has(slot)) slot++;
+  return slot;
+}
+
+async function launchEntry(entry) {
+  const userDataDir = profileUserDataDir(entry.profile, entry.slot) || userDataDirForSlot(entry.slot);
+  const context = await launchStealthBrowser({ ...entry.profile, userDataDir });
+  entry.context = context;
+  entry.pages = 0;
+  entry.heapMb = null;
+  entry.launchedAt = Date.now();
+  entry.loginsCheckedAt = 0;
+  // Chromium crashed or was closed by hand: forget the context
+  context.on('close', () => {
+    if (entry.context !== context) return;
+    entry.context = null;
+    if (!entry.busy) dropEntry(entry);
+  });
+  return context;
+}
+
+function dropEntry(entry) {
+  clearTimeout(entry.idleTimer);
+  entries.delete(entry);
+}
+
+// Close an entry's context.  The entry keeps its slot until Chromium
+// has exited, so no new context is launched in its user-data directory
+// while the old one still holds it.
+async function closeEntry(entry) {
+  clearTimeout(entry.idleTimer);
+  const { context } = entry;
+  entry.context = null;
+  if (context) await context.close().catch(() => { });
+  dropEntry(entry);
+}
+
+// Close the least recently used idle contexts beyond MAX_IDLE
+async function trimIdle() {
+  const idle = [...entries].filter((e) => !e.busy && e.context).sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  for (const entry of idle.slice(0, Math.max(0, idle.length - MAX_IDLE))) {
+    await closeEntry(entry);
+  }
+}
+
+// JS heap of a page in MB, via the Chrome DevTools protocol; null when
+// it cannot be read.
+async function heapSizeMb(context, page) {
+  let cdp = null;
+  try {
+    cdp = await context.newCDPSession(page);
+    await cdp.send('Performance.enable');
+    const { metrics } = await cdp.send('Performance.getMetrics');
+    const heap = metrics.find((m) => m.name === 'JSHeapTotalSize');
+    return heap ? Math.round(heap.value / (1024 * 1024)) : null;
+  } catch {
+    return null;
+  } finally {
+    if (cdp) await cdp.detach().catch(() => { });
+  }
+}
+
+function makeLease(entry) {
+  let released = false;
+  return {
+    get context() {
+      return entry.context;
+    },
+    slot: entry.slot,
+    // Whether the context was already warm when it was handed out
+    reused: entry.runs > 1,
+
+    /**
+     * Whether the provider logins must be checked: never checked in
+     * this context, checked longer than the login TTL ago, or one of
+     * `cookieFiles` was saved since.
+     */
+    loginsStale(cookieFiles = []) {
+      if (!entry.loginsCheckedAt || Date.now() - entry.loginsCheckedAt > LOGIN_TTL_MS) return true;
+      return cookieFiles.some((file) => {
+        try {
+          return fs.statSync(file).mtimeMs > entry.loginsCheckedAt;
+        } catch {
+          return false;
+        }
+      });
+    },
+
+    markLoginsChecked() {
+      entry.loginsCheckedAt = Date.now();
+    },
+
+    /**
+     * Count a scraped page and sample the page's heap.  Returns true
+     * when the browser is due to be recycled.
+     */
+    async pageDone(page) {
+      entry.pages++;
+      if (MAX_HEAP_MB > 0 && page) entry.heapMb = await heapSizeMb(entry.context, page);
+      return (MAX_PAGES > 0 && entry.pages >= MAX_PAGES)
+        || (MAX_HEAP_MB > 0 && entry.heapMb !== null && entry.heapMb >= MAX_HEAP_MB);
+    },
+
+    /**
+     * Close the browser and launch it again in the same user-data
+     * directory.  Returns the new context; the caller opens its pages
+     * again.  Provider logins count as stale afterwards.
+     */
+    async recycle() {
+      const reason = entry.heapMb !== null && MAX_HEAP_MB > 0 && entry.heapMb >= MAX_HEAP_MB
+        ? `heap ${entry.heapMb} MB`
+        : `${entry.pages} pages`;
+      console.log(`[Browser pool] recycling slot ${entry.slot} after ${reason}.`);
+      const old = entry.context;
+      entry.context = null;
+      if (old) await old.close().catch(() => { });
+      return launchEntry(entry);
+    },
+
+    /**
+     * Hand the context back.  It stays warm for the next run of
+     * `accountId` unless `discard` is set, the pool keeps no idle
+     * contexts or the context is due to be recycled anyway.
+     *
+     * @param {Object} [opts]
+     * @param {string} [opts.accountId] Account now logged in (after a failover)
+     * @param {boolean} [opts.discard] Close the context
+     */
+    async release({ accountId, discard = false } = {}) {
+      if (released) return;
+      released = true;
+      if (accountId) entry.accountId = accountId;
+      const worn = (MAX_PAGES > 0 && entry.pages >= MAX_PAGES)
+        || (MAX_HEAP_MB > 0 && entry.heapMb !== null && entry.heapMb >= MAX_HEAP_MB);
+      if (discard || worn || MAX_IDLE === 0 || !entry.context) {
+        await closeEntry(entry);
+        return;
+      }
+      // Close the job's tabs; the context itself stays open
+      for (const page of entry.context.pages()) {
+        await page.close().catch(() => { });
+      }
+      entry.busy = false;
+      entry.lastUsedAt = Date.now();
+      entry.idleTimer = setTimeout(() => {
+        closeEntry(entry).catch(() => { });
+      }, IDLE_MS);
+      entry.idleTimer.unref();
+      await trimIdle();
+    },
+  };
+}
+
+/**
+ * Borrow a browser context for an account: a warm idle one launched
+ * with the same profile when there is one, else a newly launched one
+ * in the lowest free browser slot.  Throws when Chromium cannot start.
+ *
+ * @param {Object} opts
+ * @param {string} opts.accountId LinkedIn account of the job
+ * @param {Object} opts.profile Launch profile (see utils/launchProfiles),
+ *   with the proxy the job uses
+ * @returns {Promise<Object>} The lease (see above)
+ */
+async function acquireBrowser({ accountId, profile }) {
+  const signature = signatureOf(profile);
+  const idle = [...entries].filter((e) => !e.busy && e.context);
+  let entry = idle.find((e) => e.accountId === accountId && e.signature === signature);
+  // Claim the context before awaiting anything, so that a concurrent
+  // acquire cannot hand the same context to a second job.
+  if (entry) {
+    clearTimeout(entry.idleTimer);
+    entry.busy = true;
+    entry.runs++;
+  }
+  // Contexts of this account with an outdated profile are of no use;
+  // claim them too so that nobody picks them up while they close.
+  const stale = idle.filter((e) => e !== entry && e.accountId === accountId);
+  for (const e of stale) e.busy = true;
+  for (const e of stale) await closeEntry(e);
+  if (entry) return makeLease(entry);
+  entry = {
+    slot: nextFreeSlot(),
+    accountId,
+    signature,
+    profile,
+    context: null,
+    busy: true,
+    runs: 1,
+    lastUsedAt: Date.now(),
+  };
+  entries.add(entry);
+  try {
+    await launchEntry(entry);
+  } catch (err) {
+    dropEntry(entry);
+    throw err;
+  }
+  return makeLease(entry);
+}
+
+/**
+ * State of the pool for the status API.
+ *
+ * @returns {Object[]} `{ slot, accountId, busy, pages, heapMb, launchedAt, lastUsedAt }` per context
+ */
+function describeBrowserPool() {
+  return [...entries].map((e) => ({
+    slot: e.slot,
+    accountId: e.accountId,
+    busy: e.busy,
+    pages: e.pages,
+    heapMb: e.heapMb,
+    launchedAt: e.launchedAt ? new Date(e.launchedAt).toISOString() : null,
+    lastUsedAt: new Date(e.lastUsedAt).toISOString(),
+  }));
+}
+
+/**
+ * Close every context, busy or idle.  Used on server shutdown, after
+ * the jobs have released theirs.
+ */
+async function closeBrowserPool() {
+  await Promise.all([...entries].map(closeEntry));
+}
+
+module.exports = { acquireBrowser, describeBrowserPool, closeBrowserPool };
@@ -0,0 +1,152 @@
+// utils/cookieCrypto.js
+//
+// Optional encryption of the stored cookie files (LinkedIn accounts,
+// provider cookies and their backups).  Encryption is on when one of
+// these environment variables is set:
+//
+//   SCRAPER_COOKIE_KEY         – 32-byte key as 64 hex characters or base64
+//   SCRAPER_COOKIE_PASSPHRASE  – passphrase; the key is derived with scrypt
+//
+// The key wins when both are set.  An encrypted file is a small JSON
+// envelope instead of the cookie array:
+//
+//   { "encrypted": "aes-256-gcm", "kdf": "none" | "scrypt",
+//     "salt": <base64>, "iv": <base64>, "tag": <base64>, "data": <base64> }
+//
+// Files are only ever decrypted in memory (see readCookieFile(), used
+// by cookieUtil.loadAndConvert()).  Plaintext files are still read, so
+// existing cookies keep working after encryption is turned on; run
+// `npm run encrypt-cookies` to convert them (scripts/encryptCookies.js).
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derived passphrase keys, by salt, so scrypt runs once per salt
+const derivedKeys = new Map();
+// Salt used for files written by this process
+let writeSalt = null;
+
+// Key material from the environment: `{ kdf, secret }` or null
+function keySource() {
+  const key = process.env.SCRAPER_COOKIE_KEY;
+  if (key) {
+    const raw = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+    if (raw.length !== 32) throw new Error('SCRAPER_COOKIE_KEY must be 32 bytes (64 hex characters or base64).');
+    return { kdf: 'none', secret: raw };
+  }
+  const passphrase = process.env.SCRAPER_COOKIE_PASSPHRASE;
+  if (passphrase) return { kdf: 'scrypt', secret: passphrase };
+  return null;
+}
+
+function keyFor(source, kdf, salt) {
+  if (kdf === 'none') return source.secret;
+  const cacheKey = salt.toString('base64');
+  if (!derivedKeys.has(cacheKey)) derivedKeys.set(cacheKey, crypto.scryptSync(source.secret, salt, 32));
+  return derivedKeys.get(cacheKey);
+}
+
+/**
+ * Whether cookie files are written encrypted (a key or passphrase is set).
+ */
+function isCookieEncryptionEnabled() {
+  return keySource() !== null;
+}
+
+/**
+ * Whether file contents are an encrypted envelope.
+ *
+ * @param {string} text File contents
+ */
+function isEncrypted(text) {
+  if (!String(text).trimStart().startsWith('{')) return false;
+  try {
+    return JSON.parse(text).encrypted === ALGORITHM;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt cookie text, or return it unchanged when encryption is off.
+ *
+ * @param {string} text Plain cookie text
+ * @returns {string} Contents to write to the cookie file
+ */
+function encryptCookieText(text) {
+  const source = keySource();
+  if (!source) return text;
+  if (!writeSalt) writeSalt = crypto.randomBytes(16);
+  const salt = source.kdf === 'none' ? Buffer.alloc(0) : writeSalt;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyFor(source, source.kdf, salt), iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    encrypted: ALGORITHM,
+    kdf: source.kdf,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }, null, 2);
+}
+
+/**
+ * Decrypt cookie file contents.  Plaintext is returned unchanged.
+ * Throws when the contents are encrypted and no key is set or the key
+ * does not match.
+ *
+ * @param {string} text File contents
+ * @returns {string} Plain cookie text
+ */
+function decryptCookieText(text) {
+  if (!isEncrypted(text)) return text;
+  const source = keySource();
+  if (!source) {
+    throw new Error('Cookie file is encrypted; set SCRAPER_COOKIE_KEY or SCRAPER_COOKIE_PASSPHRASE.');
+  }
+  const envelope = JSON.parse(text);
+  if (envelope.kdf !== source.kdf) {
+    throw new Error(`Cookie file was encrypted with a ${envelope.kdf === 'none' ? 'key' : 'passphrase'}; set that instead.`);
+  }
+  try {
+    const key = keyFor(source, envelope.kdf, Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Could not decrypt the cookie file; check the cookie key or passphrase.');
+  }
+}
+
+/**
+ * Read a cookie file and decrypt it in memory.
+ *
+ * @param {string} filePath Cookie file
+ * @returns {string} Plain cookie text
+ */
+function readCookieFile(filePath) {
+  return decryptCookieText(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Contents to write for a cookie array: pretty JSON, encrypted when
+ * encryption is on.
+ *
+ * @param {Object[]} cookies Playwright cookies
+ * @returns {string}
+ */
+function serializeCookies(cookies) {
+  return encryptCookieText(JSON.stringify(cookies, null, 2));
+}
+
+module.exports = {
+  isCookieEncryptionEnabled,
+  isEncrypted,
+  encryptCookieText,
+  decryptCookieText,
+  readCookieFile,
+  serializeCookies,
+};
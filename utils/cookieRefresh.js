@@ -0,0 +1,164 @@
+// utils/cookieRefresh.js
+//
+// Write the browser's live cookies back to the stored cookie files.
+// LinkedIn (and the enrichment providers) rotate session cookies while
+// we browse, but the stored files are only ever read, so they go stale
+// sooner than the session itself.  runScrape() calls
+// writeBackCookies() periodically and when a logged-in run ends; each
+// site whose live cookies changed is saved over its file, after the
+// previous file has been copied to `cookies/backups/`.
+//
+// Files are written like a saved cookie, so they are encrypted when
+// cookie encryption is on; backups are byte-for-byte copies of the old file.
+//
+// A site is skipped when its live cookies fail the same check a pasted
+// cookie must pass (see cookieUtil.cookieReport), so a browser that was
+// logged out never overwrites a good cookie.  It is also skipped when
+// its file changed since the run loaded it into the browser (compare
+// cookieFileStamp() when loading with the file at write-back time), so
+// a cookie saved while the job runs is not replaced by the browser's
+// older session.  Cookie saves take the same file lock.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { readFileSync } = require('fs');
+const path = require('path');
+const { loadAndConvert, convertCookies, cookieReport, REQUIRED_LINKEDIN_COOKIES } = require('./cookieUtil');
+const { cookiesDir } = require('./fileHandler');
+const { PROVIDERS, providerCookiePath } = require('./providerCookies');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
+const { serializeCookies } = require('./cookieCrypto');
+
+const backupDir = path.join(cookiesDir, 'backups');
+
+// Backups kept per cookie file.  Override with SCRAPER_COOKIE_BACKUPS.
+const BACKUPS_KEPT = Math.max(1, Number(process.env.SCRAPER_COOKIE_BACKUPS || '5') || 5);
+
+// Stamp of some file content
+function stampOf(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Stamp of a cookie file's current content, or null when the file does
+ * not exist.  Take it when the file is loaded into the browser.
+ *
+ * @param {string} filePath Cookie file
+ * @returns {string|null}
+ */
+function cookieFileStamp(filePath) {
+  try {
+    return stampOf(readFileSync(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sites whose cookies a job writes back: its LinkedIn account and the
+ * two providers.  `loadedStamps` maps each cookie file to its
+ * cookieFileStamp() when the run loaded it into the browser (files
+ * missing from it are stamped now); writeBackCookies() keeps it up to
+ * date as it writes.
+ *
+ * @param {string} linkedInCookieFile Cookie file of the job's account
+ * @param {Map<string,string|null>} [loadedStamps] Stamp per cookie file
+ * @returns {Object[]} `{ label, filePath, domain, required, loadedStamps }` per site
+ */
+function jobCookieTargets(linkedInCookieFile, loadedStamps = new Map()) {
+  const target = (label, filePath, domain, required) => {
+    if (!loadedStamps.has(filePath)) loadedStamps.set(filePath, cookieFileStamp(filePath));
+    return { label, filePath, domain, required, loadedStamps };
+  };
+  return [
+    target('LinkedIn', linkedInCookieFile, /(^|\.)linkedin\.com$/i, REQUIRED_LINKEDIN_COOKIES),
+    ...Object.keys(PROVIDERS).map((name) => target(
+      PROVIDERS[name].label,
+      providerCookiePath(name),
+      PROVIDERS[name].domain,
+      PROVIDERS[name].required
+    )),
+  ];
+}
+
+// Identity of a cookie set, ignoring order and expiry
+function fingerprint(cookies) {
+  return cookies.map((c) => `${c.domain}|${c.path}|${c.name}=${c.value}`).sort().join('\n');
+}
+
+// Copy a cookie file into the backup folder and drop the oldest
+// backups beyond BACKUPS_KEPT.
+async function backupCookieFile(filePath) {
+  await fs.mkdir(backupDir, { recursive: true });
+  const base = path.basename(filePath, '.json');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.copyFile(filePath, path.join(backupDir, `${base}.${stamp}.json`));
+  const backups = (await fs.readdir(backupDir))
+    .filter((name) => name.startsWith(`${base}.`) && name.endsWith('.json'))
+    .sort();
+  for (const name of backups.slice(0, -BACKUPS_KEPT)) {
+    await fs.unlink(path.join(backupDir, name)).catch(() => { });
+  }
+}
+
+// Save one site's live cookies if they are usable, differ from the
+// stored ones and the file was not changed since the run loaded it.
+// Returns what happened, for logging.
+async function writeBackTarget(liveCookies, target) {
+  const { label, filePath, domain, required, loadedStamps } = target;
+  const cookies = liveCookies.filter((c) => domain.test(c.domain || ''));
+  if (!cookieReport(convertCookies(cookies), { required, domain }).usable) {
+    return { label, written: false, reason: 'not_logged_in' };
+  }
+  return withFileLock(filePath, async () => {
+    if (cookieFileStamp(filePath) !== loadedStamps.get(filePath)) {
+      console.log(`[Cookies] ${label} cookie file changed since the run loaded it; keeping the saved cookie.`);
+      return { label, written: false, reason: 'changed_on_disk' };
+    }
+    let stored = null;
+    try {
+      stored = loadAndConvert(filePath);
+    } catch {
+      // Missing or unreadable; replace it
+    }
+    if (stored && fingerprint(stored) === fingerprint(convertCookies(cookies))) {
+      return { label, written: false, reason: 'unchanged' };
+    }
+    if (stored) await backupCookieFile(filePath);
+    const data = serializeCookies(cookies);
+    await writeFileAtomic(filePath, data);
+    loadedStamps.set(filePath, stampOf(data));
+    return { label, written: true };
+  });
+}
+
+/**
+ * Write a browser context's current cookies back to the cookie files
+ * of the given sites (see jobCookieTargets()), backing up each file
+ * that changes.  Errors are logged per site and never thrown.
+ *
+ * @param {Object} context Playwright browser context
+ * @param {Object[]} targets Sites to write back
+ * @returns {Promise<Object[]>} `{ label, written, reason? }` per site
+ */
+async function writeBackCookies(context, targets) {
+  let live;
+  try {
+    live = await context.cookies();
+  } catch (err) {
+    console.error('[Cookies] reading browser cookies failed:', err?.message || err);
+    return [];
+  }
+  const results = [];
+  for (const target of targets) {
+    try {
+      results.push(await writeBackTarget(live, target));
+    } catch (err) {
+      console.error(`[Cookies] writing back ${target.label} cookies failed:`, err?.message || err);
+      results.push({ label: target.label, written: false, reason: 'error' });
+    }
+  }
+  return results;
+}
+
+module.exports = { jobCookieTargets, cookieFileStamp, writeBackCookies, backupDir };
@@ -1,8 +1,18 @@
 // utils/cookieUtil.js
 
-const fs = require('fs');
+const { readCookieFile } = require('./cookieCrypto');
 
-// Minimal helper to load a Chrome-exported cookie JSON and convert to Playwright.
+// Helpers to read exported cookies and convert them to the cookie
+// shape Playwright's context.addCookies() expects.  Several export
+// formats are recognised (see parseCookies()):
+//
+//   chrome-json    – JSON array from a Chrome cookie extension
+//                    (`expirationDate`, `sameSite: "no_restriction"`)
+//   playwright-json – JSON array of Playwright cookies (`expires`)
+//   storage-state  – Playwright `storageState` JSON (`{ cookies, origins }`)
+//   netscape       – `cookies.txt` (tab-separated, one cookie per line)
+//   cookie-header  – a copied `Cookie:` request header (`a=1; b=2`),
+//                    which carries no domain, so the caller supplies one
 
 function normalizeSameSite(v) {
   if (v == null) return undefined; // allow omitting
@@ -14,22 +24,244 @@ function normalizeSameSite(v) {
   return undefined; // drop any unknown values
 }
 
-function loadAndConvert(filePath) {
-  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  return raw.map((c) => ({
-    name: c.name,
-    value: String(c.value ?? ''),
-    domain: c.domain, // ".example.com" or "example.com" both fine
-    path: c.path || '/',
-    httpOnly: !!c.httpOnly,
-    secure: !!c.secure,
-    // Playwright wants seconds (int) and usually omit for session cookies
-    expires:
-      typeof c.expirationDate === 'number' && !c.session
-        ? Math.floor(c.expirationDate)
-        : undefined,
-    sameSite: normalizeSameSite(c.sameSite),
-  }));
-}
-
-module.exports = { loadAndConvert };
\ No newline at end of file
+/**
+ * Read a cookie file in any supported format and convert it.  An
+ * encrypted file is decrypted in memory (see utils/cookieCrypto).
+ *
+ * @param {string} filePath Cookie file
+ * @param {Object} [opts] See parseCookies()
+ * @returns {Object[]} Playwright cookies
+ */
+function loadAndConvert(filePath, opts) {
+  return parseCookies(readCookieFile(filePath), opts).cookies;
+}
+
+// Convert an already parsed JSON cookie array (Chrome extension or
+// Playwright objects).
+function convertCookies(raw) {
+  return raw.map((c) => {
+    let expires;
+    if (typeof c.expirationDate === 'number' && !c.session) {
+      expires = Math.floor(c.expirationDate);
+    } else if (typeof c.expires === 'number' && c.expires > 0) {
+      // Playwright uses -1 for session cookies
+      expires = Math.floor(c.expires);
+    }
+    return {
+      name: c.name,
+      value: String(c.value ?? ''),
+      domain: c.domain, // ".example.com" or "example.com" both fine
+      path: c.path || '/',
+      httpOnly: !!c.httpOnly,
+      secure: !!c.secure,
+      // Playwright wants seconds (int) and usually omit for session cookies
+      expires,
+      sameSite: normalizeSameSite(c.sameSite),
+    };
+  });
+}
+
+// Parse a Netscape cookies.txt file.  Lines starting with `#` are
+// comments, except the `#HttpOnly_` prefix some exporters put before
+// the domain.
+function parseNetscape(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    }
+    if (!line.trim() || line.startsWith('#')) continue;
+    const fields = line.split('\t');
+    if (fields.length < 7) throw new Error(`cookies.txt line has ${fields.length} fields instead of 7.`);
+    const [domain, , cookiePath, secure, expiry, name, ...value] = fields;
+    const expires = Number(expiry);
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      path: cookiePath || '/',
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE',
+      // 0 marks a session cookie
+      expires: Number.isFinite(expires) && expires > 0 ? Math.floor(expires) : undefined,
+      sameSite: undefined,
+    });
+  }
+  return cookies;
+}
+
+// Parse a `Cookie:` header value.  Every cookie gets `domain`.
+function parseCookieHeader(text, domain) {
+  if (!domain) throw new Error('A Cookie header carries no domain; this site needs a cookie export instead.');
+  const body = text.trim().replace(/^cookie:\s*/i, '');
+  return body
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const eq = part.indexOf('=');
+      if (eq <= 0) throw new Error(`Cookie header part "${part}" is not name=value.`);
+      return {
+        name: part.slice(0, eq).trim(),
+        value: part.slice(eq + 1).trim(),
+        domain,
+        path: '/',
+        httpOnly: false,
+        secure: true,
+        expires: undefined,
+        sameSite: undefined,
+      };
+    });
+}
+
+/**
+ * Detect the format of exported cookie text and convert it to
+ * Playwright cookies.  Throws an Error with a user-facing message when
+ * the text matches no supported format or holds no cookies.
+ *
+ * @param {string} text Cookie export
+ * @param {Object} [opts]
+ * @param {string} [opts.defaultDomain] Domain for Cookie-header cookies,
+ *   e.g. `.linkedin.com`
+ * @returns {{format:string, cookies:Object[]}}
+ */
+function parseCookies(text, { defaultDomain } = {}) {
+  const trimmed = String(text || '').trim();
+  let result;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error('Invalid cookie JSON: ' + err.message);
+    }
+    if (Array.isArray(data)) {
+      const chrome = data.some((c) => c && ('expirationDate' in c || 'hostOnly' in c || 'storeId' in c));
+      const playwright = data.some((c) => c && 'expires' in c);
+      result = { format: !chrome && playwright ? 'playwright-json' : 'chrome-json', cookies: convertCookies(data) };
+    } else if (data && Array.isArray(data.cookies)) {
+      result = { format: 'storage-state', cookies: convertCookies(data.cookies) };
+    } else {
+      throw new Error('Cookie JSON should be an array of cookies or a Playwright storageState object.');
+    }
+  } else if (trimmed.split(/\r?\n/).some((line) => line.split('\t').length >= 7)) {
+    result = { format: 'netscape', cookies: parseNetscape(trimmed) };
+  } else if (/^(cookie:\s*)?[^=;\s]+=/i.test(trimmed) && !trimmed.includes('\n')) {
+    result = { format: 'cookie-header', cookies: parseCookieHeader(trimmed, defaultDomain) };
+  } else {
+    throw new Error('Unrecognised cookie format. Paste a JSON export, a cookies.txt file or a Cookie header.');
+  }
+  if (result.cookies.some((c) => !c || !c.name || !c.domain)) {
+    throw new Error('Every cookie needs a name and a domain.');
+  }
+  if (!result.cookies.length) throw new Error('No cookies found.');
+  return result;
+}
+
+// Cookies a Sales Navigator session needs.  Without `li_at` there is
+// no LinkedIn session at all; `JSESSIONID` and `li_a` (the Sales
+// Navigator seat) are needed for most Sales Nav pages.
+const REQUIRED_LINKEDIN_COOKIES = ['li_at', 'JSESSIONID', 'li_a'];
+
+// Domains addLinkedInCookies() loads (see utils/linkedin_login)
+const LINKEDIN_DOMAIN = /\.linkedin\.com$/i;
+
+// Domain given to LinkedIn cookies pasted as a Cookie header
+const LINKEDIN_COOKIE_DOMAIN = '.linkedin.com';
+
+// Whether a cookie name matches a required name; a trailing `*`
+// matches any suffix (e.g. ContactOut's `remember_web_<hash>`).
+function nameMatches(name, pattern) {
+  return pattern.endsWith('*') ? String(name).startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+/**
+ * Check converted cookies (from loadAndConvert() or convertCookies())
+ * for the cookies a site needs.  The report lists required cookies
+ * that are missing, set for another domain or already expired, and
+ * when the earliest required cookie expires.  `usable` is false when
+ * the essential cookie (the first required one unless given) is
+ * missing, on the wrong domain or expired.
+ *
+ * @param {Object[]} cookies Playwright cookies
+ * @param {Object} rules
+ * @param {string[]} rules.required Required cookie names
+ * @param {RegExp} rules.domain Domains the cookies must be set for
+ * @param {string} [rules.essential] Cookie without which nothing works
+ * @param {Date} [now] Reference time
+ * @returns {{usable:boolean, missing:string[], wrongDomain:string[], expired:string[],
+ *   earliestExpiry:(string|null), daysUntilExpiry:(number|null)}}
+ */
+function cookieReport(cookies, { required, domain, essential = required[0] }, now = new Date()) {
+  const report = { usable: true, missing: [], wrongDomain: [], expired: [], earliestExpiry: null, daysUntilExpiry: null };
+  let earliest = null;
+  for (const name of required) {
+    const matches = cookies.filter((c) => nameMatches(c.name, name));
+    const cookie = matches.find((c) => domain.test(c.domain || ''));
+    if (!matches.length) {
+      report.missing.push(name);
+      continue;
+    }
+    if (!cookie) {
+      report.wrongDomain.push(name);
+      continue;
+    }
+    // Session cookies (no expiry) last as long as the browser profile
+    if (cookie.expires === undefined) continue;
+    const expiresMs = cookie.expires * 1000;
+    if (expiresMs <= now.getTime()) {
+      report.expired.push(name);
+    } else if (earliest === null || expiresMs < earliest) {
+      earliest = expiresMs;
+    }
+  }
+  if (earliest !== null) {
+    report.earliestExpiry = new Date(earliest).toISOString();
+    report.daysUntilExpiry = Math.floor((earliest - now.getTime()) / (24 * 60 * 60 * 1000));
+  }
+  report.usable = !['missing', 'wrongDomain', 'expired'].some((k) => report[k].includes(essential));
+  return report;
+}
+
+/**
+ * cookieReport() for a LinkedIn cookie: `li_at`, `JSESSIONID` and
+ * `li_a` on a linkedin.com domain, with `li_at` essential.
+ *
+ * @param {Object[]} cookies Playwright cookies
+ * @param {Date} [now] Reference time
+ */
+function linkedInCookieReport(cookies, now = new Date()) {
+  return cookieReport(cookies, { required: REQUIRED_LINKEDIN_COOKIES, domain: LINKEDIN_DOMAIN }, now);
+}
+
+/**
+ * One-line summary of a cookie report for the UI.
+ *
+ * @param {Object} report From cookieReport()
+ * @param {string} [label='LinkedIn'] Site the cookie is for
+ */
+function describeCookieReport(report, label = 'LinkedIn') {
+  const problems = [];
+  if (report.missing.length) problems.push(`missing ${report.missing.join(', ')}`);
+  if (report.wrongDomain.length) problems.push(`wrong domain for ${report.wrongDomain.join(', ')}`);
+  if (report.expired.length) problems.push(`expired ${report.expired.join(', ')}`);
+  const expiry = report.daysUntilExpiry !== null
+    ? `expires in ${report.daysUntilExpiry} day(s) (${report.earliestExpiry.slice(0, 10)})`
+    : '';
+  if (!problems.length) return `${label} cookie looks good${expiry ? `; ${expiry}` : ''}.`;
+  const text = `${label} cookie problems: ${problems.join('; ')}.`;
+  return report.usable ? `${text}${expiry ? ` Otherwise ${expiry}.` : ''}` : `${text} Please paste a fresh cookie.`;
+}
+
+module.exports = {
+  loadAndConvert,
+  convertCookies,
+  parseCookies,
+  cookieReport,
+  linkedInCookieReport,
+  describeCookieReport,
+  REQUIRED_LINKEDIN_COOKIES,
+  LINKEDIN_COOKIE_DOMAIN,
+};
\ No newline at end of file
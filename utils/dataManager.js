@@ -9,6 +9,7 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const { isTempFile } = require('./safeWrite');
 
 // Resolve the data directory relative to this utils folder.  The
 // directory will be created on demand if it does not exist.
@@ -26,12 +27,18 @@ async function ensureDataDir() {
 /**
  * List all files currently stored in the data directory.  Returns
  * an array of file names (not full paths).  Only files are
- * returned; subdirectories (if any) are ignored.
+ * returned; subdirectories (if any) and the temp files of writes in
+ * progress (see utils/safeWrite) are ignored.
+ *
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeTemp=false] Also list temp files
  */
-async function listFiles() {
+async function listFiles({ includeTemp = false } = {}) {
   await ensureDataDir();
   const entries = await fs.readdir(dataDir, { withFileTypes: true });
-  return entries.filter((ent) => ent.isFile()).map((ent) => ent.name);
+  return entries
+    .filter((ent) => ent.isFile() && (includeTemp || !isTempFile(ent.name)))
+    .map((ent) => ent.name);
 }
 
 /**
@@ -65,14 +72,15 @@ async function deleteFile(fileName) {
  * Remove any files older than the specified number of days from the
  * data directory.  Useful for housekeeping so that stale CSVs do
  * not accumulate indefinitely.  Files are considered old if their
- * last modification time is older than `days` days ago.
+ * last modification time is older than `days` days ago.  Temp files
+ * left behind by a crash mid-write are removed the same way.
  *
  * @param {number} [days=3] The age threshold in days
  */
 async function cleanupOldFiles(days = 3) {
   const now = Date.now();
   const cutoff = now - days * 24 * 60 * 60 * 1000;
-  const files = await listFiles();
+  const files = await listFiles({ includeTemp: true });
   for (const file of files) {
     try {
       const fullPath = getFilePath(file);
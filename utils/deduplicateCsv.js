@@ -7,11 +7,30 @@
 // Missing or empty keys are treated as unique entries and kept.
 
 const fs = require('fs/promises');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
 // Note: csv-parse and csv-stringify may not always be installed in
 // environments where this helper is used.  We require them lazily
 // inside the function and fallback gracefully if the modules are
 // missing.
 
+// Column names that hold the LinkedIn URL, in order of preference.
+const LINKEDIN_KEY_ALIASES = ['LinkedIn URL', 'LinkedIn', 'person_title'];
+
+/**
+ * Find the key column in a CSV header: the first alias present,
+ * compared case-insensitively.  Returns null when none is present.
+ *
+ * @param {Array<string>} header Column names
+ * @param {Array<string>} [keyAliases] Possible column names for the key
+ */
+function findKeyColumn(header, keyAliases = LINKEDIN_KEY_ALIASES) {
+  for (const alias of keyAliases) {
+    const found = header.find((h) => h.toLowerCase() === alias.toLowerCase());
+    if (found) return found;
+  }
+  return null;
+}
+
 /**
  * Deduplicate a CSV file by a unique key column.  The function
  * reads the CSV, builds a set of seen keys and writes back the
@@ -21,7 +40,13 @@ const fs = require('fs/promises');
  * @param {string} filePath Absolute path to the CSV file
  * @param {Array<string>} [keyAliases] Possible column names for the unique key
  */
-async function deduplicateCsv(filePath, keyAliases = ['LinkedIn URL', 'LinkedIn', 'person_title']) {
+async function deduplicateCsv(filePath, keyAliases = LINKEDIN_KEY_ALIASES) {
+  // Read and rewrite under the file's lock (see utils/safeWrite)
+  return withFileLock(filePath, () => dedupeLocked(filePath, keyAliases));
+}
+
+// Body of deduplicateCsv(), run under the file lock.
+async function dedupeLocked(filePath, keyAliases) {
   try {
     const raw = await fs.readFile(filePath, 'utf8');
     // Lazily require the CSV parsers.  If the modules are missing,
@@ -48,14 +73,7 @@ async function deduplicateCsv(filePath, keyAliases = ['LinkedIn URL', 'LinkedIn'
     // alias that exists in the header row.  If none are present,
     // deduplication cannot proceed.
     const header = Object.keys(rows[0]);
-    let keyCol = null;
-    for (const alias of keyAliases) {
-      const found = header.find((h) => h.toLowerCase() === alias.toLowerCase());
-      if (found) {
-        keyCol = found;
-        break;
-      }
-    }
+    const keyCol = findKeyColumn(header, keyAliases);
     if (!keyCol) {
       // No matching key column; cannot deduplicate
       return;
@@ -77,11 +95,11 @@ async function deduplicateCsv(filePath, keyAliases = ['LinkedIn URL', 'LinkedIn'
     }
     // Write back the deduplicated CSV preserving original header order
     const csv = stringify(deduped, { header: true, columns: header, bom: true });
-    await fs.writeFile(filePath, csv);
+    await writeFileAtomic(filePath, csv);
   } catch (err) {
     // Ignore file not found or parse errors
     // console.warn('deduplicateCsv error:', err.message || err);
   }
 }
 
-module.exports = { deduplicateCsv };
\ No newline at end of file
+module.exports = { deduplicateCsv, findKeyColumn, LINKEDIN_KEY_ALIASES };
\ No newline at end of file
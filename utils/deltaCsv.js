@@ -0,0 +1,91 @@
+// utils/deltaCsv.js
+//
+// "New since last run" output for scheduled searches.  Each schedule
+// keeps a baseline of every LinkedIn URL its runs have produced so
+// far, stored as JSON under `data/baselines/`.  After a run completes,
+// the rows of its CSV whose LinkedIn URL is not in the baseline are
+// written to a separate `<name>_new.csv` next to the full CSV, and the
+// baseline is extended with the run's URLs.  The baseline lives in a
+// subdirectory so the three-day cleanup of `data/` leaves it alone.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { findKeyColumn } = require('./deduplicateCsv');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
+
+const baselinesDir = path.join(__dirname, '..', 'data', 'baselines');
+
+// Path of the baseline file of a schedule
+function baselinePath(scheduleId) {
+  return path.join(baselinesDir, `${scheduleId}.json`);
+}
+
+/**
+ * Write the rows of a run's CSV that are new since the schedule's
+ * previous runs and update the schedule's baseline.  Rows without a
+ * LinkedIn URL cannot be compared and are left out.
+ *
+ * @param {Object} opts
+ * @param {string} opts.scheduleId Id of the job that owns the schedule
+ * @param {string} opts.filePath Full CSV of the run
+ * @param {string} opts.outPath Where to write the new-rows CSV
+ * @returns {Promise<{newRows:number,totalRows:number,outPath:string}>}
+ */
+async function writeNewSinceLastRun({ scheduleId, filePath, outPath }) {
+  // The baseline is read, extended and rewritten under its lock
+  return withFileLock(baselinePath(scheduleId), () =>
+    writeDeltaLocked({ scheduleId, filePath, outPath }));
+}
+
+// Body of writeNewSinceLastRun(), run under the baseline's lock.
+async function writeDeltaLocked({ scheduleId, filePath, outPath }) {
+  const { parse } = require('csv-parse/sync');
+  const { stringify } = require('csv-stringify/sync');
+  const raw = await withFileLock(filePath, () => fs.readFile(filePath, 'utf8'));
+  const rows = parse(raw, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+  });
+  const header = rows.length ? Object.keys(rows[0]) : [];
+  const keyCol = findKeyColumn(header);
+  if (!keyCol) {
+    throw new Error('CSV has no LinkedIn URL column to compare runs by.');
+  }
+
+  let baseline = [];
+  try {
+    baseline = JSON.parse(await fs.readFile(baselinePath(scheduleId), 'utf8'));
+  } catch {
+    // First run of the schedule: everything is new
+  }
+  const seen = new Set(baseline);
+  const fresh = [];
+  for (const row of rows) {
+    const key = (row[keyCol] || '').toString().trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    fresh.push(row);
+  }
+
+  await writeFileAtomic(outPath, stringify(fresh, { header: true, columns: header, bom: true }));
+  await fs.mkdir(baselinesDir, { recursive: true });
+  await writeFileAtomic(baselinePath(scheduleId), JSON.stringify([...seen]));
+  return { newRows: fresh.length, totalRows: rows.length, outPath };
+}
+
+/**
+ * Delete a schedule's baseline, e.g. when its schedule is removed.
+ *
+ * @param {string} scheduleId Id of the job that owned the schedule
+ */
+async function deleteBaseline(scheduleId) {
+  await fs.unlink(baselinePath(scheduleId)).catch(() => {});
+}
+
+module.exports = {
+  writeNewSinceLastRun,
+  deleteBaseline,
+};
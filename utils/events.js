@@ -0,0 +1,101 @@
+// utils/events.js
+//
+// In-process event bus for live job progress.  The runner and the
+// scraping helpers publish structured events here and the
+// `/api/events` Server-Sent Events endpoint forwards them to the
+// browser.  Every event carries an `id`, the `jobId` it belongs to, a
+// `type` such as `page:started` or `job:state` and a timestamp.  Ids
+// are `<boot>-<n>`: a token picked when the server starts and a
+// sequence number, so an id a client kept from before a restart is not
+// mistaken for one of this boot's.  The most recent events are kept in
+// a small buffer so a client that reconnects can catch up on what it
+// missed.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+// One listener per connected browser tab
+bus.setMaxListeners(0);
+
+// Number of recent events replayed to reconnecting clients
+const BUFFER_SIZE = 200;
+const recent = [];
+// Token of this server process and the last sequence number used
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let lastSeq = 0;
+
+// Sequence number of an id from this boot, or null
+function seqOf(id) {
+  const prefix = `${BOOT_ID}-`;
+  const text = String(id || '');
+  return text.startsWith(prefix) ? Number(text.slice(prefix.length)) : null;
+}
+
+/**
+ * Publish an event for a job.
+ *
+ * @param {string|null} jobId The job the event belongs to
+ * @param {string} type Event type, e.g. `page:started`
+ * @param {Object} [data] Extra event fields
+ * @returns {Object} The published event
+ */
+function emitJobEvent(jobId, type, data = {}) {
+  const event = {
+    ...data,
+    id: `${BOOT_ID}-${++lastSeq}`,
+    jobId: jobId || null,
+    type,
+    at: new Date().toISOString(),
+  };
+  recent.push(event);
+  if (recent.length > BUFFER_SIZE) recent.shift();
+  bus.emit('event', event);
+  return event;
+}
+
+/**
+ * Build an `onEvent(type, data)` callback bound to one job, for
+ * helpers such as runSignalHire() that do not know which job they
+ * work for.  `extra` is merged into every event (e.g. the page number).
+ *
+ * @param {string} jobId The job id
+ * @param {Function|Object} [extra] Fields added to every event, or a function returning them
+ */
+function jobEventEmitter(jobId, extra = {}) {
+  return (type, data = {}) => {
+    const base = typeof extra === 'function' ? extra() : extra;
+    emitJobEvent(jobId, type, { ...base, ...data });
+  };
+}
+
+/**
+ * Subscribe to all events.  Returns a function that unsubscribes.
+ *
+ * @param {Function} listener Called with each event
+ */
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+/**
+ * Buffered events newer than the given id, oldest first.  An id from
+ * an earlier boot gets every buffered event, since all of them were
+ * published after it.
+ *
+ * @param {string} lastEventId Last event id the client has seen
+ */
+function eventsSince(lastEventId) {
+  if (!lastEventId) return [];
+  const after = seqOf(lastEventId);
+  if (after === null || !Number.isFinite(after)) return recent.slice();
+  return recent.filter((e) => seqOf(e.id) > after);
+}
+
+module.exports = {
+  emitJobEvent,
+  jobEventEmitter,
+  subscribe,
+  eventsSince,
+};
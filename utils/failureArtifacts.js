@@ -0,0 +1,244 @@
+// utils/failureArtifacts.js
+//
+// Evidence of stage failures.  When a stage of a job fails (pagination
+// returns `failed`, SignalHire or ContactOut throws, a page errors)
+// runScrape() calls captureFailure(), which stores what the browser
+// showed at that moment in a folder of its own:
+//
+//   artifacts/<jobId>/<stamp>-p<page>-<stage>/
+//     failure.json               stage, page, error, URL, time, files
+//     screenshot.png             full-page screenshot
+//     page.html                  HTML of the page
+//     signalhire-frame-<n>.html  HTML of the SignalHire / ContactOut /
+//     contactout-frame-<n>.html  other extension frames
+//     trace.zip                  Playwright trace of the page so far
+//
+// Traces are off by default because tracing slows the browser down;
+// set SCRAPER_ARTIFACT_TRACES=1 to record them.  The trace then covers
+// the page being scraped (see restartTraceChunk()) and opens with
+// `npx playwright show-trace trace.zip`.  At most
+// SCRAPER_ARTIFACTS_MAX_PER_JOB failures (default 50) are kept per job.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const artifactsDir = path.join(__dirname, '..', 'artifacts');
+
+const TRACES_ENABLED = process.env.SCRAPER_ARTIFACT_TRACES === '1';
+const MAX_PER_JOB = Math.max(0, Number(process.env.SCRAPER_ARTIFACTS_MAX_PER_JOB ?? '50') || 0);
+
+// Contexts that are recording a trace
+const tracedContexts = new WeakSet();
+
+// Folder of one job's artifacts; the id is reduced to a file name so
+// it cannot point outside artifacts/.
+function jobArtifactsDir(jobId) {
+  return path.join(artifactsDir, path.basename(String(jobId)));
+}
+
+/**
+ * Start recording a trace in a browser context when traces are
+ * enabled.  Errors are logged, never thrown.
+ *
+ * @param {Object} context Playwright browser context
+ */
+async function startTracing(context) {
+  if (!TRACES_ENABLED || !context || tracedContexts.has(context)) return;
+  try {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+    await context.tracing.startChunk();
+    tracedContexts.add(context);
+  } catch (err) {
+    console.error('[Artifacts] could not start tracing:', err?.message || err);
+  }
+}
+
+/**
+ * Drop the trace recorded so far and start a new chunk, so that a
+ * saved trace covers only the page being scraped.
+ *
+ * @param {Object} context Playwright browser context
+ */
+async function restartTraceChunk(context) {
+  if (!context || !tracedContexts.has(context)) return;
+  try {
+    await context.tracing.stopChunk();
+    await context.tracing.startChunk();
+  } catch (err) {
+    console.error('[Artifacts] could not restart the trace:', err?.message || err);
+  }
+}
+
+/**
+ * Stop recording, e.g. before a pooled context is handed back.
+ *
+ * @param {Object} context Playwright browser context
+ */
+async function stopTracing(context) {
+  if (!context || !tracedContexts.has(context)) return;
+  tracedContexts.delete(context);
+  await context.tracing.stop().catch(() => { });
+}
+
+// Which provider an extension frame belongs to, or null for other frames
+function frameLabel(frame) {
+  const url = frame.url();
+  if (/signalhire/i.test(url)) return 'signalhire';
+  if (/contactout/i.test(url)) return 'contactout';
+  if (url.startsWith('chrome-extension://')) return 'extension';
+  return null;
+}
+
+// Run one capture step; a failing step is noted in the metadata
+async function step(meta, name, fn) {
+  try {
+    const file = await fn();
+    if (file) meta.files.push(file);
+  } catch (err) {
+    meta.captureErrors.push(`${name}: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Save a screenshot, the page and frame HTML and (when tracing) the
+ * trace of a failed stage.  Never throws; returns null when nothing
+ * was saved.
+ *
+ * @param {string} jobId Job the failure belongs to
+ * @param {Object} page Playwright page the stage ran on
+ * @param {Object} info
+ * @param {string} info.stage Failed stage, e.g. `signalhire` or `pagination`
+ * @param {number} [info.pageNo] Results page number
+ * @param {Error|string} [info.error] What went wrong
+ * @returns {Promise<Object|null>} The failure's metadata (see listArtifacts())
+ */
+async function captureFailure(jobId, page, { stage, pageNo, error } = {}) {
+  if (!page || MAX_PER_JOB === 0) return null;
+  try {
+    const jobDir = jobArtifactsDir(jobId);
+    const existing = await fs.readdir(jobDir).catch(() => []);
+    if (existing.length >= MAX_PER_JOB) return null;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const id = `${stamp}-p${pageNo ?? 0}-${String(stage).replace(/[^\w-]+/g, '_')}`;
+    const dir = path.join(jobDir, id);
+    await fs.mkdir(dir, { recursive: true });
+    const meta = {
+      id,
+      jobId,
+      stage,
+      page: pageNo ?? null,
+      error: error ? (error.message || String(error)) : null,
+      url: null,
+      at: new Date().toISOString(),
+      files: [],
+      captureErrors: [],
+    };
+    await step(meta, 'url', async () => { meta.url = page.url(); });
+    await step(meta, 'screenshot', async () => {
+      await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true, timeout: 15000 });
+      return 'screenshot.png';
+    });
+    await step(meta, 'html', async () => {
+      await fs.writeFile(path.join(dir, 'page.html'), await page.content());
+      return 'page.html';
+    });
+    const counts = {};
+    for (const frame of page.frames()) {
+      const label = frame === page.mainFrame() ? null : frameLabel(frame);
+      if (!label) continue;
+      counts[label] = (counts[label] || 0) + 1;
+      const name = `${label}-frame-${counts[label]}.html`;
+      await step(meta, name, async () => {
+        await fs.writeFile(path.join(dir, name), `<!-- ${frame.url()} -->\n${await frame.content()}`);
+        return name;
+      });
+    }
+    const context = page.context();
+    if (tracedContexts.has(context)) {
+      await step(meta, 'trace', async () => {
+        await context.tracing.stopChunk({ path: path.join(dir, 'trace.zip') });
+        await context.tracing.startChunk();
+        return 'trace.zip';
+      });
+    }
+    await fs.writeFile(path.join(dir, 'failure.json'), JSON.stringify(meta, null, 2));
+    console.log(`[Artifacts] saved ${meta.files.length} file(s) for ${stage} failure of job ${jobId} to ${dir}`);
+    return meta;
+  } catch (err) {
+    console.error('[Artifacts] capture failed:', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * The saved failures of a job, newest first.
+ *
+ * @param {string} jobId Job id
+ * @returns {Promise<Object[]>} `{ id, stage, page, error, url, at, files }` per failure
+ */
+async function listArtifacts(jobId) {
+  const jobDir = jobArtifactsDir(jobId);
+  const names = await fs.readdir(jobDir).catch(() => []);
+  const failures = [];
+  for (const name of names) {
+    try {
+      failures.push(JSON.parse(await fs.readFile(path.join(jobDir, name, 'failure.json'), 'utf8')));
+    } catch {
+      // Capture still in progress or folder damaged
+    }
+  }
+  return failures.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
+
+/**
+ * Absolute path of one artifact file, or null when it does not exist.
+ * Both names are reduced to file names first.
+ *
+ * @param {string} jobId Job id
+ * @param {string} failureId Failure folder (`id` from listArtifacts())
+ * @param {string} fileName File inside it
+ * @returns {Promise<string|null>}
+ */
+async function artifactPath(jobId, failureId, fileName) {
+  const filePath = path.join(jobArtifactsDir(jobId), path.basename(failureId), path.basename(fileName));
+  try {
+    return (await fs.stat(filePath)).isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete every artifact of a job.
+ *
+ * @param {string} jobId Job id
+ */
+async function deleteJobArtifacts(jobId) {
+  await fs.rm(jobArtifactsDir(jobId), { recursive: true, force: true });
+}
+
+/**
+ * Delete the artifacts of jobs that no longer exist.
+ *
+ * @param {string[]} jobIds Ids of the existing jobs
+ */
+async function pruneArtifacts(jobIds) {
+  const keep = new Set(jobIds);
+  const names = await fs.readdir(artifactsDir).catch(() => []);
+  for (const name of names) {
+    if (!keep.has(name)) await deleteJobArtifacts(name).catch(() => { });
+  }
+}
+
+module.exports = {
+  artifactsDir,
+  startTracing,
+  restartTraceChunk,
+  stopTracing,
+  captureFailure,
+  listArtifacts,
+  artifactPath,
+  deleteJobArtifacts,
+  pruneArtifacts,
+};
@@ -3,10 +3,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseCookies, LINKEDIN_COOKIE_DOMAIN } = require('./cookieUtil');
+const { serializeCookies } = require('./cookieCrypto');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
 
 // Directory where the LinkedIn cookie will be persisted.  This folder
-// lives alongside the rest of the application code so that it can be
-// checked into version control if desired.  The folder is created on
+// lives alongside the rest of the application code but holds login
+// sessions, so it is git-ignored and should never be committed.  Set
+// SCRAPER_COOKIE_KEY or SCRAPER_COOKIE_PASSPHRASE to store the cookie
+// files encrypted (see utils/cookieCrypto).  The folder is created on
 // demand; it does not exist until the first cookie is saved.
 const cookiesDir = path.join(__dirname, '..', 'cookies');
 const cookieFileName = 'linkedin_cookies.json';
@@ -23,34 +28,46 @@ function ensureDir() {
 }
 
 /**
- * Persist a LinkedIn cookie to disk.  The input must be a string
- * containing a JSON array of cookie objects.  If the input cannot
- * be parsed or is not an array, an error is thrown.  Any existing
- * cookie file will be replaced with the new contents; only one
- * LinkedIn cookie file is retained at any time.
+ * Parse raw cookie text in any format cookieUtil.parseCookies()
+ * recognises (JSON export, Playwright storageState, cookies.txt or a
+ * Cookie header) into Playwright cookies.  Cookies pasted as a Cookie
+ * header get `defaultDomain`, the LinkedIn domain unless given.  An
+ * error is thrown when the text cannot be parsed.  Also used for the
+ * cookies of named accounts and providers.
  *
- * @param {string} cookieText Raw JSON string representing an array of cookies
- * @returns {string} Absolute path to the saved cookie file
+ * @param {string} cookieText Raw cookie text
+ * @param {Object} [opts]
+ * @param {string} [opts.defaultDomain] Domain for Cookie-header cookies
+ * @returns {{format:string, cookies:Object[]}} Detected format and cookies
  */
-function saveCookieFile(cookieText) {
+function parseCookieText(cookieText, { defaultDomain = LINKEDIN_COOKIE_DOMAIN } = {}) {
+  return parseCookies(cookieText, { defaultDomain });
+}
+
+/**
+ * Persist a LinkedIn cookie to disk.  The input is parsed with
+ * parseCookieText() and saved as a JSON array of Playwright cookies,
+ * encrypted when cookie encryption is on; if it cannot be parsed, an
+ * error is thrown.  Any existing cookie
+ * file will be replaced with the new contents; only one LinkedIn
+ * cookie file is retained at any time.  The file is written under its
+ * lock, like the cookie write-back of a job (see utils/cookieRefresh).
+ *
+ * @param {string} cookieText Raw cookie text
+ * @returns {Promise<string>} Absolute path to the saved cookie file
+ */
+async function saveCookieFile(cookieText) {
   ensureDir();
-  let parsed;
-  try {
-    parsed = JSON.parse(cookieText);
-    if (!Array.isArray(parsed)) {
-      throw new Error('Cookie data should be a JSON array');
-    }
-  } catch (err) {
-    throw new Error('Invalid cookie JSON: ' + err.message);
-  }
+  const { cookies } = parseCookieText(cookieText);
   const filePath = path.join(cookiesDir, cookieFileName);
-  fs.writeFileSync(filePath, JSON.stringify(parsed, null, 2));
+  await withFileLock(filePath, () => writeFileAtomic(filePath, serializeCookies(cookies)));
   return filePath;
 }
 
 /**
  * Retrieve the absolute path to the persisted LinkedIn cookie file.
- * If no cookie has been saved yet, null is returned.
+ * If no cookie has been saved yet, null is returned.  The file may be
+ * encrypted; read it with cookieUtil.loadAndConvert().
  *
  * @returns {string|null}
  */
@@ -72,4 +89,11 @@ function deleteCookieFile() {
   }
 }
 
-module.exports = { saveCookieFile, getCookieFilePath, deleteCookieFile };
\ No newline at end of file
+module.exports = {
+  saveCookieFile,
+  getCookieFilePath,
+  deleteCookieFile,
+  parseCookieText,
+  cookiesDir,
+  cookieFileName,
+};
\ No newline at end of file
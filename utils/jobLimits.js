@@ -0,0 +1,74 @@
+// utils/jobLimits.js
+//
+// Optional limits for a scrape job, set when the job is created via
+// POST /api/scrape and stored on the job as `job.limits`:
+//
+//   startPage         – first results page to scrape (default 1)
+//   maxPages          – stop after this many pages, counted from startPage
+//   maxRows           – stop once the job has saved this many rows
+//   stopAfterMinutes  – stop after this much scraping time (summed over
+//                       every run of the job, so pauses do not count)
+//
+// Limits are checked by runScrape() after each page, so a page that
+// crosses maxRows is still saved in full.
+
+const LIMIT_FIELDS = ['startPage', 'maxPages', 'maxRows', 'stopAfterMinutes'];
+
+/**
+ * Validate the optional limit fields of a request body.  Values may be
+ * numbers or numeric strings (as sent by the form); empty values are
+ * ignored.  Throws an Error with a user-facing message when a value is
+ * invalid.
+ *
+ * @param {Object} body Request body
+ * @returns {Object} The limits that were set, e.g. `{ maxPages: 5 }`
+ */
+function parseJobLimits(body = {}) {
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = Number(raw);
+    if (field === 'stopAfterMinutes') {
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error('stopAfterMinutes must be a positive number.');
+      }
+    } else if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${field} must be a whole number of at least 1.`);
+    }
+    limits[field] = value;
+  }
+  return limits;
+}
+
+/**
+ * Check whether a job has reached one of its limits.  `elapsedMs` is
+ * the scraping time so far, including earlier runs.
+ *
+ * @param {Object} job The job object
+ * @param {number} elapsedMs Scraping time in milliseconds
+ * @returns {{reason: string, message: string}|null} Why the job should
+ *   stop, or null to keep going
+ */
+function limitReached(job, elapsedMs) {
+  const limits = job.limits || {};
+  if (limits.maxPages) {
+    const pagesDone = job.pageIndex - (limits.startPage || 1) + 1;
+    if (pagesDone >= limits.maxPages) {
+      return { reason: 'max_pages', message: `Stopped after the page limit of ${limits.maxPages} page(s).` };
+    }
+  }
+  if (limits.maxRows && job.totalRows >= limits.maxRows) {
+    return { reason: 'max_rows', message: `Stopped after reaching the row limit (${job.totalRows} of ${limits.maxRows} rows).` };
+  }
+  if (limits.stopAfterMinutes && elapsedMs >= limits.stopAfterMinutes * 60_000) {
+    return { reason: 'time_limit', message: `Stopped after the time limit of ${limits.stopAfterMinutes} minute(s).` };
+  }
+  return null;
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  parseJobLimits,
+  limitReached,
+};
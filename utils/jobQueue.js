@@ -0,0 +1,147 @@
+// utils/jobQueue.js
+//
+// FIFO queue of scraper jobs waiting for the runner.  The queue holds
+// job ids in the order they will be started.  Each queued job also
+// stores its position as `queuePosition` on the job file, so the
+// order survives a server restart and can be rebuilt by
+// `restoreQueue()` once the jobs have been loaded from disk.
+
+const { getJobs, updateJob } = require('./jobsManager');
+
+// Ordered list of job ids.  Index 0 is the next job to run.
+const queue = [];
+
+/**
+ * Rebuild the queue from the jobs cache.  Jobs whose state is
+ * `queued` are ordered by their persisted `queuePosition`, falling
+ * back to their creation timestamp.  Call after `loadJobs()`.
+ *
+ * @returns {string[]} The restored queue order
+ */
+function restoreQueue() {
+  const queued = Object.values(getJobs()).filter((j) => j && j.state === 'queued');
+  queued.sort((a, b) => {
+    const pa = Number.isFinite(a.queuePosition) ? a.queuePosition : Infinity;
+    const pb = Number.isFinite(b.queuePosition) ? b.queuePosition : Infinity;
+    if (pa !== pb) return pa - pb;
+    return String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+  });
+  queue.length = 0;
+  for (const job of queued) queue.push(job.id);
+  return listQueue();
+}
+
+/**
+ * Return a copy of the queued job ids in run order.
+ */
+function listQueue() {
+  return queue.slice();
+}
+
+/**
+ * Whether a job is currently waiting in the queue.
+ *
+ * @param {string} jobId The job id
+ */
+function isQueued(jobId) {
+  return queue.includes(jobId);
+}
+
+/**
+ * Add a job to the queue.  Jobs already in the queue keep their
+ * position.  Returns the zero-based position of the job.
+ *
+ * @param {string} jobId The job id to enqueue
+ * @param {Object} [opts]
+ * @param {boolean} [opts.front=false] Put the job at the head of the queue
+ */
+async function enqueue(jobId, { front = false } = {}) {
+  if (!jobId) throw new Error('jobId is required');
+  if (!queue.includes(jobId)) {
+    if (front) queue.unshift(jobId);
+    else queue.push(jobId);
+    await persistPositions();
+  }
+  return queue.indexOf(jobId);
+}
+
+/**
+ * Remove and return the next job id, or null when the queue is
+ * empty.  The remaining positions are persisted in the background.
+ */
+function dequeue() {
+  const jobId = queue.shift() || null;
+  if (jobId) persistPositions().catch(() => {});
+  return jobId;
+}
+
+/**
+ * Remove a job from the queue.  Returns true when the job was queued.
+ *
+ * @param {string} jobId The job id to remove
+ */
+async function removeFromQueue(jobId) {
+  const idx = queue.indexOf(jobId);
+  if (idx === -1) return false;
+  queue.splice(idx, 1);
+  if (getJobs()[jobId]) await updateJob(jobId, { queuePosition: undefined }).catch(() => {});
+  await persistPositions();
+  return true;
+}
+
+/**
+ * Move a queued job to a new zero-based position.  Positions past
+ * the end of the queue are clamped.
+ *
+ * @param {string} jobId The job id to move
+ * @param {number} position Target position
+ */
+async function moveInQueue(jobId, position) {
+  const idx = queue.indexOf(jobId);
+  if (idx === -1) throw new Error('Job is not queued.');
+  const target = Math.max(0, Math.min(queue.length - 1, Math.floor(position)));
+  queue.splice(idx, 1);
+  queue.splice(target, 0, jobId);
+  await persistPositions();
+  return listQueue();
+}
+
+/**
+ * Replace the queue order.  The new order must contain exactly the
+ * ids that are currently queued.
+ *
+ * @param {string[]} order Job ids in the desired run order
+ */
+async function reorderQueue(order) {
+  if (!Array.isArray(order)) throw new Error('Order must be an array of job ids.');
+  const current = new Set(queue);
+  const next = new Set(order);
+  if (next.size !== order.length || next.size !== current.size || order.some((id) => !current.has(id))) {
+    throw new Error('Order must list every queued job exactly once.');
+  }
+  queue.splice(0, queue.length, ...order);
+  await persistPositions();
+  return listQueue();
+}
+
+// Write each queued job's position to its job file.
+async function persistPositions() {
+  const jobs = getJobs();
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    if (jobs[id] && jobs[id].queuePosition !== i) {
+      await updateJob(id, { queuePosition: i }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  restoreQueue,
+  listQueue,
+  isQueued,
+  enqueue,
+  dequeue,
+  removeFromQueue,
+  moveInQueue,
+  reorderQueue,
+};
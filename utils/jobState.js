@@ -0,0 +1,146 @@
+// utils/jobState.js
+//
+// Job state machine built on top of jobsManager.  It defines the
+// legal job states and the transitions between them, rejects illegal
+// transitions and appends a timestamped entry to the job's `history`
+// array on every change, so each job file records how the job got to
+// its current state.
+
+const { getJob, getStaleRunningJobs, updateJob } = require('./jobsManager');
+const { emitJobEvent } = require('./events');
+
+// All states a job can be in.
+const JOB_STATES = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSING: 'pausing',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted',
+});
+
+// Legal transitions, keyed by the current state.  Anything not listed
+// here is rejected by transitionJob().
+const TRANSITIONS = Object.freeze({
+  queued: ['running', 'paused', 'cancelled'],
+  running: ['pausing', 'paused', 'completed', 'failed', 'cancelled', 'interrupted'],
+  pausing: ['paused', 'completed', 'failed', 'cancelled', 'interrupted'],
+  paused: ['queued', 'cancelled'],
+  interrupted: ['queued', 'paused', 'cancelled'],
+  failed: ['queued', 'cancelled'],
+  cancelled: ['queued'],
+  completed: ['queued'],
+});
+
+/**
+ * Whether a job may move from one state to another.
+ *
+ * @param {string} from Current state
+ * @param {string} to Target state
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return Array.isArray(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Build a history entry.  `from` is null for the entry that records
+ * the state a job was created in.
+ */
+function historyEntry(from, to, reason) {
+  return { from, to, reason: reason || null, at: new Date().toISOString() };
+}
+
+/**
+ * Set the initial state of a newly created job object (before it is
+ * first saved) and start its history.
+ *
+ * @param {Object} job The new job object; modified in place
+ * @param {string} state Initial state
+ * @param {string} reason Why the job was created
+ * @returns {Object} The same job object
+ */
+function initJobState(job, state, reason) {
+  if (!Object.values(JOB_STATES).includes(state)) {
+    throw new Error(`Unknown job state: ${state}`);
+  }
+  job.state = state;
+  job.stateReason = reason || null;
+  job.history = [historyEntry(null, state, reason)];
+  return job;
+}
+
+/**
+ * Move a job to a new state and persist it.  The in-memory job is
+ * updated synchronously, before the job file is written, so callers
+ * can rely on `job.state` right after calling.  Moving to the current
+ * state only applies the extra fields and adds no history entry.
+ *
+ * The job's `stateReason` is set to the reason and its `message` is
+ * replaced (cleared unless a new one is passed), so messages from a
+ * previous state do not linger.  Each change is also published as a
+ * `job:state` event for the live event stream.
+ *
+ * @param {string} jobId The job id
+ * @param {string} to Target state
+ * @param {Object} [opts]
+ * @param {string} [opts.reason] Short machine-readable reason, e.g. `user_request`
+ * @param {string} [opts.message] Human-readable message shown in the UI
+ * @param {Object} [opts.fields] Extra job fields to persist together with the state
+ * @returns {Promise<Object>} The updated job
+ */
+async function transitionJob(jobId, to, { reason, message, fields = {} } = {}) {
+  const job = getJob(jobId);
+  if (!job) throw new Error(`Job not found: ${jobId}`);
+  const from = job.state;
+  if (from === to) {
+    await updateJob(jobId, fields);
+    return job;
+  }
+  if (!canTransition(from, to)) {
+    const err = new Error(`Illegal job state transition: ${from} -> ${to}`);
+    err.code = 'ILLEGAL_TRANSITION';
+    throw err;
+  }
+  const history = Array.isArray(job.history) ? job.history.slice() : [];
+  history.push(historyEntry(from, to, reason));
+  await updateJob(jobId, {
+    ...fields,
+    state: to,
+    stateReason: reason || null,
+    message: message || undefined,
+    history,
+  });
+  emitJobEvent(jobId, 'job:state', { from, to, reason: reason || null, message: message || null });
+  return job;
+}
+
+/**
+ * Mark jobs left running by a previous server process as
+ * `interrupted`.  Their last persisted `pageIndex` and `currentUrl`
+ * are kept so they can resume from the page they reached.  Call once
+ * on startup, after `loadJobs()` and before any job is started.
+ *
+ * @returns {Promise<Object[]>} The interrupted jobs, oldest first
+ */
+async function recoverInterruptedJobs() {
+  const stale = getStaleRunningJobs();
+  for (const job of stale) {
+    await transitionJob(job.id, JOB_STATES.INTERRUPTED, {
+      reason: 'server_restart',
+      message: `Interrupted by a server restart on page ${job.pageIndex || 1}.`,
+    }).catch((e) => console.warn('jobState: failed to recover job', job.id, ':', e.message));
+  }
+  return stale;
+}
+
+module.exports = {
+  JOB_STATES,
+  TRANSITIONS,
+  canTransition,
+  initJobState,
+  transitionJob,
+  recoverInterruptedJobs,
+};
@@ -8,17 +8,23 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const { withFileLock, writeFileAtomic, isTempFile } = require('./safeWrite');
 
 // Directory where job state JSON files are stored.  Located one
 // level up from utils to avoid polluting the codebase.  Files are
 // named `<jobId>.json` and contain the serialized job object.
-const jobsDir = path.join(__dirname, '..', 'all_jobs');
+// SCRAPER_JOBS_DIR points it elsewhere (the tests use a temp folder).
+const jobsDir = process.env.SCRAPER_JOBS_DIR
+  ? path.resolve(process.env.SCRAPER_JOBS_DIR)
+  : path.join(__dirname, '..', 'all_jobs');
 
 // In-memory cache of jobs, keyed by jobId.  This cache is populated
 // on server startup by `loadJobs()` and updated whenever jobs are
 // created or modified.  The cache is not automatically persisted
-// until `setJob()` or `updateJob()` is called.
-let jobsCache = {};
+// until `setJob()` or `updateJob()` is called.  The object itself is
+// never replaced so that modules holding a reference obtained from
+// `getJobs()` keep seeing the live cache.
+const jobsCache = {};
 
 /**
  * Ensure that the jobs directory exists.  If it does not exist,
@@ -33,11 +39,12 @@ async function ensureJobsDir() {
  * Load all job JSON files from the jobs directory into the in-memory
  * cache.  Each file is parsed and its contents stored under the
  * corresponding jobId.  If parsing fails for a file, it will be
- * skipped.  Returns the jobs cache.
+ * skipped; if the directory cannot be read, the promise rejects and
+ * the cache is left as it was.  Returns the jobs cache.
  */
 async function loadJobs() {
   await ensureJobsDir();
-  const files = await fs.readdir(jobsDir).catch(() => []);
+  const files = await fs.readdir(jobsDir);
   const jobs = {};
   for (const file of files) {
     if (!file.endsWith('.json')) continue;
@@ -55,46 +62,63 @@ async function loadJobs() {
       console.warn('jobsManager: failed to load job', file, ':', e.message);
     }
   }
-  jobsCache = jobs;
+  for (const id of Object.keys(jobsCache)) delete jobsCache[id];
+  Object.assign(jobsCache, jobs);
   return jobsCache;
 }
 
 /**
  * Save a single job object to the file system and update the cache.
- * The job's id property is used to determine the file name.
+ * The job's id property is used to determine the file name.  The file
+ * is replaced atomically, and saves of the same job are written one at
+ * a time in call order, so a crash never leaves a truncated job file.
  *
  * @param {Object} job The job object to persist
  */
 async function saveJob(job) {
   if (!job || !job.id) throw new Error('Invalid job object');
-  await ensureJobsDir();
   const filePath = path.join(jobsDir, `${job.id}.json`);
-  const json = JSON.stringify(job, null, 2);
-  await fs.writeFile(filePath, json, 'utf8');
+  // Take the lock before awaiting anything, so that saves queue up in
+  // call order; the job is serialised when its turn comes.
+  await withFileLock(filePath, async () => {
+    await ensureJobsDir();
+    await writeFileAtomic(filePath, JSON.stringify(job, null, 2));
+  });
   jobsCache[job.id] = job;
 }
 
 /**
  * Delete a job file from disk and remove it from the cache.  If the
- * file does not exist, the promise resolves without error.
+ * file does not exist, the promise resolves without error.  The delete
+ * waits for saves of the job queued before it, so none of them can
+ * bring the file back.
  *
  * @param {string} jobId The id of the job to delete
  */
 async function deleteJobFile(jobId) {
   if (!jobId) return;
   const filePath = path.join(jobsDir, `${jobId}.json`);
-  try {
-    await fs.unlink(filePath);
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err;
-  }
+  await withFileLock(filePath, async () => {
+    try {
+      await fs.unlink(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  });
   delete jobsCache[jobId];
 }
 
+// States of jobs that are not done yet; cleanupOldJobs() keeps them
+const UNFINISHED_STATES = new Set(['queued', 'running', 'pausing', 'interrupted']);
+
 /**
  * Delete job files older than the specified number of days from the
  * jobs directory.  This helps to prevent stale job records from
- * accumulating indefinitely.
+ * accumulating indefinitely.  Jobs that own a schedule are kept, and
+ * so are jobs that are still queued, running, pausing or interrupted,
+ * however long ago they were saved.  Temp files left behind by a crash
+ * during a save are removed too.  Run it after loadJobs() and the
+ * recovery of interrupted jobs, so the job states are settled.
  *
  * @param {number} [days=3] Number of days after which jobs should be deleted
  */
@@ -104,14 +128,22 @@ async function cleanupOldJobs(days = 3) {
   await ensureJobsDir();
   const files = await fs.readdir(jobsDir).catch(() => []);
   for (const file of files) {
-    if (!file.endsWith('.json')) continue;
     const filePath = path.join(jobsDir, file);
+    if (isTempFile(file)) {
+      await removeIfOlder(filePath, cutoff);
+      continue;
+    }
+    if (!file.endsWith('.json')) continue;
     try {
       const stat = await fs.stat(filePath);
       if (stat.mtimeMs < cutoff) {
-        await fs.unlink(filePath);
+        // Schedule owners and unfinished jobs are kept however old
+        // they are; the cached copy is newer than the file if any
         const jobId = file.replace(/\.json$/i, '');
-        delete jobsCache[jobId];
+        const data = jobsCache[jobId]
+          || await fs.readFile(filePath, 'utf8').then(JSON.parse).catch(() => null);
+        if (data && (data.schedule || UNFINISHED_STATES.has(data.state))) continue;
+        await deleteJobFile(jobId);
       }
     } catch (e) {
       // Ignore errors for concurrent deletions
@@ -119,6 +151,16 @@ async function cleanupOldJobs(days = 3) {
   }
 }
 
+// Delete a file if it was last modified before `cutoff`.
+async function removeIfOlder(filePath, cutoff) {
+  try {
+    const stat = await fs.stat(filePath);
+    if (stat.mtimeMs < cutoff) await fs.unlink(filePath);
+  } catch {
+    // Ignore errors for concurrent deletions
+  }
+}
+
 /**
  * Get the current in-memory jobs map.  This map is updated when
  * jobs are loaded or saved.
@@ -136,6 +178,20 @@ function getJob(jobId) {
   return jobsCache[jobId] || null;
 }
 
+/**
+ * Return the jobs that were still marked as running (or pausing) when
+ * they were loaded.  Right after `loadJobs()` no job can actually be
+ * running, so these are jobs the previous server process left behind
+ * when it died mid-scrape.
+ *
+ * @returns {Object[]} Stale running jobs, oldest first
+ */
+function getStaleRunningJobs() {
+  return Object.values(jobsCache)
+    .filter((job) => job && (job.state === 'running' || job.state === 'pausing'))
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+}
+
 /**
  * Add or replace a job in the cache and persist it to disk.
  *
@@ -167,6 +223,7 @@ module.exports = {
   cleanupOldJobs,
   getJobs,
   getJob,
+  getStaleRunningJobs,
   setJob,
   updateJob,
   deleteJobFile,
@@ -0,0 +1,183 @@
+// utils/launchProfiles.js
+//
+// Named browser launch profiles.  A profile sets how Chromium is
+// launched for a job: headless or headed, a proxy (with credentials),
+// the viewport, user agent, locale and timezone, and the user-data
+// directory.  Profiles live in `config/launchProfiles.json` (or the
+// file named by SCRAPER_LAUNCH_PROFILES), which is git-ignored because
+// it may hold proxy passwords; see `config/launchProfiles.example.json`:
+//
+//   {
+//     "default": "desktop",
+//     "profiles": {
+//       "desktop": { "headless": false },
+//       "linux-box": {
+//         "headless": true,
+//         "proxy": { "server": "http://proxy:8080", "username": "u", "password": "p" },
+//         "viewport": { "width": 1366, "height": 768 },
+//         "userAgent": "Mozilla/5.0 ...",
+//         "locale": "en-GB",
+//         "timezoneId": "Europe/London",
+//         "userDataDir": "user_data_linux"
+//       }
+//     }
+//   }
+//
+// Every profile starts from DEFAULT_LAUNCH_PROFILE (the settings the
+// browser always used), so a profile only lists what it changes.  The
+// built-in `default` profile is used when no file exists.  A job uses
+// its own `launchProfile`, else its account's, else the file's default.
+// The file is read on every launch, so edits apply to the next run.
+// `proxy` may also be a URL such as `http://u:p@proxy:8080` (see
+// utils/proxy); an account's own proxy replaces its profile's.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeProxy, describeProxy } = require('./proxy');
+
+const rootDir = path.join(__dirname, '..');
+const configPath = process.env.SCRAPER_LAUNCH_PROFILES
+  ? path.resolve(process.env.SCRAPER_LAUNCH_PROFILES)
+  : path.join(rootDir, 'config', 'launchProfiles.json');
+
+// Name of the built-in profile
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Launch settings used when a profile does not set them
+const DEFAULT_LAUNCH_PROFILE = Object.freeze({
+  headless: false,
+  proxy: null,
+  viewport: { width: 1920, height: 1080 },
+  userAgent:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36',
+  locale: undefined,
+  timezoneId: undefined,
+  // Relative to the project root; unset keeps the `user_data` folders
+  userDataDir: undefined,
+});
+
+// Check one profile from the file and merge it over the defaults.
+// Throws an Error naming the profile when a field is invalid.
+function normalizeProfile(name, raw) {
+  const fail = (msg) => { throw new Error(`Launch profile "${name}": ${msg}`); };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must be an object.');
+  const profile = { ...DEFAULT_LAUNCH_PROFILE, ...raw };
+  if (typeof profile.headless !== 'boolean') fail('headless must be true or false.');
+  if (profile.proxy !== null) {
+    try {
+      profile.proxy = normalizeProxy(profile.proxy);
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+  if (profile.viewport !== null) {
+    const { width, height } = profile.viewport || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      fail('viewport needs a positive integer width and height (or null).');
+    }
+  }
+  for (const field of ['userAgent', 'locale', 'timezoneId', 'userDataDir']) {
+    if (profile[field] != null && typeof profile[field] !== 'string') fail(`${field} must be a string.`);
+  }
+  return profile;
+}
+
+/**
+ * Read the launch profiles file.  Returns the built-in `default`
+ * profile alone when there is no file.  Throws when the file is not
+ * valid JSON or a profile is invalid.
+ *
+ * @returns {{defaultProfile:string, profiles:Object<string, Object>}}
+ */
+function loadLaunchProfiles() {
+  let data = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid launch profiles file ${configPath}: ${err.message}`);
+    }
+  }
+  const profiles = { [DEFAULT_PROFILE_NAME]: { ...DEFAULT_LAUNCH_PROFILE } };
+  for (const [name, raw] of Object.entries(data.profiles || {})) {
+    profiles[name] = normalizeProfile(name, raw);
+  }
+  const defaultProfile = data.default || DEFAULT_PROFILE_NAME;
+  if (!profiles[defaultProfile]) {
+    throw new Error(`Default launch profile "${defaultProfile}" is not defined.`);
+  }
+  return { defaultProfile, profiles };
+}
+
+/**
+ * Whether a launch profile with this name exists.
+ *
+ * @param {string} name Profile name
+ */
+function hasLaunchProfile(name) {
+  return Object.prototype.hasOwnProperty.call(loadLaunchProfiles().profiles, name);
+}
+
+/**
+ * Pick the profile for a launch: the first name given (e.g. the job's,
+ * then the account's), else the file's default.  Throws when a given
+ * name is not defined, rather than launching with another fingerprint.
+ *
+ * @param {...(string|undefined|null)} names Candidate profile names
+ * @returns {Object} The profile, with its `name`
+ */
+function resolveLaunchProfile(...names) {
+  const { defaultProfile, profiles } = loadLaunchProfiles();
+  const name = names.find((n) => n) || defaultProfile;
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+    throw new Error(`Launch profile "${name}" is not defined.`);
+  }
+  return { name, ...profiles[name] };
+}
+
+/**
+ * Public view of every profile for the API: proxy passwords are left
+ * out.
+ *
+ * @returns {Object[]} One entry per profile, with `isDefault`
+ */
+function listLaunchProfiles() {
+  const { defaultProfile, profiles } = loadLaunchProfiles();
+  return Object.entries(profiles).map(([name, p]) => ({
+    name,
+    isDefault: name === defaultProfile,
+    headless: p.headless,
+    proxy: describeProxy(p.proxy),
+    viewport: p.viewport,
+    userAgent: p.userAgent,
+    locale: p.locale || null,
+    timezoneId: p.timezoneId || null,
+    userDataDir: p.userDataDir || null,
+  }));
+}
+
+/**
+ * Absolute user-data directory of a profile for a browser slot.  Slot
+ * 0 uses the profile's directory; other slots add `_<slot>` so two
+ * running contexts never share a profile.  Returns null when the
+ * profile keeps the default `user_data` folders.
+ *
+ * @param {Object} profile From resolveLaunchProfile()
+ * @param {number} [slot=0] Zero-based browser slot
+ * @returns {string|null}
+ */
+function profileUserDataDir(profile, slot = 0) {
+  if (!profile.userDataDir) return null;
+  const base = path.resolve(rootDir, profile.userDataDir);
+  return slot > 0 ? `${base}_${slot}` : base;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  DEFAULT_LAUNCH_PROFILE,
+  loadLaunchProfiles,
+  hasLaunchProfile,
+  resolveLaunchProfile,
+  listLaunchProfiles,
+  profileUserDataDir,
+};
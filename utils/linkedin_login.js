@@ -24,6 +24,13 @@ async function addLinkedInCookies(context, cookieFile) {
   }
 }
 
+// Whether LinkedIn redirected to a login page: a URL containing
+// login/signin/signup means the session is gone.
+function isLoggedOutUrl(url) {
+  const u = String(url || '').toLowerCase();
+  return u.includes('/login') || u.includes('/signin') || u.includes('signup');
+}
+
 // Simple URL‑only login check (no DOM wait)
 // If final URL contains login/signin/signup → treat as NOT logged in
 async function checkLinkedInByUrl(context, url) {
@@ -35,12 +42,8 @@ async function checkLinkedInByUrl(context, url) {
   }
   await page.waitForTimeout(500); // let redirects settle
   const u = page.url().toLowerCase();
-  const loggedIn = !(
-    u.includes('/login') ||
-    u.includes('/signin') ||
-    u.includes('signup')
-  );
+  const loggedIn = !isLoggedOutUrl(u);
   return { page, loggedIn, finalUrl: u };
 }
 
-module.exports = { addLinkedInCookies, checkLinkedInByUrl };
\ No newline at end of file
+module.exports = { addLinkedInCookies, checkLinkedInByUrl, isLoggedOutUrl };
\ No newline at end of file
@@ -0,0 +1,146 @@
+// utils/loginHealth.js
+//
+// Check the saved cookies against the live sites without starting a
+// job.  A throwaway browser (fresh temporary profile, removed
+// afterwards) loads the cookies of a LinkedIn account and of both
+// enrichment providers, runs the same login checks runScrape() does
+// (checkLinkedInByUrl, ensureSignalHireLogin, ensureContactOutLogin)
+// and is closed again.  Only one check runs at a time, since each one
+// launches Chromium.
+//
+// When the account (or its launch profile) has a proxy, the proxy is
+// checked first (see utils/proxy); an unreachable proxy is reported
+// and the browser is not launched.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { launchStealthBrowser } = require('./browser');
+const { addLinkedInCookies, checkLinkedInByUrl } = require('./linkedin_login');
+const { ensureSignalHireLogin } = require('./signalhire_login');
+const { ensureContactOutLogin } = require('./contactout_login');
+const { resolveAccount, getAccountCookiePath, getAccountProxy } = require('./accounts');
+const { PROVIDERS, providerCookiePath, hasProviderCookie } = require('./providerCookies');
+const { resolveLaunchProfile } = require('./launchProfiles');
+const { checkProxy } = require('./proxy');
+
+// Page opened to check the LinkedIn session; Sales Navigator also
+// proves the account has a seat.
+const LINKEDIN_CHECK_URL = 'https://www.linkedin.com/sales/home';
+
+let checkRunning = false;
+
+/**
+ * Whether a login check is running right now.
+ */
+function isLoginCheckRunning() {
+  return checkRunning;
+}
+
+// Run one service check and describe the outcome.  `check` returns
+// `{ page, loggedIn }`; its page is closed here.
+async function runCheck(service, label, check) {
+  let page = null;
+  try {
+    const result = await check();
+    page = result.page;
+    const finalUrl = page ? page.url() : null;
+    return {
+      service,
+      label,
+      loggedIn: !!result.loggedIn,
+      status: result.loggedIn ? 'ok' : 'logged_out',
+      finalUrl,
+      message: result.loggedIn ? `${label} login OK.` : `${label} cookie is not logged in. Please refresh it.`,
+    };
+  } catch (err) {
+    return {
+      service,
+      label,
+      loggedIn: false,
+      status: 'error',
+      finalUrl: page ? page.url() : null,
+      message: `${label} check failed: ${err.message || err}`,
+    };
+  } finally {
+    if (page) await page.close().catch(() => { });
+  }
+}
+
+function noCookie(service, label, message) {
+  return { service, label, loggedIn: false, status: 'no_cookie', finalUrl: null, message };
+}
+
+/**
+ * Launch a browser, check the LinkedIn login of an account and the
+ * SignalHire and ContactOut logins, and close the browser.  Services
+ * without a saved cookie are reported as `no_cookie` and not checked.
+ * Behind an unreachable proxy every service is reported as
+ * `proxy_unreachable` and no browser is launched.  Throws when a check
+ * is already running or the browser cannot start.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.accountId] LinkedIn account; the job default when omitted
+ * @returns {Promise<{ok:boolean, accountId:(string|null), checkedAt:string, proxy:(Object|null), services:Object[]}>}
+ *   `proxy` is the proxy check (see proxy.checkProxy()), null without a
+ *   proxy.  One `{ service, label, loggedIn, status, finalUrl, message }`
+ *   per service, `status` being `ok`, `logged_out`, `no_cookie`,
+ *   `proxy_unreachable` or `error`
+ */
+async function checkLogins({ accountId } = {}) {
+  if (checkRunning) throw new Error('A login check is already running.');
+  checkRunning = true;
+  let userDataDir = null;
+  let context = null;
+  try {
+    const account = await resolveAccount(accountId);
+    const cookieFile = account ? await getAccountCookiePath(account.id) : null;
+
+    // Same launch profile (proxy, user agent, ...) as the account's jobs
+    const profile = resolveLaunchProfile(account && account.launchProfile);
+    const proxy = (account && (await getAccountProxy(account.id))) || profile.proxy;
+    const proxyCheck = proxy ? await checkProxy(proxy) : null;
+    const result = (services) => ({
+      ok: services.every((s) => s.loggedIn),
+      accountId: account ? account.id : null,
+      checkedAt: new Date().toISOString(),
+      proxy: proxyCheck,
+      services,
+    });
+    if (proxyCheck && !proxyCheck.ok) {
+      const message = `Proxy ${proxyCheck.server} is unreachable: ${proxyCheck.error}`;
+      return result([
+        { service: 'linkedin', label: 'LinkedIn' },
+        ...Object.keys(PROVIDERS).map((name) => ({ service: name, label: PROVIDERS[name].label })),
+      ].map((s) => ({ ...s, loggedIn: false, status: 'proxy_unreachable', finalUrl: null, message })));
+    }
+    userDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sales-nav-health-'));
+    context = await launchStealthBrowser({ ...profile, proxy, userDataDir });
+
+    const services = [];
+    if (cookieFile) {
+      services.push(await runCheck('linkedin', 'LinkedIn', async () => {
+        await addLinkedInCookies(context, cookieFile);
+        return checkLinkedInByUrl(context, LINKEDIN_CHECK_URL);
+      }));
+    } else {
+      services.push(noCookie('linkedin', 'LinkedIn', 'No LinkedIn cookie saved for this account.'));
+    }
+    const providerChecks = { signalhire: ensureSignalHireLogin, contactout: ensureContactOutLogin };
+    for (const name of Object.keys(PROVIDERS)) {
+      const { label } = PROVIDERS[name];
+      if (!hasProviderCookie(name)) {
+        services.push(noCookie(name, label, `No ${label} cookie saved.`));
+        continue;
+      }
+      services.push(await runCheck(name, label, () => providerChecks[name](context, providerCookiePath(name))));
+    }
+    return result(services);
+  } finally {
+    if (context) await context.close().catch(() => { });
+    if (userDataDir) await fs.rm(userDataDir, { recursive: true, force: true }).catch(() => { });
+    checkRunning = false;
+  }
+}
+
+module.exports = { checkLogins, isLoginCheckRunning };
@@ -0,0 +1,228 @@
+// utils/loginSession.js
+//
+// Interactive LinkedIn login.  Instead of pasting exported cookies, a
+// user can ask the server to open the stealth browser on the LinkedIn
+// login page (on the machine running the server) and log in by hand.
+// Once LinkedIn has set `li_at` and left the login/checkpoint pages,
+// the browser's linkedin.com cookies are read with context.cookies()
+// and saved to the account like a pasted cookie: the `default`
+// account through fileHandler.saveCookieFile(), named accounts through
+// accounts.updateAccount().
+//
+// Each login runs in a fresh temporary browser profile, so it never
+// competes with the profiles of running jobs, and the profile is
+// removed afterwards.  One login can run per account at a time; its
+// state is kept in memory:
+//
+//   waiting    – browser open, waiting for the user to log in
+//   saved      – cookies captured and saved (see `report`)
+//   failed     – timed out, browser closed or cookies could not be saved
+//   cancelled  – stopped through cancelLoginSession()
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { launchStealthBrowser } = require('./browser');
+const { saveCookieFile } = require('./fileHandler');
+const { DEFAULT_ACCOUNT_ID, getAccount, getAccountProxy, updateAccount, markAccountHealthy } = require('./accounts');
+const { resolveLaunchProfile } = require('./launchProfiles');
+const { checkProxy } = require('./proxy');
+const { convertCookies, linkedInCookieReport, describeCookieReport } = require('./cookieUtil');
+
+const LOGIN_URL = 'https://www.linkedin.com/login';
+// Visited after login so LinkedIn sets the Sales Navigator `li_a` cookie
+const SALES_HOME_URL = 'https://www.linkedin.com/sales/home';
+
+// How long the user has to finish logging in.  Override with
+// SCRAPER_LOGIN_TIMEOUT_MS (default 5 minutes).
+const LOGIN_TIMEOUT_MS = Number(process.env.SCRAPER_LOGIN_TIMEOUT_MS || '300000');
+const POLL_MS = 2000;
+
+// accountId -> session
+const sessions = new Map();
+
+// Public view of a session (no browser handles)
+function describe(session) {
+  return {
+    accountId: session.accountId,
+    state: session.state,
+    message: session.message,
+    report: session.report || null,
+    startedAt: session.startedAt,
+    finishedAt: session.finishedAt || null,
+  };
+}
+
+function finish(session, state, message) {
+  if (session.state !== 'waiting') return;
+  session.state = state;
+  session.message = message;
+  session.finishedAt = new Date().toISOString();
+}
+
+// Whether the page has left LinkedIn's login, checkpoint (2FA/captcha)
+// and sign-up pages
+function pastLogin(page) {
+  const u = page.url().toLowerCase();
+  return !['/login', '/checkpoint', '/uas/', 'signup', '/authwall'].some((part) => u.includes(part));
+}
+
+async function linkedInCookies(context) {
+  const cookies = await context.cookies();
+  return cookies.filter((c) => /(^|\.)linkedin\.com$/i.test(c.domain));
+}
+
+// Save captured cookies to the account, as if they had been pasted
+async function saveCapturedCookies(accountId, cookies) {
+  const text = JSON.stringify(cookies);
+  if (accountId === DEFAULT_ACCOUNT_ID) {
+    await saveCookieFile(text);
+    await markAccountHealthy(DEFAULT_ACCOUNT_ID);
+    return;
+  }
+  const account = await updateAccount(accountId, { cookie: text });
+  if (!account) throw new Error('The account was deleted during the login.');
+}
+
+// Wait for the login, then capture and save the cookies.
+async function runLogin(session, timeoutMs) {
+  const { context } = session;
+  const page = context.pages()[0] || (await context.newPage());
+  await page.goto(LOGIN_URL, { waitUntil: 'domcontentloaded', timeout: 45000 }).catch((e) => {
+    console.warn('[Login] goto login page failed (continuing):', e?.message || e);
+  });
+
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    if (session.state !== 'waiting') return;
+    if (Date.now() > deadline) {
+      finish(session, 'failed', 'Timed out waiting for the LinkedIn login.');
+      return;
+    }
+    const cookies = await linkedInCookies(context);
+    if (cookies.some((c) => c.name === 'li_at') && pastLogin(page)) break;
+    await new Promise((r) => setTimeout(r, POLL_MS));
+  }
+
+  // Open Sales Navigator once so the seat cookie is part of the capture
+  await page.goto(SALES_HOME_URL, { waitUntil: 'domcontentloaded', timeout: 45000 }).catch((e) => {
+    console.warn('[Login] goto Sales Navigator failed (continuing):', e?.message || e);
+  });
+  if (session.state !== 'waiting') return;
+  const cookies = await linkedInCookies(context);
+  const report = linkedInCookieReport(convertCookies(cookies));
+  await saveCapturedCookies(session.accountId, cookies);
+  session.report = report;
+  finish(session, 'saved', `Logged in and saved the cookies. ${describeCookieReport(report)}`);
+}
+
+/**
+ * Open the browser on the LinkedIn login page for an account and save
+ * its cookies once the user has logged in.  Returns as soon as the
+ * browser is open; follow the login with getLoginSession().  Throws
+ * when a login for the account is already waiting or the browser
+ * cannot be launched.
+ *
+ * @param {string} accountId Account to save the cookies to
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] Time allowed for the login
+ * @returns {Promise<Object>} The session (see getLoginSession())
+ */
+async function startLoginSession(accountId, { timeoutMs = LOGIN_TIMEOUT_MS } = {}) {
+  const existing = sessions.get(accountId);
+  if (existing && existing.state === 'waiting') {
+    throw new Error('A login for this account is already in progress.');
+  }
+  const session = {
+    accountId,
+    state: 'waiting',
+    message: 'Log in to LinkedIn in the browser window that opened on the server.',
+    startedAt: new Date().toISOString(),
+  };
+  sessions.set(accountId, session);
+
+  try {
+    // The account's launch profile (proxy, user agent, ...) and its own
+    // proxy, so LinkedIn sees the login from the same fingerprint and IP
+    // as the account's jobs
+    const account = await getAccount(accountId);
+    const profile = resolveLaunchProfile(account && account.launchProfile);
+    const proxy = (await getAccountProxy(accountId)) || profile.proxy;
+    if (proxy) {
+      const proxyCheck = await checkProxy(proxy);
+      if (!proxyCheck.ok) throw new Error(`proxy ${proxyCheck.server} is unreachable: ${proxyCheck.error}`);
+    }
+    session.userDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sales-nav-login-'));
+    // The user needs a window, and images are needed for captchas
+    session.context = await launchStealthBrowser({
+      ...profile,
+      proxy,
+      headless: false,
+      userDataDir: session.userDataDir,
+      blockResources: false,
+    });
+  } catch (err) {
+    finish(session, 'failed', `Could not open the browser: ${err.message || err}`);
+    await cleanup(session);
+    throw new Error(session.message);
+  }
+  session.context.on('close', () => finish(session, 'failed', 'The browser was closed before the login finished.'));
+
+  runLogin(session, timeoutMs)
+    .catch((err) => {
+      console.error('[Login] login session error:', err);
+      finish(session, 'failed', `Login failed: ${err.message || err}`);
+    })
+    .finally(() => cleanup(session));
+  return describe(session);
+}
+
+// Close the browser and remove the temporary profile
+async function cleanup(session) {
+  const { context, userDataDir } = session;
+  session.context = null;
+  session.userDataDir = null;
+  if (context) await context.close().catch(() => { });
+  if (userDataDir) await fs.rm(userDataDir, { recursive: true, force: true }).catch(() => { });
+}
+
+/**
+ * The latest login session of an account, or null when there was none
+ * since the server started.
+ *
+ * @param {string} accountId Account id
+ * @returns {{accountId:string, state:string, message:string, report:(Object|null),
+ *   startedAt:string, finishedAt:(string|null)}|null}
+ */
+function getLoginSession(accountId) {
+  const session = sessions.get(accountId);
+  return session ? describe(session) : null;
+}
+
+/**
+ * Stop a waiting login and close its browser.
+ *
+ * @param {string} accountId Account id
+ * @returns {Promise<Object|null>} The session, or null when none is waiting
+ */
+async function cancelLoginSession(accountId) {
+  const session = sessions.get(accountId);
+  if (!session || session.state !== 'waiting') return null;
+  finish(session, 'cancelled', 'Login cancelled.');
+  await cleanup(session);
+  return describe(session);
+}
+
+/**
+ * Cancel every waiting login.  Used on server shutdown.
+ */
+async function closeLoginSessions() {
+  await Promise.all([...sessions.keys()].map((id) => cancelLoginSession(id)));
+}
+
+module.exports = {
+  startLoginSession,
+  getLoginSession,
+  cancelLoginSession,
+  closeLoginSessions,
+};
@@ -14,6 +14,7 @@ const fs = require('fs/promises');
 const { parse } = require('csv-parse/sync');
 const { stringify } = require('csv-stringify/sync');
 const { cleanName } = require('./nameCleaner');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
 
 /**
  * Merge ContactOut domain data into a base CSV by matching on
@@ -38,6 +39,15 @@ async function mergeContactDomainsByNamePriority(opts) {
   } = opts || {};
   if (!baseCsvPath) throw new Error('baseCsvPath is required');
   if (!Array.isArray(contactProfiles)) throw new Error('contactProfiles must be an array');
+  // Hold the base CSV's lock from read to write so that rows appended
+  // by SignalHire in the meantime are not lost
+  return withFileLock(baseCsvPath, () =>
+    mergeLocked({ baseCsvPath, contactProfiles, outPath, backup, overwrite }));
+}
+
+// Body of mergeContactDomainsByNamePriority(), run under the lock of
+// the base CSV.  Files are replaced atomically (see utils/safeWrite).
+async function mergeLocked({ baseCsvPath, contactProfiles, outPath, backup, overwrite }) {
   // Read and parse the base CSV
   const raw = await fs.readFile(baseCsvPath);
   const rows = parse(raw, {
@@ -92,12 +102,12 @@ async function mergeContactDomainsByNamePriority(opts) {
   }
   // Optional backup when overwriting same file
   if (backup && outPath === baseCsvPath) {
-    await fs.writeFile(baseCsvPath + '.bak', raw);
+    await writeFileAtomic(baseCsvPath + '.bak', raw);
   }
   // Write back the CSV
   const outHeaders = Object.keys(rows[0] || {});
   const csv = stringify(rows, { header: true, columns: outHeaders, bom: true });
-  await fs.writeFile(outPath, csv);
+  await writeFileAtomic(outPath, csv);
   console.log(`[MERGE] Updated ${updated}/${rows.length} rows -> ${outPath}`);
   return { updated, total: rows.length, outPath };
 }
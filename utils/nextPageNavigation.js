@@ -28,13 +28,22 @@ const warn = (...a) => console.warn('[pagination]', ...a);
 const err  = (...a) => console.error('[pagination]', ...a);
 
 /**
- * Attempt to navigate to the next page.
+ * Attempt to navigate to the next page.  The optional `onEvent`
+ * callback receives `retry` events for each fallback and a final
+ * `pagination:result` event with the outcome.
  * @param {import('playwright').Page} page
  * @param {number} urlNumber
  * @param {number} currentPageFromCaller
+ * @param {{ onEvent?: Function }} [opts]
  * @returns {'moved'|'no-more'|'failed'}
  */
-async function clickNextPage(page, urlNumber, currentPageFromCaller) {
+async function clickNextPage(page, urlNumber, currentPageFromCaller, { onEvent = () => {} } = {}) {
+  const status = await navigateToNextPage(page, urlNumber, currentPageFromCaller, onEvent);
+  onEvent('pagination:result', { status, url: safeUrl(page) });
+  return status;
+}
+
+async function navigateToNextPage(page, urlNumber, currentPageFromCaller, onEvent) {
   const url = safeUrl(page);
   let { current: currentPage, total: totalPages } = await readPageState(page);
   currentPage = currentPage ?? currentPageFromCaller ?? 1;
@@ -59,6 +68,7 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
     const liveCurrent = (await readCurrentPage(page)) ?? currentPage;
     const want = (liveCurrent || 0) + 1;
     log(`Attempt ${attempt}/${MAX_ATTEMPTS} | current=${liveCurrent} -> target=${want}`);
+    if (attempt > 1) onEvent('retry', { source: 'pagination', attempt, max: MAX_ATTEMPTS });
 
     try {
       const pageBtn = page.locator(PAGE_BTN_SEL(want)).first();
@@ -104,6 +114,7 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
 
   // --- Rescue 1: hard reload, then try numbered/next once more quickly ---
   warn('Rescue #1: reload and re-check…');
+  onEvent('retry', { source: 'pagination', rescue: 'reload' });
   await reloadAndWaitForSalesDashboard(page);
 
   const movedAfterReload = await changedSince(page, beforeKey);
@@ -155,6 +166,7 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
   const desired = (cur3 ?? currentPage) + 1;
   const nextUrl = computeNextPageUrl(page.url(), desired);
   log('Rescue #2: URL jump planned =>', nextUrl || '(none)');
+  onEvent('retry', { source: 'pagination', rescue: 'url-jump' });
 
   if (nextUrl) {
     try {
@@ -333,6 +345,29 @@ function computeNextPageUrl(currentUrl, desiredPage) {
   } catch { return null; }
 }
 
+/**
+ * Build the URL of a given results page from a search URL, using the
+ * same page/p/start parameters as computeNextPageUrl().  Used to start
+ * a job on a later page.  Returns null when the URL cannot be parsed.
+ *
+ * @param {string} searchUrl Sales Navigator search URL
+ * @param {number} pageNumber 1-based page number
+ */
+function buildPageUrl(searchUrl, pageNumber) {
+  try {
+    const u = new URL(searchUrl);
+    if (u.searchParams.has('p')) {
+      u.searchParams.set('p', String(pageNumber));
+    } else if (u.searchParams.has('start')) {
+      const step = 25; // typical SalesNav page size (see computeNextPageUrl)
+      u.searchParams.set('start', String((pageNumber - 1) * step));
+    } else {
+      u.searchParams.set('page', String(pageNumber));
+    }
+    return u.toString();
+  } catch { return null; }
+}
+
 function summarizeKey(key) {
   if (!key) return '(empty)';
   // shorten long fingerprints so logs stay readable
@@ -341,4 +376,4 @@ function summarizeKey(key) {
   return s.slice(0, 100) + ' … ' + s.slice(-18);
 }
 
-module.exports = { clickNextPage };
+module.exports = { clickNextPage, buildPageUrl };
@@ -0,0 +1,135 @@
+// utils/pageLedger.js
+//
+// Per-page ledger kept on each job as `job.pages`.  runScrape() opens
+// an entry when it starts a page, fills in the counts and the time
+// spent in each stage, and records the entry once the page is done
+// (or stopped, or failed).  A page scraped again on resume or by a
+// page retry replaces its earlier entry and bumps `attempts`, so the
+// ledger always shows the latest result for every page.
+
+/**
+ * Create a ledger entry for a page that is about to be scraped.
+ *
+ * @param {number} page Page number
+ * @param {string} url Page URL
+ * @param {string} [accountId] LinkedIn account the page is scraped with
+ * @returns {Object} The new entry
+ */
+function startPageEntry(page, url, accountId) {
+  return {
+    page,
+    url: url || null,
+    accountId: accountId || null,
+    signalHireRows: 0,
+    contactOutProfiles: 0,
+    rowsMerged: 0,
+    // Milliseconds spent in each stage
+    durations: {},
+    error: null,
+    // Failure artifacts saved on this page (see utils/failureArtifacts)
+    artifacts: [],
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+}
+
+/**
+ * Run one stage of a page and record how long it took under
+ * `entry.durations[stage]`, whether it succeeds or throws.
+ *
+ * @param {Object} entry Ledger entry
+ * @param {string} stage Stage name, e.g. `signalHire`
+ * @param {Function} fn Async function performing the stage
+ */
+async function timeStage(entry, stage, fn) {
+  const started = Date.now();
+  try {
+    return await fn();
+  } finally {
+    entry.durations[stage] = Date.now() - started;
+  }
+}
+
+/**
+ * Append an error message to an entry.  Several stages may fail on the
+ * same page, so messages are joined rather than overwritten.
+ *
+ * @param {Object} entry Ledger entry
+ * @param {string} stage Stage that failed
+ * @param {Error|string} err The error
+ */
+function addPageError(entry, stage, err) {
+  const msg = `${stage}: ${(err && err.message) || err}`;
+  entry.error = entry.error ? `${entry.error}; ${msg}` : msg;
+}
+
+/**
+ * Close an entry and store it in `job.pages`, replacing any earlier
+ * entry for the same page.  The caller persists the job.
+ *
+ * @param {Object} job The job object; modified in place
+ * @param {Object} entry Ledger entry
+ * @param {Object} [extra] Extra fields to set on the entry
+ * @returns {Object[]} The job's ledger, ordered by page number
+ */
+function recordPageEntry(job, entry, extra = {}) {
+  Object.assign(entry, extra);
+  entry.finishedAt = new Date().toISOString();
+  entry.durations.total = Date.parse(entry.finishedAt) - Date.parse(entry.startedAt);
+  const pages = Array.isArray(job.pages) ? job.pages : [];
+  const idx = pages.findIndex((p) => p.page === entry.page);
+  if (idx === -1) {
+    entry.attempts = 1;
+    pages.push(entry);
+  } else {
+    entry.attempts = (pages[idx].attempts || 1) + 1;
+    pages[idx] = entry;
+  }
+  pages.sort((a, b) => a.page - b.page);
+  job.pages = pages;
+  return pages;
+}
+
+/**
+ * Whether a page came back thin: it finished without errors but
+ * SignalHire returned no new rows or ContactOut found no profiles.
+ *
+ * @param {Object} entry Ledger entry
+ */
+function isThinPage(entry) {
+  return !entry.error && (!entry.signalHireRows || !entry.contactOutProfiles);
+}
+
+/**
+ * Whether a page failed: a stage reported an error or the page was
+ * cut short by a pause or cancel.
+ *
+ * @param {Object} entry Ledger entry
+ */
+function isFailedPage(entry) {
+  return !!entry.error || !!entry.stoppedEarly;
+}
+
+/**
+ * Page numbers of a job that are worth retrying (failed or thin) and
+ * have a recorded URL to reopen.
+ *
+ * @param {Object} job The job object
+ * @returns {number[]} Page numbers in ascending order
+ */
+function pagesNeedingRetry(job) {
+  const pages = Array.isArray(job.pages) ? job.pages : [];
+  return pages
+    .filter((p) => p.url && (isFailedPage(p) || isThinPage(p)))
+    .map((p) => p.page);
+}
+
+module.exports = {
+  startPageEntry,
+  timeStage,
+  addPageError,
+  recordPageEntry,
+  isThinPage,
+  isFailedPage,
+  pagesNeedingRetry,
+};
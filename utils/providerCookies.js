@@ -0,0 +1,133 @@
+// utils/providerCookies.js
+//
+// Cookies of the enrichment providers (SignalHire and ContactOut).
+// Each provider has one cookie file in the project root, read by
+// runScrape() to log the browser in before a job starts.  This module
+// knows where the files live and which cookies each provider needs,
+// and saves, checks and deletes them for the /api/providers routes.
+
+const fs = require('fs/promises');
+const { existsSync } = require('fs');
+const path = require('path');
+const { parseCookieText } = require('./fileHandler');
+const { loadAndConvert, cookieReport } = require('./cookieUtil');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
+const { serializeCookies } = require('./cookieCrypto');
+
+// Supported providers.  `required` lists the login cookies checked on
+// save; the first one is essential (see cookieUtil.cookieReport).
+// `cookieDomain` is given to cookies pasted as a Cookie header.
+const PROVIDERS = Object.freeze({
+  signalhire: {
+    label: 'SignalHire',
+    fileName: 'signalhire_cookies.json',
+    domain: /(^|\.)signalhire\.com$/i,
+    cookieDomain: '.signalhire.com',
+    required: ['REMEMBERME'],
+  },
+  contactout: {
+    label: 'ContactOut',
+    fileName: 'contactout_cookies.json',
+    domain: /(^|\.)contactout\.com$/i,
+    cookieDomain: '.contactout.com',
+    required: ['remember_web_*', 'contactout_session'],
+  },
+});
+
+/**
+ * Configuration of a provider, or null when the name is unknown.
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ */
+function getProvider(provider) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, provider) ? PROVIDERS[provider] : null;
+}
+
+/**
+ * Absolute path of a provider's cookie file (whether or not it exists).
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ */
+function providerCookiePath(provider) {
+  return path.join(__dirname, '..', getProvider(provider).fileName);
+}
+
+/**
+ * Whether a provider's cookie file exists.
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ */
+function hasProviderCookie(provider) {
+  return existsSync(providerCookiePath(provider));
+}
+
+// Report on a provider's converted cookies
+function reportFor(provider, cookies) {
+  const { domain, required } = getProvider(provider);
+  return cookieReport(cookies, { domain, required });
+}
+
+// Parse cookie text for a provider (see fileHandler.parseCookieText)
+function parseFor(provider, cookieText) {
+  return parseCookieText(cookieText, { defaultDomain: getProvider(provider).cookieDomain });
+}
+
+/**
+ * Check raw cookie text for a provider without saving it.  Throws
+ * when the text cannot be parsed.
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ * @param {string} cookieText Raw cookie text in any supported format
+ * @returns {{format:string, report:Object}} Detected format and the
+ *   cookie report (see cookieUtil.cookieReport)
+ */
+function checkProviderCookie(provider, cookieText) {
+  const { format, cookies } = parseFor(provider, cookieText);
+  return { format, report: reportFor(provider, cookies) };
+}
+
+/**
+ * Save a provider's cookie as Playwright cookies (encrypted when
+ * cookie encryption is on), replacing the previous one.
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ * @param {string} cookieText Raw cookie text in any supported format
+ */
+async function saveProviderCookie(provider, cookieText) {
+  const { cookies } = parseFor(provider, cookieText);
+  const filePath = providerCookiePath(provider);
+  await withFileLock(filePath, () => writeFileAtomic(filePath, serializeCookies(cookies)));
+}
+
+/**
+ * Whether a provider cookie is saved and, if so, its report.
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ * @returns {{hasCookie:boolean, report:(Object|null)}}
+ */
+function providerCookieStatus(provider) {
+  if (!hasProviderCookie(provider)) return { hasCookie: false, report: null };
+  return { hasCookie: true, report: reportFor(provider, loadAndConvert(providerCookiePath(provider))) };
+}
+
+/**
+ * Delete a provider's cookie file.  Does nothing when there is none.
+ *
+ * @param {string} provider `signalhire` or `contactout`
+ */
+async function deleteProviderCookie(provider) {
+  await fs.unlink(providerCookiePath(provider)).catch((err) => {
+    if (err.code !== 'ENOENT') throw err;
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  providerCookiePath,
+  hasProviderCookie,
+  checkProviderCookie,
+  saveProviderCookie,
+  providerCookieStatus,
+  deleteProviderCookie,
+};
@@ -0,0 +1,122 @@
+// utils/safeWrite.js
+//
+// Crash-safe file writes shared by the job store and the CSV helpers.
+// A file is never rewritten in place: the new content goes to a temp
+// file in the same directory, is flushed to disk with fsync and then
+// renamed over the target, so after a crash the target holds either
+// the old or the new content, never a truncated mix.  Files that only
+// grow (a job's CSV) may instead be appended to with appendFileSynced(),
+// which flushes the new rows to disk before it returns.
+//
+// A per-file lock serialises read-modify-write sequences on the same
+// path (e.g. the SignalHire append and the ContactOut merge on a job's
+// CSV).  The lock is in-process only and not reentrant: code running
+// inside withFileLock() must call writeFileAtomic() directly rather
+// than another locked helper on the same file.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Temp files are hidden and end in `.tmp` so directory listings can
+// skip them; a crash may leave one behind, which cleanup removes.
+const TEMP_SUFFIX = '.tmp';
+let tempCounter = 0;
+
+// Tail of the lock chain of each file, keyed by absolute path
+const locks = new Map();
+
+/**
+ * Whether a file name is a temp file left by writeFileAtomic().
+ *
+ * @param {string} fileName File name or path
+ */
+function isTempFile(fileName) {
+  const base = path.basename(fileName);
+  return base.startsWith('.') && base.endsWith(TEMP_SUFFIX);
+}
+
+/**
+ * Run `fn` while holding the lock of `filePath`.  Callers on the same
+ * file run one after another in call order.
+ *
+ * @param {string} filePath File to lock
+ * @param {Function} fn Async function to run under the lock
+ * @returns {Promise<*>} What `fn` resolves to
+ */
+async function withFileLock(filePath, fn) {
+  const key = path.resolve(filePath);
+  const previous = locks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const tail = previous.then(() => current);
+  locks.set(key, tail);
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (locks.get(key) === tail) locks.delete(key);
+  }
+}
+
+/**
+ * Replace a file's content atomically: write a temp file next to it,
+ * fsync it and rename it over the target.  Does not take the file
+ * lock; wrap read-modify-write sequences in withFileLock().
+ *
+ * @param {string} filePath Target file
+ * @param {string|Buffer} data New content
+ * @param {string} [encoding='utf8'] Encoding for string data
+ */
+async function writeFileAtomic(filePath, data, encoding = 'utf8') {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${++tempCounter}${TEMP_SUFFIX}`
+  );
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(data, encoding);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    if (handle) await handle.close().catch(() => { });
+    await fs.unlink(tempPath).catch(() => { });
+    throw err;
+  }
+  // Persist the rename itself; not supported on every platform
+  try {
+    const dirHandle = await fs.open(dir, 'r');
+    await dirHandle.sync().catch(() => { });
+    await dirHandle.close();
+  } catch { }
+}
+
+/**
+ * Append to a file (creating it if missing) and fsync it before
+ * returning, so appended data is on disk once the call resolves.  Does
+ * not take the file lock.
+ *
+ * @param {string} filePath Target file
+ * @param {string|Buffer} data Content to append
+ * @param {string} [encoding='utf8'] Encoding for string data
+ */
+async function appendFileSynced(filePath, data, encoding = 'utf8') {
+  const handle = await fs.open(filePath, 'a');
+  try {
+    await handle.appendFile(data, encoding);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic,
+  appendFileSynced,
+  isTempFile,
+};
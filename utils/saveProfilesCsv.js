@@ -10,6 +10,7 @@ const fs = require('fs/promises');
 const { existsSync, createReadStream } = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { withFileLock, writeFileAtomic, appendFileSynced } = require('./safeWrite');
 
 // Base columns from SignalHire (use snake_case for names and domain)
 const BASE_COLUMNS = [
@@ -97,8 +98,19 @@ function ensureKeysForColumns(rows, columns) {
 async function saveProfilesCsv(rows, opts = {}) {
   const { filePath = path.resolve(process.cwd(), 'output.csv'), append, includeBOM = true } = opts;
   if (!rows || rows.length === 0) return path.resolve(filePath);
-  const dir = path.dirname(filePath);
-  await fs.mkdir(dir, { recursive: true });
+  // Hold the file's lock from reading the header to the final write so
+  // a concurrent rewrite (e.g. the ContactOut merge) cannot interleave.
+  await withFileLock(filePath, () => writeProfiles(rows, filePath, append, includeBOM));
+  return path.resolve(filePath);
+}
+
+// Body of saveProfilesCsv(), run under the file lock.  New files are
+// written atomically (see utils/safeWrite); appends add the rows to the
+// end of the file and fsync it, so a long run does not rewrite its
+// whole CSV for every page and the rows of a page are on disk before
+// the job moves on.
+async function writeProfiles(rows, filePath, append, includeBOM) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
   const fileExists = existsSync(filePath);
   const shouldAppend = append === true || (append === undefined && fileExists);
   let columns;
@@ -115,18 +127,12 @@ async function saveProfilesCsv(rows, opts = {}) {
     rows
       .map((r) => columns.map((c) => esc(r[c.key] ?? '')).join(','))
       .join('\r\n') + '\r\n';
-  if (shouldAppend) {
-    if (!fileExists) {
-      const prefix = includeBOM ? '\uFEFF' : '';
-      await fs.appendFile(filePath, prefix + header + body);
-    } else {
-      await fs.appendFile(filePath, body);
-    }
+  if (shouldAppend && fileExists) {
+    await appendFileSynced(filePath, body);
   } else {
     const prefix = includeBOM ? '\uFEFF' : '';
-    await fs.writeFile(filePath, prefix + header + body);
+    await writeFileAtomic(filePath, prefix + header + body);
   }
-  return path.resolve(filePath);
 }
 
 module.exports = { saveProfilesCsv, COLUMNS: EXT_DOMAIN_EMAIL };
\ No newline at end of file
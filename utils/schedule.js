@@ -0,0 +1,165 @@
+// utils/schedule.js
+//
+// Parse and evaluate job schedules.  A schedule is written either as
+// an interval (`30m`, `12h`, `7d`, `2w`, optionally prefixed with
+// `every`) or as a standard five-field cron expression
+// (`minute hour day-of-month month day-of-week`, e.g. `0 9 * * 1` for
+// Mondays at 09:00).  Cron fields support `*`, numbers, ranges
+// (`1-5`), lists (`1,15`) and steps (`*/15`, `0-30/10`).  Times are
+// evaluated in the server's local time zone.
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Parse one cron field into the set of values it matches.
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name}: "${part}".`);
+    let from = min;
+    let to = max;
+    if (m[1] !== '*') {
+      from = Number(m[2]);
+      to = m[3] !== undefined ? Number(m[3]) : m[4] !== undefined ? max : from;
+    }
+    const step = m[4] !== undefined ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}".`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Parse a five-field cron expression.
+function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression needs five fields: minute hour day-of-month month day-of-week.');
+  }
+  const [minutes, hours, doms, months, dows] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  // Sunday may be written as 0 or 7
+  if (dows.has(7)) dows.add(0);
+  return {
+    minutes,
+    hours,
+    doms,
+    months,
+    dows,
+    domAny: parts[2] === '*',
+    dowAny: parts[4] === '*',
+  };
+}
+
+// Whether a date matches the day fields.  As in standard cron, when
+// both day-of-month and day-of-week are restricted either may match.
+function cronDayMatches(cron, d) {
+  const domOk = cron.doms.has(d.getDate());
+  const dowOk = cron.dows.has(d.getDay());
+  if (cron.domAny && cron.dowAny) return true;
+  if (cron.domAny) return dowOk;
+  if (cron.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+// First minute strictly after `from` that matches the cron expression,
+// or null when none matches within a year (e.g. `0 0 31 2 *`).
+function nextCronTime(cron, from) {
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!cron.months.has(d.getMonth() + 1) || !cronDayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+/**
+ * Parse a schedule string into a schedule object stored on the job:
+ * `{ type: 'interval', everyMinutes }` or `{ type: 'cron', expression }`.
+ * Throws an Error with a user-facing message when the text is invalid
+ * or never fires.
+ *
+ * @param {string} text Interval such as `7d` or a cron expression
+ * @returns {Object} The schedule
+ */
+function parseSchedule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Schedule must be an interval such as "7d" or a cron expression.');
+  }
+  const trimmed = text.trim().toLowerCase();
+  const interval = trimmed.match(/^(?:every\s+)?(\d+)\s*([mhdw])$/);
+  if (interval) {
+    const everyMinutes = Number(interval[1]) * UNIT_MINUTES[interval[2]];
+    if (everyMinutes < 1) throw new Error('Schedule interval must be at least one minute.');
+    return { type: 'interval', everyMinutes };
+  }
+  const expression = text.trim();
+  if (!nextCronTime(parseCron(expression), new Date())) {
+    throw new Error('Cron expression never matches a date.');
+  }
+  return { type: 'cron', expression };
+}
+
+/**
+ * Next time a schedule is due after `from`.
+ *
+ * @param {Object} schedule Schedule from parseSchedule()
+ * @param {Date} [from] Reference time (defaults to now)
+ * @returns {Date|null}
+ */
+function nextRunTime(schedule, from = new Date()) {
+  if (!schedule) return null;
+  if (schedule.type === 'interval') {
+    return new Date(from.getTime() + schedule.everyMinutes * 60_000);
+  }
+  if (schedule.type === 'cron') {
+    return nextCronTime(parseCron(schedule.expression), from);
+  }
+  return null;
+}
+
+/**
+ * Short human-readable description, e.g. `every 7d` or `cron 0 9 * * 1`.
+ *
+ * @param {Object} schedule Schedule from parseSchedule()
+ */
+function describeSchedule(schedule) {
+  if (!schedule) return '';
+  if (schedule.type === 'interval') {
+    const m = schedule.everyMinutes;
+    for (const unit of ['w', 'd', 'h']) {
+      if (m % UNIT_MINUTES[unit] === 0) return `every ${m / UNIT_MINUTES[unit]}${unit}`;
+    }
+    return `every ${m}m`;
+  }
+  return `cron ${schedule.expression}`;
+}
+
+module.exports = {
+  parseSchedule,
+  nextRunTime,
+  describeSchedule,
+};
@@ -0,0 +1,99 @@
+// utils/scheduler.js
+//
+// Runs recurring searches.  A job with a `schedule` (see
+// utils/schedule) owns the schedule; once a minute the scheduler
+// checks every owner whose `schedule.nextRunAt` has passed and asks
+// the caller to create a new run of the same URL.  A run is skipped
+// while the previous one is still queued or running, so slow searches
+// do not pile up.  Runs missed while the server was down are caught
+// up once on startup rather than one per missed slot.
+//
+// Every run of a schedule (the owner included) carries `scheduleId`.
+// When such a run completes, a "new since last run" CSV is written
+// next to its full CSV (see utils/deltaCsv).
+
+const path = require('path');
+const { getJobs, getJob, updateJob } = require('./jobsManager');
+const { nextRunTime } = require('./schedule');
+const { subscribe } = require('./events');
+const { writeNewSinceLastRun } = require('./deltaCsv');
+
+const TICK_MS = 60_000;
+let timer = null;
+
+/**
+ * Create runs for every schedule that is due.
+ *
+ * @param {Function} createRun Called with the owner job; must create,
+ *   persist and queue a new job and resolve to it
+ * @param {Date} [now] Reference time
+ */
+async function runDueSchedules(createRun, now = new Date()) {
+  for (const owner of Object.values(getJobs())) {
+    const schedule = owner && owner.schedule;
+    if (!schedule || !schedule.nextRunAt) continue;
+    if (Date.parse(schedule.nextRunAt) > now.getTime()) continue;
+    const next = nextRunTime(schedule, now);
+    const previous = schedule.lastRunJobId ? getJob(schedule.lastRunJobId) : null;
+    const updates = { nextRunAt: next ? next.toISOString() : null };
+    if (previous && ['queued', 'running', 'pausing'].includes(previous.state)) {
+      console.log(`Scheduler: previous run of ${owner.id} is still ${previous.state}; skipping.`);
+    } else {
+      try {
+        const run = await createRun(owner);
+        updates.lastRunAt = now.toISOString();
+        updates.lastRunJobId = run.id;
+      } catch (e) {
+        console.error('Scheduler: failed to start run of', owner.id, ':', e.message);
+      }
+    }
+    await updateJob(owner.id, { schedule: { ...schedule, ...updates } }).catch(() => {});
+  }
+}
+
+/**
+ * Write the "new since last run" CSV of a completed scheduled run and
+ * record its name and row count on the job.  Each run gets one delta;
+ * a later retry of the same run does not rewrite it.
+ *
+ * @param {Object} job A completed job with a `scheduleId`
+ */
+async function writeRunDelta(job) {
+  if (!job || !job.scheduleId || job.deltaFileName || !job.filePath) return;
+  const outPath = job.filePath.replace(/\.csv$/i, '') + '_new.csv';
+  const { newRows } = await writeNewSinceLastRun({
+    scheduleId: job.scheduleId,
+    filePath: job.filePath,
+    outPath,
+  });
+  await updateJob(job.id, { deltaFileName: path.basename(outPath), newRows });
+}
+
+/**
+ * Start the scheduler: check due schedules now and then once a minute,
+ * and write delta CSVs as scheduled runs complete.  Call once, after
+ * the jobs have been loaded.
+ *
+ * @param {Object} opts
+ * @param {Function} opts.createRun See runDueSchedules()
+ */
+function startScheduler({ createRun }) {
+  if (timer) return;
+  subscribe((event) => {
+    if (event.type !== 'job:state' || event.to !== 'completed') return;
+    writeRunDelta(getJob(event.jobId)).catch((e) =>
+      console.error('Scheduler: failed to write delta CSV for', event.jobId, ':', e.message)
+    );
+  });
+  const tick = () => runDueSchedules(createRun).catch((e) => console.error('Scheduler error:', e));
+  timer = setInterval(tick, TICK_MS);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  tick();
+}
+
+module.exports = {
+  startScheduler,
+  runDueSchedules,
+  writeRunDelta,
+};
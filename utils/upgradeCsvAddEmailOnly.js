@@ -13,6 +13,7 @@ const fs = require('fs/promises');
 const path = require('path');
 const { parse } = require('csv-parse/sync');
 const { stringify } = require('csv-stringify/sync');
+const { withFileLock, writeFileAtomic } = require('./safeWrite');
 
 const HEADERS_BASE = [
   'Name',
@@ -49,6 +50,12 @@ function setCanonicalKey(row, canonical, alias) {
  */
 async function upgradeCsvAddEmailOnly(filePath, { backup = true } = {}) {
   const full = path.resolve(filePath);
+  // Read and rewrite under the file's lock (see utils/safeWrite)
+  return withFileLock(full, () => upgradeLocked(full, backup));
+}
+
+// Body of upgradeCsvAddEmailOnly(), run under the file lock.
+async function upgradeLocked(full, backup) {
   const raw = await fs.readFile(full);
   const rows = parse(raw, {
     columns: true,
@@ -80,8 +87,8 @@ async function upgradeCsvAddEmailOnly(filePath, { backup = true } = {}) {
   }
   // Stringify with BOM + exact header order we want
   const csv = stringify(rows, { header: true, columns: wanted, bom: true });
-  if (backup) await fs.writeFile(full + '.bak', raw);
-  await fs.writeFile(full, csv);
+  if (backup) await writeFileAtomic(full + '.bak', raw);
+  await writeFileAtomic(full, csv);
   return { changed: true, columns: wanted };
 }
 